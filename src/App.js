@@ -8,7 +8,9 @@ import { Link as MuiLink } from '@mui/material';
 
 import URLShortener from './components/URLShortener';
 import Statistics from './components/Statistics';
+import Settings from './components/Settings';
 import RedirectHandler from './components/RedirectHandler';
+import { ROUTES } from './routes';
 import logger from './utils/logger';
 
 // Create Material UI theme
@@ -134,7 +136,7 @@ function App() {
               <Box sx={{ display: 'flex', gap: 1 }}>
                 <MuiLink
                   component={RouterLink}
-                  to="/"
+                  to={ROUTES.home}
                   color="inherit"
                   sx={{ 
                     textDecoration: 'none',
@@ -152,7 +154,7 @@ function App() {
                 </MuiLink>
                 <MuiLink
                   component={RouterLink}
-                  to="/statistics"
+                  to={ROUTES.statistics}
                   color="inherit"
                   sx={{ 
                     textDecoration: 'none',
@@ -168,16 +170,35 @@ function App() {
                 >
                   📊 Statistics
                 </MuiLink>
+                <MuiLink
+                  component={RouterLink}
+                  to={ROUTES.settings}
+                  color="inherit"
+                  sx={{ 
+                    textDecoration: 'none',
+                    px: 2,
+                    py: 1,
+                    borderRadius: 2,
+                    transition: 'all 0.3s ease',
+                    '&:hover': {
+                      backgroundColor: 'rgba(255,255,255,0.1)',
+                      transform: 'translateY(-1px)'
+                    }
+                  }}
+                >
+                  ⚙️ Settings
+                </MuiLink>
               </Box>
             </Toolbar>
           </AppBar>
           
           <Container maxWidth="lg" sx={{ marginTop: 4, marginBottom: 4 }}>
             <Routes>
-              <Route path="/" element={<URLShortener />} />
-              <Route path="/statistics" element={<Statistics />} />
-              <Route path="/:shortcode" element={<RedirectHandler />} />
-              <Route path="*" element={<Navigate to="/" replace />} />
+              <Route path={ROUTES.home} element={<URLShortener />} />
+              <Route path={ROUTES.statistics} element={<Statistics />} />
+              <Route path={ROUTES.settings} element={<Settings />} />
+              <Route path={ROUTES.shortLink} element={<RedirectHandler />} />
+              <Route path="*" element={<Navigate to={ROUTES.home} replace />} />
             </Routes>
           </Container>
         </Box>
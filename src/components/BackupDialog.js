@@ -0,0 +1,262 @@
+import React, { useMemo, useRef, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  MenuItem,
+  Alert,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  CircularProgress
+} from '@mui/material';
+import {
+  Download as DownloadIcon,
+  UploadFile as UploadIcon
+} from '@mui/icons-material';
+import urlService from '../services/urlService';
+import { readArchive } from '../services/backup';
+import { downloadText } from '../utils/download';
+import logger from '../utils/logger';
+
+const ACTION_LABELS = {
+  add: { label: 'New', color: 'success' },
+  overwrite: { label: 'Overwrite', color: 'warning' },
+  rename: { label: 'Rename', color: 'info' },
+  skip: { label: 'Skip', color: 'default' },
+  invalid: { label: 'Invalid', color: 'error' }
+};
+
+const BackupDialog = ({ open, onClose }) => {
+  const [archive, setArchive] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [conflict, setConflict] = useState('skip');
+  const [error, setError] = useState(null);
+  const [outcome, setOutcome] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const fileInput = useRef(null);
+
+  // Dry run: recomputed whenever the options change, nothing is written
+  const plan = useMemo(
+    () => (archive ? urlService.planImport(archive, { mode, conflict }) : null),
+    [archive, mode, conflict]
+  );
+  const countAction = (action) => plan.entries.filter(entry => entry.action === action).length;
+
+  const reset = () => {
+    setArchive(null);
+    setFileName('');
+    setMode('merge');
+    setConflict('skip');
+    setError(null);
+    setOutcome(null);
+  };
+
+  const handleClose = () => {
+    if (isImporting) return;
+    reset();
+    onClose();
+  };
+
+  const handleExport = () => {
+    const json = JSON.stringify(urlService.exportArchive(), null, 2);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadText(json, `url-shortener-backup-${date}.json`, 'application/json');
+  };
+
+  const handleFileSelected = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = readArchive(reader.result);
+      if (result.success) {
+        setArchive(result.data);
+        setFileName(file.name);
+        setError(null);
+        setOutcome(null);
+        logger.info('Backup archive loaded for import', { name: file.name, links: result.data.urls.length });
+      } else {
+        setArchive(null);
+        setError(result.error);
+        logger.warn('Backup archive rejected', { name: file.name, error: result.error });
+      }
+    };
+    reader.onerror = () => setError('Could not read the file.');
+    reader.readAsText(file);
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      const result = await urlService.importArchive(archive, { mode, conflict });
+
+      if (result.success) {
+        setOutcome(result.data);
+        setArchive(null);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+      logger.error('Unexpected error during import', { error: err.message });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="sm">
+      <DialogTitle>Backup &amp; Restore</DialogTitle>
+      <DialogContent>
+        <Typography variant="subtitle2" gutterBottom>
+          Export
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          Download every link (including the trash), its click history, your settings and campaign presets as a JSON file.
+        </Typography>
+        <Button variant="outlined" startIcon={<DownloadIcon />} onClick={handleExport}>
+          Export backup
+        </Button>
+
+        <Divider sx={{ my: 3 }} />
+
+        <Typography variant="subtitle2" gutterBottom>
+          Import
+        </Typography>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {outcome && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            Imported {outcome.importedCount} links.
+            {outcome.renamed.length > 0 && (
+              <List dense disablePadding>
+                {outcome.renamed.map(({ from, to }) => (
+                  <ListItem key={from} disableGutters>
+                    <ListItemText primary={`${from} → ${to}`} />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </Alert>
+        )}
+        {outcome && outcome.rejected.length > 0 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {outcome.rejected.length} links were not imported.
+            <List dense disablePadding>
+              {outcome.rejected.map(({ shortcode, reason }) => (
+                <ListItem key={shortcode} disableGutters>
+                  <ListItemText primary={shortcode} secondary={reason} />
+                </ListItem>
+              ))}
+            </List>
+          </Alert>
+        )}
+
+        <input ref={fileInput} type="file" accept=".json,application/json" hidden onChange={handleFileSelected} />
+        <Button startIcon={<UploadIcon />} onClick={() => fileInput.current.click()} disabled={isImporting}>
+          {archive ? 'Choose another file' : 'Choose backup file'}
+        </Button>
+
+        {plan && (
+          <Box sx={{ mt: 2 }}>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {fileName}
+              {archive.exportedAt && ` · exported ${new Date(archive.exportedAt).toLocaleString()}`}
+              {` · ${archive.urls.length} links`}
+            </Typography>
+
+            <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+              <TextField
+                select
+                size="small"
+                label="Mode"
+                value={mode}
+                onChange={(e) => setMode(e.target.value)}
+                sx={{ minWidth: 200 }}
+              >
+                <MenuItem value="merge">Merge with existing links</MenuItem>
+                <MenuItem value="replace">Replace all data</MenuItem>
+              </TextField>
+              {mode === 'merge' && (
+                <TextField
+                  select
+                  size="small"
+                  label="When a shortcode is taken"
+                  value={conflict}
+                  onChange={(e) => setConflict(e.target.value)}
+                  sx={{ minWidth: 200 }}
+                >
+                  <MenuItem value="skip">Keep the existing link</MenuItem>
+                  <MenuItem value="overwrite">Overwrite with the backup</MenuItem>
+                  <MenuItem value="rename">Import under a new shortcode</MenuItem>
+                </TextField>
+              )}
+            </Box>
+
+            <Typography variant="subtitle2" gutterBottom>
+              Dry run
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+              {Object.entries(ACTION_LABELS).map(([action, { label, color }]) => {
+                const count = countAction(action);
+                return count > 0 && (
+                  <Chip key={action} size="small" label={`${label}: ${count}`} color={color} variant="outlined" />
+                );
+              })}
+            </Box>
+            {plan.removedCount > 0 && (
+              <Alert severity="warning" sx={{ mb: 1 }}>
+                {plan.removedCount} existing links and their clicks will be deleted.
+              </Alert>
+            )}
+            <Typography variant="body2" color="text.secondary">
+              {plan.entries.reduce((total, entry) => total + (['skip', 'invalid'].includes(entry.action) ? 0 : entry.clickCount), 0)} clicks,
+              {` ${plan.presetCount} campaign presets`}
+              {plan.replacesSettings && ', settings replaced'}
+            </Typography>
+
+            {plan.entries.some(entry => entry.reason) && (
+              <List dense sx={{ maxHeight: 160, overflow: 'auto' }}>
+                {plan.entries.filter(entry => entry.reason).map((entry, index) => (
+                  <ListItem key={`${entry.shortcode}-${index}`} disableGutters>
+                    <ListItemText
+                      primary={`${entry.shortcode} · ${ACTION_LABELS[entry.action].label}`}
+                      secondary={entry.reason}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={isImporting}>Close</Button>
+        {plan && (
+          <Button
+            variant="contained"
+            color={mode === 'replace' ? 'error' : 'primary'}
+            onClick={handleImport}
+            disabled={isImporting || plan.entries.every(entry => ['skip', 'invalid'].includes(entry.action))}
+            startIcon={isImporting ? <CircularProgress size={18} color="inherit" /> : null}
+          >
+            {mode === 'replace' ? 'Replace and import' : 'Import'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BackupDialog;
@@ -0,0 +1,357 @@
+import React, { useRef, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  CircularProgress
+} from '@mui/material';
+import {
+  UploadFile as UploadIcon,
+  Download as DownloadIcon
+} from '@mui/icons-material';
+import urlService from '../services/urlService';
+import { parseDelimited, toDelimited } from '../utils/csv';
+import { downloadText } from '../utils/download';
+import logger from '../utils/logger';
+
+const MAX_IMPORT_ROWS = 500;
+
+// Accepted header names for each column, compared without case or punctuation
+const COLUMN_ALIASES = {
+  originalUrl: ['url', 'originalurl', 'longurl', 'destination'],
+  validityMinutes: ['validityminutes', 'validity', 'minutes'],
+  shortcode: ['shortcode', 'customshortcode', 'code'],
+  password: ['password'],
+  maxClicks: ['maxclicks', 'clicklimit'],
+  activatesAt: ['activatesat', 'startsat'],
+  expiresAt: ['expiresat'],
+  'utm.source': ['utmsource'],
+  'utm.medium': ['utmmedium'],
+  'utm.campaign': ['utmcampaign'],
+  'utm.term': ['utmterm'],
+  'utm.content': ['utmcontent']
+};
+
+// Columns assumed when the file has no header row
+const DEFAULT_COLUMNS = ['originalUrl', 'validityMinutes', 'shortcode'];
+
+const RESULT_COLUMNS = ['line', 'originalUrl', 'shortcode', 'shortUrl', 'expiresAt', 'status', 'error'];
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+
+// Map each header cell to a field name, or null when it is not recognised
+const mapHeader = (cells) => cells.map(cell => {
+  const normalized = normalizeHeader(cell);
+  const field = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(normalized));
+  return field || null;
+});
+
+/**
+ * Turn parsed rows into link entries and check each one
+ * Shortcodes repeated within the file are flagged here because the service
+ * only knows about links that already exist.
+ * @param {Array<Array<string>>} rows - Parsed CSV/TSV rows
+ * @returns {Array<object>} Entries with a line number and an error or null
+ */
+const buildEntries = (rows) => {
+  const header = mapHeader(rows[0] || []);
+  const hasHeader = header.includes('originalUrl');
+  const columns = hasHeader ? header : DEFAULT_COLUMNS;
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const claimed = new Map();
+
+  return dataRows.map((cells, index) => {
+    const line = index + (hasHeader ? 2 : 1);
+    const values = { utm: {} };
+    columns.forEach((field, column) => {
+      const value = (cells[column] || '').trim();
+      if (!field) return;
+      if (field.startsWith('utm.')) {
+        values.utm[field.slice(4)] = value;
+      } else {
+        values[field] = value;
+      }
+    });
+
+    const entry = {
+      line,
+      originalUrl: values.originalUrl || '',
+      validityMinutes: values.validityMinutes ? Number(values.validityMinutes) : 30,
+      shortcode: values.shortcode || null,
+      options: {
+        password: values.password || null,
+        maxClicks: values.maxClicks ? Number(values.maxClicks) : null,
+        activatesAt: values.activatesAt ? new Date(values.activatesAt) : null,
+        expiresAt: values.expiresAt ? new Date(values.expiresAt) : null,
+        utm: values.utm
+      },
+      error: null
+    };
+
+    const validationError = urlService.validateLinkInput({
+      originalUrl: entry.originalUrl,
+      validityMinutes: entry.options.expiresAt ? undefined : entry.validityMinutes,
+      shortcode: entry.shortcode,
+      password: entry.options.password,
+      maxClicks: entry.options.maxClicks,
+      activatesAt: entry.options.activatesAt,
+      expiresAt: entry.options.expiresAt
+    });
+
+    if (validationError) {
+      entry.error = validationError.error;
+    } else if (entry.shortcode && claimed.has(entry.shortcode)) {
+      entry.error = `Shortcode is already used on line ${claimed.get(entry.shortcode)} of this file.`;
+    }
+
+    if (entry.shortcode && !claimed.has(entry.shortcode)) {
+      claimed.set(entry.shortcode, line);
+    }
+
+    return entry;
+  });
+};
+
+const BulkImportDialog = ({ open, onClose, onImported }) => {
+  const [text, setText] = useState('');
+  const [entries, setEntries] = useState(null);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const fileInput = useRef(null);
+
+  const validEntries = entries ? entries.filter(entry => !entry.error) : [];
+
+  const reset = () => {
+    setText('');
+    setEntries(null);
+    setResults(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    if (isCreating) return;
+    reset();
+    onClose();
+  };
+
+  // Parse the pasted or uploaded text and validate every row
+  const preview = (input) => {
+    const rows = parseDelimited(input);
+    if (rows.length === 0) {
+      setError('No rows found. Paste CSV/TSV text or choose a file.');
+      return;
+    }
+
+    const parsed = buildEntries(rows);
+    if (parsed.length > MAX_IMPORT_ROWS) {
+      setError(`A single import is limited to ${MAX_IMPORT_ROWS} rows (this file has ${parsed.length}).`);
+      return;
+    }
+
+    setEntries(parsed);
+    setError(null);
+    logger.info('Bulk import previewed', {
+      rows: parsed.length,
+      invalid: parsed.filter(entry => entry.error).length
+    });
+  };
+
+  const handleFileSelected = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setText(reader.result);
+      preview(reader.result);
+    };
+    reader.onerror = () => setError('Could not read the file.');
+    reader.readAsText(file);
+  };
+
+  const createLinks = async () => {
+    setIsCreating(true);
+    const created = await urlService.createShortURLs(validEntries);
+    setResults(validEntries.map((entry, index) => ({ entry, result: created[index] })));
+    setIsCreating(false);
+
+    const successful = created.filter(result => result.success).length;
+    logger.info('Bulk import completed', { total: validEntries.length, successful });
+    if (successful > 0 && onImported) {
+      onImported(successful);
+    }
+  };
+
+  const downloadResults = () => {
+    const records = entries.map(entry => {
+      const outcome = results.find(item => item.entry === entry);
+      if (!outcome) {
+        return { line: entry.line, originalUrl: entry.originalUrl, shortcode: entry.shortcode, status: 'skipped', error: entry.error };
+      }
+      const { result } = outcome;
+      return result.success
+        ? {
+            line: entry.line,
+            originalUrl: result.data.originalUrl,
+            shortcode: result.data.shortcode,
+            shortUrl: result.data.shortUrl,
+            expiresAt: result.data.expiresAt.toISOString(),
+            status: 'created'
+          }
+        : { line: entry.line, originalUrl: entry.originalUrl, shortcode: entry.shortcode, status: 'failed', error: result.error };
+    });
+
+    downloadText(toDelimited(records, RESULT_COLUMNS), 'bulk-import-results.csv', 'text/csv');
+    logger.info('Bulk import results downloaded', { rows: records.length });
+  };
+
+  // Outcome of one row for the table: created link, creation error or validation error
+  const getRowStatus = (entry) => {
+    const outcome = results && results.find(item => item.entry === entry);
+    if (outcome) {
+      return outcome.result.success
+        ? { label: 'Created', color: 'success', detail: outcome.result.data.shortUrl }
+        : { label: 'Failed', color: 'error', detail: outcome.result.error };
+    }
+    if (entry.error) {
+      return { label: results ? 'Skipped' : 'Invalid', color: 'error', detail: entry.error };
+    }
+    return { label: 'Ready', color: 'default', detail: entry.shortcode ? `Shortcode ${entry.shortcode}` : 'Generated shortcode' };
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="lg">
+      <DialogTitle>Bulk Import</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {!entries ? (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Paste comma-, semicolon- or tab-separated rows, or upload a .csv/.tsv file.
+              Use a header row with any of: url, validityMinutes, shortcode, password, maxClicks,
+              activatesAt, expiresAt, utm_source, utm_medium, utm_campaign, utm_term, utm_content.
+              Without a header the columns are read as url, validityMinutes, shortcode.
+            </Typography>
+            <TextField
+              fullWidth
+              multiline
+              minRows={8}
+              placeholder={'url,validityMinutes,shortcode\nhttps://example.com/spring,1440,spring24'}
+              value={text}
+              onChange={(e) => { setText(e.target.value); setError(null); }}
+              InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.85rem' } }}
+            />
+            <input ref={fileInput} type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" hidden onChange={handleFileSelected} />
+          </>
+        ) : (
+          <>
+            <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+              <Chip label={`${entries.length} rows`} />
+              <Chip label={`${validEntries.length} valid`} color="success" variant="outlined" />
+              {entries.length > validEntries.length && (
+                <Chip label={`${entries.length - validEntries.length} with errors`} color="error" variant="outlined" />
+              )}
+            </Box>
+            {!results && entries.length > validEntries.length && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Rows with errors are skipped. Fix them in the source and preview again to include them.
+              </Alert>
+            )}
+            <TableContainer sx={{ maxHeight: 420 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Line</TableCell>
+                    <TableCell>URL</TableCell>
+                    <TableCell>Validity</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Details</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {entries.map(entry => {
+                    const status = getRowStatus(entry);
+                    return (
+                      <TableRow key={entry.line}>
+                        <TableCell>{entry.line}</TableCell>
+                        <TableCell sx={{ maxWidth: 320, wordBreak: 'break-all', fontFamily: 'monospace', fontSize: '0.8rem' }}>
+                          {entry.originalUrl || <em>missing</em>}
+                        </TableCell>
+                        <TableCell>
+                          {entry.options.expiresAt ? 'until expiresAt' : `${entry.validityMinutes} min`}
+                        </TableCell>
+                        <TableCell>
+                          <Chip size="small" label={status.label} color={status.color} />
+                        </TableCell>
+                        <TableCell sx={{ wordBreak: 'break-all' }}>
+                          <Typography variant="body2" color={status.color === 'error' ? 'error' : 'text.secondary'}>
+                            {status.detail}
+                          </Typography>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {!entries && (
+          <>
+            <Button startIcon={<UploadIcon />} onClick={() => fileInput.current.click()} sx={{ mr: 'auto' }}>
+              Upload file
+            </Button>
+            <Button onClick={handleClose}>Cancel</Button>
+            <Button variant="contained" onClick={() => preview(text)} disabled={!text.trim()}>
+              Preview
+            </Button>
+          </>
+        )}
+        {entries && !results && (
+          <>
+            <Button onClick={() => setEntries(null)} disabled={isCreating} sx={{ mr: 'auto' }}>
+              Back
+            </Button>
+            <Button onClick={handleClose} disabled={isCreating}>Cancel</Button>
+            <Button
+              variant="contained"
+              onClick={createLinks}
+              disabled={validEntries.length === 0 || isCreating}
+              startIcon={isCreating ? <CircularProgress size={18} color="inherit" /> : null}
+            >
+              Create {validEntries.length} links
+            </Button>
+          </>
+        )}
+        {results && (
+          <>
+            <Button startIcon={<DownloadIcon />} onClick={downloadResults} sx={{ mr: 'auto' }}>
+              Download results CSV
+            </Button>
+            <Button variant="contained" onClick={handleClose}>Done</Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BulkImportDialog;
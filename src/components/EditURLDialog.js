@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Alert,
+  Stack,
+  MenuItem,
+  FormControlLabel,
+  Switch
+} from '@mui/material';
+import urlService from '../services/urlService';
+import logger from '../utils/logger';
+import { getAppBaseUrl } from '../utils/shortUrl';
+import RedirectRulesEditor, { rulesToDrafts, draftsToRules } from './RedirectRulesEditor';
+import SplitDestinationsEditor, { variantsToDrafts, draftsToVariants } from './SplitDestinationsEditor';
+
+const EditURLDialog = ({ url, open, onClose, onSaved }) => {
+  const [originalUrl, setOriginalUrl] = useState('');
+  const [validityMinutes, setValidityMinutes] = useState('');
+  const [shortcode, setShortcode] = useState('');
+  const [domain, setDomain] = useState(''); // '' for the app's own address
+  const [preview, setPreview] = useState(false);
+  const [note, setNote] = useState('');
+  const [passthrough, setPassthrough] = useState(false);
+  const [fallbackUrl, setFallbackUrl] = useState('');
+  const [rules, setRules] = useState([]);
+  const [rulesChanged, setRulesChanged] = useState(false);
+  const [variants, setVariants] = useState([]);
+  const [variantsChanged, setVariantsChanged] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Reset the form whenever a different link is opened
+  useEffect(() => {
+    if (url) {
+      setOriginalUrl(url.originalUrl);
+      setValidityMinutes('');
+      setShortcode(url.shortcode);
+      setDomain(url.domain || '');
+      setPreview(url.preview);
+      setNote(url.note || '');
+      setPassthrough(url.passthrough);
+      setFallbackUrl(url.fallbackUrl || '');
+      setRules(rulesToDrafts(url.rules));
+      setRulesChanged(false);
+      setVariants(variantsToDrafts(url.variants));
+      setVariantsChanged(false);
+      setError(null);
+    }
+  }, [url]);
+
+  const handleSave = () => {
+    const changes = {};
+
+    if (originalUrl !== url.originalUrl) {
+      changes.originalUrl = originalUrl;
+    }
+    if (validityMinutes !== '') {
+      changes.validityMinutes = parseInt(validityMinutes, 10);
+    }
+    if (shortcode !== url.shortcode) {
+      changes.shortcode = shortcode;
+    }
+    if (domain !== (url.domain || '')) {
+      changes.domain = domain || null;
+    }
+    if (preview !== url.preview) {
+      changes.preview = preview;
+    }
+    if (note !== (url.note || '')) {
+      changes.note = note;
+    }
+    if (passthrough !== url.passthrough) {
+      changes.passthrough = passthrough;
+    }
+    if (fallbackUrl.trim() !== (url.fallbackUrl || '')) {
+      changes.fallbackUrl = fallbackUrl.trim() || null;
+    }
+    if (rulesChanged) {
+      changes.rules = draftsToRules(rules);
+    }
+    if (variantsChanged) {
+      changes.variants = draftsToVariants(variants);
+    }
+
+    if (Object.keys(changes).length === 0) {
+      onClose();
+      return;
+    }
+
+    const result = urlService.updateShortURL(url.shortcode, changes);
+
+    if (result.success) {
+      logger.info('Short URL edited from statistics', { shortcode: result.data.shortcode });
+      onSaved(result.data);
+    } else {
+      setError(result.error);
+      logger.warn('Short URL edit rejected', { shortcode: url.shortcode, error: result.error });
+    }
+  };
+
+  if (!url) {
+    return null;
+  }
+
+  // A domain removed from Settings stays selectable for links that use it
+  const { shortDomains } = urlService.getSettings();
+  const domainOptions = url.domain && !shortDomains.includes(url.domain)
+    ? [...shortDomains, url.domain]
+    : shortDomains;
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Edit Short URL</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          {error && <Alert severity="error">{error}</Alert>}
+          <TextField
+            fullWidth
+            label="Original URL"
+            value={originalUrl}
+            onChange={(e) => { setOriginalUrl(e.target.value); setError(null); }}
+            helperText="Enter a valid HTTP/HTTPS URL"
+          />
+          <TextField
+            fullWidth
+            label="New validity (minutes from now)"
+            type="number"
+            value={validityMinutes}
+            onChange={(e) => { setValidityMinutes(e.target.value); setError(null); }}
+            inputProps={{ min: 1 }}
+            helperText={`Leave empty to keep the current expiry (${new Date(url.expiresAt).toLocaleString()})`}
+          />
+          <TextField
+            fullWidth
+            label="Shortcode"
+            value={shortcode}
+            onChange={(e) => { setShortcode(e.target.value); setError(null); }}
+            helperText="3-20 alphanumeric characters. Click history is kept when renaming."
+          />
+          {domainOptions.length > 0 && (
+            <TextField
+              select
+              fullWidth
+              label="Short link domain"
+              value={domain}
+              onChange={(e) => { setDomain(e.target.value); setError(null); }}
+              helperText="Links already shared keep working only if the old domain still points at this app"
+            >
+              <MenuItem value="">{getAppBaseUrl()}</MenuItem>
+              {domainOptions.map(option => (
+                <MenuItem key={option} value={option}>
+                  {option}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+          <FormControlLabel
+            control={
+              <Switch
+                checked={preview}
+                onChange={(e) => { setPreview(e.target.checked); setError(null); }}
+              />
+            }
+            label="Show a preview page before redirecting"
+          />
+          <TextField
+            fullWidth
+            multiline
+            label="Note for visitors"
+            value={note}
+            onChange={(e) => { setNote(e.target.value); setError(null); }}
+            inputProps={{ maxLength: 500 }}
+            helperText="Shown on the preview page, also when a visitor adds + to the short link"
+          />
+          <TextField
+            fullWidth
+            label="Fallback URL"
+            value={fallbackUrl}
+            onChange={(e) => { setFallbackUrl(e.target.value); setError(null); }}
+            helperText={`Where visitors go once the link has expired or used up its clicks (${url.fallbackHits} so far). Leave empty for none.`}
+          />
+          <FormControlLabel
+            control={
+              <Switch
+                checked={passthrough}
+                onChange={(e) => { setPassthrough(e.target.checked); setError(null); }}
+              />
+            }
+            label="Pass through extra path and query (e.g. /code/api/v2?x=1)"
+          />
+          <RedirectRulesEditor
+            rules={rules}
+            onChange={(drafts) => { setRules(drafts); setRulesChanged(true); setError(null); }}
+          />
+          <SplitDestinationsEditor
+            variants={variants}
+            defaultUrl={originalUrl}
+            usedVariantIds={url.variants.map(variant => variant.id)}
+            onChange={(drafts) => { setVariants(drafts); setVariantsChanged(true); setError(null); }}
+          />
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EditURLDialog;
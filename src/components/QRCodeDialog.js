@@ -0,0 +1,221 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  MenuItem,
+  Slider,
+  Alert,
+  Stack
+} from '@mui/material';
+import {
+  Download as DownloadIcon,
+  Image as ImageIcon,
+  Close as CloseIcon
+} from '@mui/icons-material';
+import { encodeQRCode, qrCodeToSVG, drawQRCodeToCanvas } from '../utils/qrCode';
+import { downloadBlob, downloadText } from '../utils/download';
+import logger from '../utils/logger';
+
+const ECC_OPTIONS = [
+  { value: 'L', label: 'Low (~7% recoverable)' },
+  { value: 'M', label: 'Medium (~15% recoverable)' },
+  { value: 'Q', label: 'Quartile (~25% recoverable)' },
+  { value: 'H', label: 'High (~30% recoverable)' }
+];
+
+// Encode a value, turning encoder errors into a message for the UI
+const encodeSafely = (value, ecc) => {
+  try {
+    return { qr: encodeQRCode(value, ecc), error: null };
+  } catch (error) {
+    return { qr: null, error: error.message };
+  }
+};
+
+const svgDataUrl = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+// Load a data URL into an image element so it can be drawn on a canvas
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('Could not load the logo image.'));
+  image.src = src;
+});
+
+/**
+ * Inline QR code for a short URL
+ */
+export const QRCodeImage = ({ value, size = 120, ecc = 'M' }) => {
+  const svg = useMemo(() => {
+    const { qr } = encodeSafely(value, ecc);
+    return qr ? qrCodeToSVG(qr, { size }) : null;
+  }, [value, size, ecc]);
+
+  if (!svg) {
+    return null;
+  }
+
+  return (
+    <Box
+      component="img"
+      src={svgDataUrl(svg)}
+      alt={`QR code for ${value}`}
+      sx={{ width: size, height: size, display: 'block', borderRadius: 1, backgroundColor: 'white' }}
+    />
+  );
+};
+
+const QRCodeDialog = ({ value, filename = 'qr-code', open, onClose }) => {
+  const [size, setSize] = useState(256);
+  const [ecc, setEcc] = useState('M');
+  const [logo, setLogo] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
+
+  // Start from the defaults for every link that is opened
+  useEffect(() => {
+    if (open) {
+      setSize(256);
+      setEcc('M');
+      setLogo(null);
+      setError(null);
+    }
+  }, [open, value]);
+
+  const { qr, error: encodeError } = useMemo(
+    () => (value ? encodeSafely(value, ecc) : { qr: null, error: null }),
+    [value, ecc]
+  );
+  const svg = qr ? qrCodeToSVG(qr, { size, logo }) : null;
+
+  const handleLogoSelected = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      setError('The logo must be an image file.');
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setLogo(reader.result);
+      setError(null);
+      // A logo hides part of the code, so it needs the highest level to stay readable
+      setEcc('H');
+      logger.info('QR code logo added', { name: file.name });
+    };
+    reader.onerror = () => setError('Could not read the logo file.');
+    reader.readAsDataURL(file);
+  };
+
+  const downloadSVG = () => {
+    downloadText(svg, `${filename}.svg`, 'image/svg+xml');
+    logger.info('QR code downloaded', { value, format: 'svg', size, ecc });
+  };
+
+  const downloadPNG = async () => {
+    try {
+      const canvas = document.createElement('canvas');
+      const logoImage = logo ? await loadImage(logo) : null;
+      drawQRCodeToCanvas(canvas, qr, { size, logoImage });
+      canvas.toBlob(blob => {
+        downloadBlob(blob, `${filename}.png`);
+        logger.info('QR code downloaded', { value, format: 'png', size, ecc });
+      }, 'image/png');
+    } catch (err) {
+      setError(err.message);
+      logger.error('Failed to render QR code PNG', { value, error: err.message });
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>QR Code</DialogTitle>
+      <DialogContent>
+        <Stack spacing={3} sx={{ mt: 1 }}>
+          {(error || encodeError) && <Alert severity="error">{error || encodeError}</Alert>}
+
+          {svg && (
+            <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+              <Box
+                component="img"
+                src={svgDataUrl(svg)}
+                alt={`QR code for ${value}`}
+                sx={{ width: 240, height: 240, border: '1px solid', borderColor: 'divider', borderRadius: 2 }}
+              />
+            </Box>
+          )}
+
+          <Typography
+            variant="body2"
+            color="text.secondary"
+            sx={{ textAlign: 'center', fontFamily: 'monospace', wordBreak: 'break-all' }}
+          >
+            {value}
+            {qr && ` · version ${qr.version}, ${qr.size}×${qr.size} modules`}
+          </Typography>
+
+          <Box>
+            <Typography variant="body2" gutterBottom>
+              Size: {size} × {size} px
+            </Typography>
+            <Slider
+              value={size}
+              onChange={(e, newSize) => setSize(newSize)}
+              min={128}
+              max={1024}
+              step={32}
+              valueLabelDisplay="auto"
+            />
+          </Box>
+
+          <TextField
+            select
+            fullWidth
+            label="Error correction"
+            value={ecc}
+            onChange={(e) => setEcc(e.target.value)}
+            helperText={logo && ecc !== 'H' ? 'Use High error correction so the code still scans with a logo.' : 'Higher levels survive more damage but make the code denser.'}
+          >
+            {ECC_OPTIONS.map(option => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+            <input ref={fileInput} type="file" accept="image/*" hidden onChange={handleLogoSelected} />
+            <Button size="small" startIcon={<ImageIcon />} onClick={() => fileInput.current.click()}>
+              {logo ? 'Change logo' : 'Add center logo'}
+            </Button>
+            {logo && (
+              <Button size="small" color="error" startIcon={<CloseIcon />} onClick={() => setLogo(null)}>
+                Remove logo
+              </Button>
+            )}
+          </Box>
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button startIcon={<DownloadIcon />} onClick={downloadSVG} disabled={!qr}>
+          SVG
+        </Button>
+        <Button variant="contained" startIcon={<DownloadIcon />} onClick={downloadPNG} disabled={!qr}>
+          PNG
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default QRCodeDialog;
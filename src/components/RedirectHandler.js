@@ -1,25 +1,139 @@
-import React, { useEffect, useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import {
   Box,
   CircularProgress,
   Typography,
   Alert,
   Paper,
-  Button
+  Button,
+  TextField,
+  LinearProgress
 } from '@mui/material';
-import { Home as HomeIcon } from '@mui/icons-material';
-import urlService from '../services/urlService';
+import {
+  Home as HomeIcon,
+  Lock as LockIcon,
+  Visibility as PreviewIcon,
+  ArrowForward as ContinueIcon
+} from '@mui/icons-material';
+import urlService, { MAX_REDIRECT_HOPS } from '../services/urlService';
+import { PREVIEW_SUFFIX } from '../routes';
 import logger from '../utils/logger';
 
+// Host name shown in large type on the preview page
+const getDomain = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return url;
+  }
+};
+
 const RedirectHandler = () => {
-  const { shortcode } = useParams();
+  const { shortcode: shortcodeParam, '*': extraPath = '' } = useParams();
+  const { search, state } = useLocation();
   const navigate = useNavigate();
-  const [status, setStatus] = useState('loading'); // loading, success, error
+
+  // Short links already passed through on the way here (see goTo)
+  const chain = useMemo(() => (state && state.chain) || [], [state]);
+
+  // A trailing + asks for the preview page even if the link does not use it
+  const forcePreview = !!shortcodeParam && shortcodeParam.endsWith(PREVIEW_SUFFIX);
+  const shortcode = forcePreview ? shortcodeParam.slice(0, -PREVIEW_SUFFIX.length) : shortcodeParam;
+
+  const [status, setStatus] = useState('loading'); // loading, password, preview, success, error
   const [error, setError] = useState('');
+  const [errorCode, setErrorCode] = useState(null);
   const [originalUrl, setOriginalUrl] = useState('');
+  const [password, setPassword] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [preview, setPreview] = useState(null); // getOriginalURL() result awaiting the visitor
+  const [countdown, setCountdown] = useState(null); // Seconds left, or null to wait for the visitor
+  const [fallbackUrl, setFallbackUrl] = useState(null); // Offered on the error page
+
+  logger.info('Redirect handler activated', { shortcode, forcePreview, extraPath, search, chain });
+
+  // Leave for a destination; our own short links are followed inside the app
+  // so that chains and loops between them can be detected
+  const goTo = useCallback((destination) => {
+    const target = urlService.parseOwnShortUrl(destination);
+    if (!target) {
+      window.location.href = destination;
+      return;
+    }
+
+    const visited = [...chain, shortcode];
+    const next = urlService.resolveShortcode(target.shortcode) || urlService.toCanonicalShortcode(target.shortcode);
+    const isLoop = visited.includes(next);
+
+    if (isLoop || visited.length > MAX_REDIRECT_HOPS) {
+      logger.error(isLoop ? 'Redirect loop detected' : 'Redirect chain too long', {
+        chain: [...visited, next],
+        maxHops: MAX_REDIRECT_HOPS
+      });
+      setStatus('error');
+      setError(isLoop
+        ? `These short links redirect in a loop: ${[...visited, next].join(' → ')}.`
+        : `This short link goes through more than ${MAX_REDIRECT_HOPS} other short links.`);
+      setErrorCode(isLoop ? 'REDIRECT_LOOP' : 'CHAIN_TOO_LONG');
+      setFallbackUrl(null);
+      return;
+    }
+
+    logger.warn('Following a chain of short links', { chain: [...visited, next] });
+    setStatus('loading');
+    const rest = target.path ? `/${target.path}` : '';
+    navigate(`/${next}${target.preview ? PREVIEW_SUFFIX : ''}${rest}${target.search}`, {
+      replace: true,
+      state: { chain: visited }
+    });
+  }, [chain, shortcode, navigate]);
 
-  logger.info('Redirect handler activated', { shortcode });
+  // Show where the link leads and wait for the visitor or the countdown
+  const showPreview = useCallback((result) => {
+    const seconds = urlService.getSettings().previewCountdownSeconds;
+    setPreview(result);
+    setCountdown(seconds > 0 ? seconds : null);
+    setStatus('preview');
+    logger.info('Showing link preview', { shortcode, destination: result.destination, forced: forcePreview });
+  }, [shortcode, forcePreview]);
+
+  // Go to the fallback destination silently, or explain the failure and offer it
+  const showFailure = useCallback((result) => {
+    if (result.fallbackUrl && result.fallbackMode === 'redirect') {
+      setStatus('success');
+      setOriginalUrl(result.fallbackUrl);
+      logger.info('Redirecting to fallback destination', { shortcode, code: result.code, fallbackUrl: result.fallbackUrl });
+      goTo(result.fallbackUrl);
+      return;
+    }
+
+    setStatus('error');
+    setError(result.error);
+    setErrorCode(result.code);
+    setFallbackUrl(result.fallbackUrl || null);
+    logger.error('Redirect failed', { shortcode, error: result.error, code: result.code });
+  }, [shortcode, goTo]);
+
+  const handleContinue = useCallback(() => {
+    const result = urlService.continueFromPreview(preview);
+
+    if (result.success) {
+      setStatus('success');
+      setOriginalUrl(result.destination);
+      logger.info('Redirect successful after preview', { shortcode, destination: result.destination });
+      goTo(result.destination);
+    } else {
+      showFailure(result);
+    }
+  }, [preview, shortcode, goTo, showFailure]);
+
+  const handleCancelPreview = () => {
+    logger.info('Link preview cancelled', { shortcode });
+    setCountdown(null);
+    navigate('/');
+  };
 
   useEffect(() => {
     const handleRedirect = async () => {
@@ -33,24 +147,49 @@ const RedirectHandler = () => {
 
         logger.info('Attempting to redirect', { shortcode });
 
+        // Wait for persisted links to finish loading
+        await urlService.ready;
+
+        // The link may have been created in another tab after this one loaded
+        let storedShortcode = urlService.resolveShortcode(shortcode);
+        if (!storedShortcode) {
+          await urlService.syncLink(urlService.toCanonicalShortcode(shortcode));
+          storedShortcode = urlService.resolveShortcode(shortcode);
+        }
+
+        // Visits with different letter case move to the stored spelling
+        if (storedShortcode && storedShortcode !== shortcode) {
+          logger.info('Redirecting to canonical shortcode', { shortcode, canonical: storedShortcode });
+          const rest = extraPath ? `/${extraPath}` : '';
+          navigate(`/${storedShortcode}${forcePreview ? PREVIEW_SUFFIX : ''}${rest}${search}`, { replace: true, state });
+          return;
+        }
+
         // Get the original URL
-        const result = urlService.getOriginalURL(shortcode);
+        // Anything after the shortcode is forwarded by links with passthrough turned on
+        const result = urlService.getOriginalURL(shortcode, {
+          preview: forcePreview,
+          extra: { path: extraPath, search }
+        });
 
-        if (result.success) {
+        if (result.success && result.preview) {
+          showPreview(result);
+        } else if (result.success) {
           setStatus('success');
-          setOriginalUrl(result.data.originalUrl);
+          setOriginalUrl(result.destination);
           
           logger.info('Redirect successful', { 
             shortcode, 
-            originalUrl: result.data.originalUrl 
+            destination: result.destination 
           });
 
           // Redirect immediately
-          window.location.href = result.data.originalUrl;
+          goTo(result.destination);
+        } else if (result.code === 'PASSWORD_REQUIRED') {
+          setStatus('password');
+          logger.info('Waiting for link password', { shortcode });
         } else {
-          setStatus('error');
-          setError(result.error);
-          logger.error('Redirect failed', { shortcode, error: result.error });
+          showFailure(result);
         }
       } catch (err) {
         setStatus('error');
@@ -63,7 +202,77 @@ const RedirectHandler = () => {
     };
 
     handleRedirect();
-  }, [shortcode]);
+  }, [shortcode, forcePreview, extraPath, search, state, navigate, showPreview, showFailure, goTo]);
+
+  // Count down on the preview page, then continue
+  useEffect(() => {
+    if (status !== 'preview' || countdown === null) {
+      return undefined;
+    }
+    if (countdown === 0) {
+      handleContinue();
+      return undefined;
+    }
+    const timer = setTimeout(() => setCountdown(countdown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [status, countdown, handleContinue]);
+
+  const handleUnlock = async (event) => {
+    event.preventDefault();
+    setIsUnlocking(true);
+    setPasswordError('');
+
+    const result = await urlService.unlockShortURL(shortcode, password, {
+      preview: forcePreview,
+      extra: { path: extraPath, search }
+    });
+    setIsUnlocking(false);
+
+    if (result.success && result.preview) {
+      showPreview(result);
+    } else if (result.success) {
+      setStatus('success');
+      setOriginalUrl(result.destination);
+      logger.info('Redirect successful after unlock', { shortcode });
+      goTo(result.destination);
+    } else if (result.code === 'INVALID_PASSWORD' || result.code === 'RATE_LIMITED') {
+      setPassword('');
+      setPasswordError(result.error);
+    } else {
+      showFailure(result);
+    }
+  };
+
+  // Explain the failure according to its reason
+  const getErrorDetails = () => {
+    switch (errorCode) {
+      case 'NOT_YET_ACTIVE':
+        return {
+          title: 'Not Active Yet',
+          description: 'This short URL has been created ahead of time. Please come back once it goes live.'
+        };
+      case 'REDIRECT_LOOP':
+        return {
+          title: 'Redirect Loop',
+          description: 'This short link leads back to itself through other short links. Its owner needs to change the destination.'
+        };
+      case 'CHAIN_TOO_LONG':
+        return {
+          title: 'Too Many Redirects',
+          description: 'This short link passes through too many other short links to be opened.'
+        };
+      case 'CLICK_LIMIT_REACHED':
+        return {
+          title: 'Click Limit Reached',
+          description: 'This short URL could only be opened a limited number of times, and all of its uses have been spent.'
+        };
+      default:
+        return {
+          title: 'Redirect Failed',
+          description: "The short URL you're looking for could not be found or has expired."
+        };
+    }
+  };
 
   const handleGoHome = () => {
     navigate('/');
@@ -93,6 +302,128 @@ const RedirectHandler = () => {
     );
   }
 
+  if (status === 'password') {
+    return (
+      <Box
+        sx={{
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          justifyContent: 'center',
+          minHeight: '60vh',
+          gap: 2
+        }}
+      >
+        <Paper
+          elevation={3}
+          component="form"
+          onSubmit={handleUnlock}
+          sx={{ p: 4, textAlign: 'center', maxWidth: 500, width: '100%' }}
+        >
+          <LockIcon color="primary" sx={{ fontSize: 48, mb: 1 }} />
+          <Typography variant="h5" gutterBottom>
+            Password Required
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+            This short URL is protected. Enter the password to continue.
+          </Typography>
+          <TextField
+            fullWidth
+            autoFocus
+            type="password"
+            label="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            disabled={isUnlocking}
+            error={!!passwordError}
+            helperText={passwordError || ' '}
+            sx={{ mb: 2 }}
+          />
+          <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center' }}>
+            <Button
+              variant="outlined"
+              startIcon={<HomeIcon />}
+              onClick={handleGoHome}
+            >
+              Go to Home
+            </Button>
+            <Button
+              type="submit"
+              variant="contained"
+              disabled={isUnlocking || !password}
+              startIcon={isUnlocking ? <CircularProgress size={20} color="inherit" /> : <LockIcon />}
+            >
+              Unlock
+            </Button>
+          </Box>
+        </Paper>
+      </Box>
+    );
+  }
+
+  if (status === 'preview') {
+    const totalSeconds = urlService.getSettings().previewCountdownSeconds;
+
+    return (
+      <Box
+        sx={{
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          justifyContent: 'center',
+          minHeight: '60vh',
+          gap: 2
+        }}
+      >
+        <Paper elevation={3} sx={{ p: 4, textAlign: 'center', maxWidth: 600, width: '100%' }}>
+          <PreviewIcon color="primary" sx={{ fontSize: 48, mb: 1 }} />
+          <Typography variant="body1" color="text.secondary">
+            This link leads to
+          </Typography>
+          <Typography variant="h4" sx={{ fontWeight: 600, wordBreak: 'break-all', mb: 2 }}>
+            {getDomain(preview.destination)}
+          </Typography>
+          <Typography
+            variant="body2"
+            sx={{
+              wordBreak: 'break-all',
+              backgroundColor: 'grey.100',
+              p: 1,
+              borderRadius: 1,
+              mb: 2
+            }}
+          >
+            {preview.destination}
+          </Typography>
+          {preview.data.note && (
+            <Alert severity="info" icon={false} sx={{ mb: 2, textAlign: 'left' }}>
+              <Typography variant="subtitle2">Note from the link owner</Typography>
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                {preview.data.note}
+              </Typography>
+            </Alert>
+          )}
+          {countdown !== null && (
+            <Box sx={{ mb: 2 }}>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                Continuing in {countdown} second{countdown === 1 ? '' : 's'}...
+              </Typography>
+              <LinearProgress variant="determinate" value={((totalSeconds - countdown) / totalSeconds) * 100} />
+            </Box>
+          )}
+          <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center' }}>
+            <Button variant="outlined" onClick={handleCancelPreview}>
+              Cancel
+            </Button>
+            <Button variant="contained" endIcon={<ContinueIcon />} onClick={handleContinue}>
+              Continue
+            </Button>
+          </Box>
+        </Paper>
+      </Box>
+    );
+  }
+
   if (status === 'success') {
     return (
       <Box
@@ -128,7 +459,7 @@ const RedirectHandler = () => {
             If you are not redirected automatically, 
             <Button 
               variant="text" 
-              onClick={() => window.location.href = originalUrl}
+              onClick={() => goTo(originalUrl)}
               sx={{ ml: 1 }}
             >
               click here
@@ -140,6 +471,8 @@ const RedirectHandler = () => {
   }
 
   if (status === 'error') {
+    const errorDetails = getErrorDetails();
+
     return (
       <Box
         sx={{
@@ -154,7 +487,7 @@ const RedirectHandler = () => {
         <Paper elevation={3} sx={{ p: 4, textAlign: 'center', maxWidth: 500 }}>
           <Alert severity="error" sx={{ mb: 2 }}>
             <Typography variant="h6" gutterBottom>
-              Redirect Failed
+              {errorDetails.title}
             </Typography>
             <Typography variant="body2">
               {error}
@@ -162,16 +495,27 @@ const RedirectHandler = () => {
           </Alert>
           
           <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-            The short URL you're looking for could not be found or has expired.
+            {errorDetails.description}
           </Typography>
           
-          <Button
-            variant="contained"
-            startIcon={<HomeIcon />}
-            onClick={handleGoHome}
-          >
-            Go to Home
-          </Button>
+          <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center', flexWrap: 'wrap' }}>
+            <Button
+              variant={fallbackUrl ? 'outlined' : 'contained'}
+              startIcon={<HomeIcon />}
+              onClick={handleGoHome}
+            >
+              Go to Home
+            </Button>
+            {fallbackUrl && (
+              <Button
+                variant="contained"
+                endIcon={<ContinueIcon />}
+                onClick={() => goTo(fallbackUrl)}
+              >
+                Continue to {getDomain(fallbackUrl)}
+              </Button>
+            )}
+          </Box>
         </Paper>
       </Box>
     );
@@ -0,0 +1,236 @@
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  IconButton,
+  Tooltip,
+  ToggleButton,
+  ToggleButtonGroup,
+  Grid
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  ArrowUpward as ArrowUpIcon,
+  ArrowDownward as ArrowDownIcon
+} from '@mui/icons-material';
+import { PLATFORMS, DAY_NAMES } from '../utils/redirectRules';
+
+let nextDraftKey = 1;
+
+// Create an empty rule draft for the editor
+const createRuleDraft = () => ({
+  key: nextDraftKey++,
+  id: null,
+  destination: '',
+  platforms: [],
+  languages: '',
+  days: [],
+  hoursFrom: '',
+  hoursTo: ''
+});
+
+/**
+ * Convert stored redirect rules into editor drafts
+ * @param {Array} rules - Redirect rules
+ * @returns {Array} Editor drafts
+ */
+export const rulesToDrafts = (rules = []) => rules.map(rule => {
+  const { platforms, languages, days, hours } = rule.conditions || {};
+  return {
+    ...createRuleDraft(),
+    id: rule.id,
+    destination: rule.destination,
+    platforms: platforms || [],
+    languages: (languages || []).join(', '),
+    days: days || [],
+    hoursFrom: hours ? String(hours.from) : '',
+    hoursTo: hours ? String(hours.to) : ''
+  };
+});
+
+/**
+ * Convert editor drafts into redirect rules
+ * @param {Array} drafts - Editor drafts
+ * @returns {Array} Redirect rules
+ */
+export const draftsToRules = (drafts = []) => drafts.map(draft => {
+  const conditions = {};
+  const languages = draft.languages.split(',').map(language => language.trim()).filter(Boolean);
+
+  if (draft.platforms.length > 0) conditions.platforms = draft.platforms;
+  if (languages.length > 0) conditions.languages = languages;
+  if (draft.days.length > 0) conditions.days = [...draft.days].sort((a, b) => a - b);
+  if (draft.hoursFrom !== '' || draft.hoursTo !== '') {
+    conditions.hours = {
+      from: parseInt(draft.hoursFrom || '0', 10),
+      to: parseInt(draft.hoursTo || '24', 10)
+    };
+  }
+
+  return {
+    ...(draft.id ? { id: draft.id } : {}),
+    destination: draft.destination.trim(),
+    conditions
+  };
+});
+
+const RedirectRulesEditor = ({ rules, onChange, disabled = false }) => {
+  // Update one field of a rule draft
+  const updateRule = (key, field, value) => {
+    onChange(rules.map(rule => rule.key === key ? { ...rule, [field]: value } : rule));
+  };
+
+  // Move a rule up or down; order decides which rule wins
+  const moveRule = (index, offset) => {
+    const reordered = [...rules];
+    const [rule] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, rule);
+    onChange(reordered);
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom>
+        Redirect rules
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Checked top to bottom; the first rule that matches the visitor wins, otherwise the original URL is used.
+      </Typography>
+
+      {rules.map((rule, index) => (
+        <Paper key={rule.key} variant="outlined" sx={{ p: 2, mb: 2, borderRadius: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+            <Typography variant="body2" sx={{ flexGrow: 1, fontWeight: 600 }}>
+              Rule {index + 1}
+            </Typography>
+            <Tooltip title="Move up">
+              <span>
+                <IconButton size="small" disabled={disabled || index === 0} onClick={() => moveRule(index, -1)}>
+                  <ArrowUpIcon fontSize="small" />
+                </IconButton>
+              </span>
+            </Tooltip>
+            <Tooltip title="Move down">
+              <span>
+                <IconButton size="small" disabled={disabled || index === rules.length - 1} onClick={() => moveRule(index, 1)}>
+                  <ArrowDownIcon fontSize="small" />
+                </IconButton>
+              </span>
+            </Tooltip>
+            <Tooltip title="Remove rule">
+              <span>
+                <IconButton
+                  size="small"
+                  color="error"
+                  disabled={disabled}
+                  onClick={() => onChange(rules.filter(r => r.key !== rule.key))}
+                >
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </span>
+            </Tooltip>
+          </Box>
+
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Destination URL"
+                placeholder="https://example.com/mobile"
+                value={rule.destination}
+                onChange={(e) => updateRule(rule.key, 'destination', e.target.value)}
+                disabled={disabled}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <Typography variant="caption" color="text.secondary" display="block">
+                Platforms (any)
+              </Typography>
+              <ToggleButtonGroup
+                size="small"
+                value={rule.platforms}
+                onChange={(e, value) => updateRule(rule.key, 'platforms', value)}
+                disabled={disabled}
+              >
+                {PLATFORMS.map(platform => (
+                  <ToggleButton key={platform} value={platform}>
+                    {platform}
+                  </ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Languages"
+                placeholder="en, de-AT"
+                value={rule.languages}
+                onChange={(e) => updateRule(rule.key, 'languages', e.target.value)}
+                disabled={disabled}
+                helperText="Comma-separated; 'en' also matches en-US"
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <Typography variant="caption" color="text.secondary" display="block">
+                Days
+              </Typography>
+              <ToggleButtonGroup
+                size="small"
+                value={rule.days}
+                onChange={(e, value) => updateRule(rule.key, 'days', value)}
+                disabled={disabled}
+              >
+                {DAY_NAMES.map((day, dayIndex) => (
+                  <ToggleButton key={day} value={dayIndex}>
+                    {day}
+                  </ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <TextField
+                fullWidth
+                size="small"
+                label="From hour"
+                type="number"
+                value={rule.hoursFrom}
+                onChange={(e) => updateRule(rule.key, 'hoursFrom', e.target.value)}
+                disabled={disabled}
+                inputProps={{ min: 0, max: 23 }}
+              />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <TextField
+                fullWidth
+                size="small"
+                label="To hour"
+                type="number"
+                value={rule.hoursTo}
+                onChange={(e) => updateRule(rule.key, 'hoursTo', e.target.value)}
+                disabled={disabled}
+                inputProps={{ min: 1, max: 24 }}
+              />
+            </Grid>
+          </Grid>
+        </Paper>
+      ))}
+
+      <Button
+        size="small"
+        startIcon={<AddIcon />}
+        onClick={() => onChange([...rules, createRuleDraft()])}
+        disabled={disabled}
+      >
+        Add rule
+      </Button>
+    </Box>
+  );
+};
+
+export default RedirectRulesEditor;
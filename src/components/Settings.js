@@ -0,0 +1,640 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  Stack,
+  MenuItem,
+  Chip,
+  LinearProgress,
+  Grid,
+  FormControlLabel,
+  Switch
+} from '@mui/material';
+import {
+  Save as SaveIcon,
+  UploadFile as UploadIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import urlService, { DUPLICATE_POLICIES, FALLBACK_MODES } from '../services/urlService';
+import {
+  SHORTCODE_STRATEGIES,
+  SHORTCODE_ALPHABETS,
+  createShortcode
+} from '../services/shortcodeStrategies';
+import { checkShortcode, parseBlockedTerms } from '../services/shortcodePolicy';
+import { parseDomainList } from '../services/destinationPolicy';
+import { getAppBaseUrl, parseBaseUrls } from '../utils/shortUrl';
+import { PREVIEW_SUFFIX } from '../routes';
+import logger from '../utils/logger';
+
+const FALLBACK_MODE_LABELS = {
+  page: 'Explain what happened and offer a link',
+  redirect: 'Redirect without explanation'
+};
+
+const DUPLICATE_POLICY_LABELS = {
+  'always-new': 'Always create a new link',
+  'suggest-reuse': 'Suggest reusing the existing link',
+  'force-reuse': 'Always reuse the existing link'
+};
+
+// Format a code space size for display
+const formatCodeSpace = (size) => {
+  if (!isFinite(size)) return 'Unlimited';
+  return size >= 1e9 ? size.toExponential(2) : size.toLocaleString();
+};
+
+// Settings as edited in the form; lists are edited as text
+const toForm = (settings) => ({
+  ...settings,
+  blockedTerms: settings.blockedTerms.join('\n'),
+  domainAllowlist: settings.domainAllowlist.join('\n'),
+  domainDenylist: settings.domainDenylist.join('\n'),
+  shortDomains: settings.shortDomains.join('\n'),
+  defaultShortDomain: settings.defaultShortDomain || '',
+  fallbackUrl: settings.fallbackUrl || ''
+});
+
+const Settings = () => {
+  const [form, setForm] = useState(toForm(urlService.getSettings()));
+  const [message, setMessage] = useState(null);
+  const [testShortcode, setTestShortcode] = useState('');
+  const [testUrl, setTestUrl] = useState('');
+  const [threatList, setThreatList] = useState(urlService.getThreatListInfo());
+  const threatFileInput = useRef(null);
+
+  logger.info('Settings component mounted');
+
+  // Show persisted settings once they have loaded
+  useEffect(() => {
+    urlService.ready.then(() => {
+      setForm(toForm(urlService.getSettings()));
+      setThreatList(urlService.getThreatListInfo());
+    });
+  }, []);
+
+  // Update a single form field
+  const updateField = (field, value) => {
+    setForm({ ...form, [field]: value });
+    setMessage(null);
+  };
+
+  const strategy = SHORTCODE_STRATEGIES.find(option => option.id === form.shortcodeStrategy);
+  const shortcodeLength = parseInt(form.shortcodeLength, 10);
+  const lengthIsValid = shortcodeLength >= 3 && shortcodeLength <= 20;
+
+  // Code space usage for the strategy as currently entered, before saving
+  const shortcodeStats = lengthIsValid
+    ? urlService.getShortcodeStats({ ...form, shortcodeLength })
+    : null;
+
+  // A few example codes for the selected strategy
+  const examples = useMemo(() => {
+    if (form.shortcodeStrategy === 'sequential' || !lengthIsValid) {
+      return [];
+    }
+    const alphabet = urlService.getShortcodeAlphabet({
+      shortcodeAlphabet: form.shortcodeAlphabet,
+      caseInsensitiveShortcodes: form.caseInsensitiveShortcodes
+    });
+    return [0, 1, 2].map(attempt => {
+      const example = createShortcode(form.shortcodeStrategy, {
+        length: shortcodeLength,
+        alphabet,
+        url: 'https://example.com/landing',
+        attempt
+      });
+      return form.caseInsensitiveShortcodes ? example.toLowerCase() : example;
+    });
+  }, [form.shortcodeStrategy, form.shortcodeAlphabet, form.caseInsensitiveShortcodes, shortcodeLength, lengthIsValid]);
+
+  // Links that would stay apart when switching to case-insensitive matching
+  const caseCollisions = form.caseInsensitiveShortcodes && !urlService.getSettings().caseInsensitiveShortcodes
+    ? urlService.findCaseCollisions()
+    : [];
+
+  // Check a sample shortcode against the blocklist as currently entered
+  const blockedTerms = parseBlockedTerms(form.blockedTerms);
+  const testRejection = testShortcode
+    ? checkShortcode(testShortcode, { useDefaultBlocklist: form.useDefaultBlocklist, blockedTerms })
+    : null;
+
+  // Check a sample destination against the policy as currently entered
+  const domainAllowlist = parseDomainList(form.domainAllowlist);
+  const domainDenylist = parseDomainList(form.domainDenylist);
+  const { baseUrls: shortDomains, invalid: invalidShortDomains } = parseBaseUrls(form.shortDomains);
+  const testUrlRejection = testUrl
+    ? urlService.getDestinationRejection(testUrl, { ...form, domainAllowlist, domainDenylist, shortDomains })
+    : null;
+
+  // Load a malicious-domain list from a local file
+  const handleThreatFileSelected = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = urlService.loadThreatList(reader.result, file.name);
+      if (result.success) {
+        setThreatList(result.data);
+        setMessage({ severity: 'success', text: `Loaded ${result.data.count.toLocaleString()} malicious domains from ${file.name}.` });
+      } else {
+        setMessage({ severity: 'error', text: result.error });
+      }
+    };
+    reader.onerror = () => setMessage({ severity: 'error', text: 'Could not read the file.' });
+    reader.readAsText(file);
+  };
+
+  const handleClearThreatList = () => {
+    urlService.clearThreatList();
+    setThreatList(urlService.getThreatListInfo());
+  };
+
+  const handleSave = () => {
+    if (invalidShortDomains.length > 0) {
+      setMessage({
+        severity: 'error',
+        text: `Not a usable short link domain: ${invalidShortDomains.join(', ')}. Enter http(s) base URLs such as https://go.example.com.`
+      });
+      return;
+    }
+
+    const result = urlService.updateSettings({
+      trashRetentionDays: parseInt(form.trashRetentionDays, 10),
+      shortcodeStrategy: form.shortcodeStrategy,
+      shortcodeLength,
+      shortcodeAlphabet: form.shortcodeAlphabet,
+      useDefaultBlocklist: form.useDefaultBlocklist,
+      blockedTerms,
+      caseInsensitiveShortcodes: form.caseInsensitiveShortcodes,
+      duplicatePolicy: form.duplicatePolicy,
+      stripTrackingParams: form.stripTrackingParams,
+      blockIPLiterals: form.blockIPLiterals,
+      blockPrivateNetworks: form.blockPrivateNetworks,
+      domainAllowlist,
+      domainDenylist,
+      shortDomains,
+      previewCountdownSeconds: parseInt(form.previewCountdownSeconds, 10),
+      fallbackUrl: form.fallbackUrl.trim() || null,
+      fallbackMode: form.fallbackMode,
+      // A removed domain can no longer be the default
+      defaultShortDomain: shortDomains.includes(form.defaultShortDomain) ? form.defaultShortDomain : null
+    });
+
+    if (result.success) {
+      setForm(toForm(result.data));
+      const renamedCount = result.canonicalization ? result.canonicalization.renamed.length : 0;
+      setMessage({
+        severity: 'success',
+        text: renamedCount > 0
+          ? `Settings saved. ${renamedCount} shortcode(s) were converted to lowercase; their old spellings still work.`
+          : 'Settings saved.'
+      });
+    } else {
+      setMessage({ severity: 'error', text: result.error });
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" component="h1" sx={{ mb: 3 }}>
+        Settings
+      </Typography>
+
+      <Paper elevation={3} sx={{ p: 4 }}>
+        <Stack spacing={3}>
+          {message && <Alert severity={message.severity}>{message.text}</Alert>}
+
+          <Box>
+            <Typography variant="h6" gutterBottom>
+              Trash
+            </Typography>
+            <TextField
+              label="Trash retention (days)"
+              type="number"
+              value={form.trashRetentionDays}
+              onChange={(e) => updateField('trashRetentionDays', e.target.value)}
+              inputProps={{ min: 1 }}
+              helperText="Deleted and expired links can be restored during this window"
+            />
+          </Box>
+
+          <Box>
+            <Typography variant="h6" gutterBottom>
+              Short link domains
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              Short links are served from {getAppBaseUrl()} unless you add other domains that point at this app.
+              Existing links keep the domain they were created with; changing it is possible when editing a link.
+            </Typography>
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  multiline
+                  minRows={3}
+                  label="Domains"
+                  placeholder={'https://go.example.com\nhttps://example.com/s'}
+                  value={form.shortDomains}
+                  onChange={(e) => updateField('shortDomains', e.target.value)}
+                  error={invalidShortDomains.length > 0}
+                  helperText={
+                    invalidShortDomains.length > 0
+                      ? `Not a usable base URL: ${invalidShortDomains.join(', ')}`
+                      : 'One base URL per line, including http:// or https://'
+                  }
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  select
+                  fullWidth
+                  label="Default for new links"
+                  value={shortDomains.includes(form.defaultShortDomain) ? form.defaultShortDomain : ''}
+                  onChange={(e) => updateField('defaultShortDomain', e.target.value)}
+                >
+                  <MenuItem value="">This app ({getAppBaseUrl()})</MenuItem>
+                  {shortDomains.map(domain => (
+                    <MenuItem key={domain} value={domain}>
+                      {domain}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            </Grid>
+          </Box>
+
+          <Box>
+            <Typography variant="h6" gutterBottom>
+              Preview pages
+            </Typography>
+            <TextField
+              label="Countdown (seconds)"
+              type="number"
+              value={form.previewCountdownSeconds}
+              onChange={(e) => updateField('previewCountdownSeconds', e.target.value)}
+              inputProps={{ min: 0, max: 60 }}
+              helperText="How long the preview page waits before continuing; 0 waits for the visitor to click Continue"
+            />
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              Links with a preview page show the destination and the owner's note first. Visitors can add {PREVIEW_SUFFIX} to
+              any short link to see its preview.
+            </Typography>
+          </Box>
+
+          <Box>
+            <Typography variant="h6" gutterBottom>
+              Fallback destinations
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              Each link can have its own fallback URL for after it expires or uses up its clicks.
+              The URL below is used for shortcodes that do not exist.
+            </Typography>
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  label="Fallback for unknown short links"
+                  placeholder="https://example.com"
+                  value={form.fallbackUrl}
+                  onChange={(e) => updateField('fallbackUrl', e.target.value)}
+                  helperText="Leave empty to show the not-found page"
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  select
+                  fullWidth
+                  label="When a fallback applies"
+                  value={form.fallbackMode}
+                  onChange={(e) => updateField('fallbackMode', e.target.value)}
+                >
+                  {FALLBACK_MODES.map(mode => (
+                    <MenuItem key={mode} value={mode}>
+                      {FALLBACK_MODE_LABELS[mode]}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            </Grid>
+          </Box>
+
+          <Box>
+            <Typography variant="h6" gutterBottom>
+              Duplicate links
+            </Typography>
+            <TextField
+              select
+              label="When a URL already has an active short link"
+              value={form.duplicatePolicy}
+              onChange={(e) => updateField('duplicatePolicy', e.target.value)}
+              sx={{ minWidth: 320 }}
+              helperText="Links with a password, click limit, schedule, rules or split destinations are never reused"
+            >
+              {DUPLICATE_POLICIES.map(policy => (
+                <MenuItem key={policy} value={policy}>
+                  {DUPLICATE_POLICY_LABELS[policy]}
+                </MenuItem>
+              ))}
+            </TextField>
+            <Box sx={{ mt: 1 }}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={form.stripTrackingParams}
+                    onChange={(e) => updateField('stripTrackingParams', e.target.checked)}
+                  />
+                }
+                label="Remove tracking parameters (utm_*, fbclid, gclid, ...) from entered URLs"
+              />
+            </Box>
+            <Typography variant="body2" color="text.secondary">
+              URLs are compared after lowercasing the host, dropping default ports and sorting query parameters.
+              Campaign parameters from the UTM builder are always kept.
+            </Typography>
+          </Box>
+
+          <Box>
+            <Typography variant="h6" gutterBottom>
+              Destination safety
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              Links back to this shortener or one of its short link domains are always rejected. Patterns may use * as a wildcard,
+              e.g. *.example.com for every subdomain.
+            </Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={form.blockPrivateNetworks}
+                    onChange={(e) => updateField('blockPrivateNetworks', e.target.checked)}
+                  />
+                }
+                label="Block private and local networks"
+              />
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={form.blockIPLiterals}
+                    onChange={(e) => updateField('blockIPLiterals', e.target.checked)}
+                  />
+                }
+                label="Block IP addresses"
+              />
+            </Box>
+            <Grid container spacing={2} sx={{ mt: 1 }}>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  multiline
+                  minRows={3}
+                  label="Allowed domains"
+                  placeholder={'example.com\n*.example.com'}
+                  value={form.domainAllowlist}
+                  onChange={(e) => updateField('domainAllowlist', e.target.value)}
+                  helperText="Leave empty to allow any domain"
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  multiline
+                  minRows={3}
+                  label="Blocked domains"
+                  placeholder={'bit.ly\n*.example.org'}
+                  value={form.domainDenylist}
+                  onChange={(e) => updateField('domainDenylist', e.target.value)}
+                  helperText="One per line or comma separated"
+                />
+              </Grid>
+            </Grid>
+
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mt: 2 }}>
+              <Typography variant="body2">
+                Malicious domain list:{' '}
+                {threatList.count > 0
+                  ? `${threatList.count.toLocaleString()} domains from ${threatList.name || 'a local file'}` +
+                    (threatList.loadedAt ? `, loaded ${threatList.loadedAt.toLocaleString()}` : '')
+                  : 'none loaded'}
+              </Typography>
+              <input
+                ref={threatFileInput}
+                type="file"
+                accept=".txt,.csv,.hosts,text/plain"
+                hidden
+                onChange={handleThreatFileSelected}
+              />
+              <Button size="small" startIcon={<UploadIcon />} onClick={() => threatFileInput.current.click()}>
+                {threatList.count > 0 ? 'Replace list' : 'Load list'}
+              </Button>
+              {threatList.count > 0 && (
+                <Button size="small" color="error" startIcon={<DeleteIcon />} onClick={handleClearThreatList}>
+                  Remove list
+                </Button>
+              )}
+            </Box>
+            <Typography variant="body2" color="text.secondary">
+              A text file with one domain per line or in hosts-file format. Subdomains of listed domains are blocked too.
+              The list is applied immediately.
+            </Typography>
+
+            <TextField
+              fullWidth
+              label="Try a URL"
+              value={testUrl}
+              onChange={(e) => setTestUrl(e.target.value)}
+              error={!!testUrlRejection}
+              helperText={
+                testUrl
+                  ? (testUrlRejection ? testUrlRejection.reason : 'Allowed.')
+                  : 'Check a destination against the rules above'
+              }
+              sx={{ mt: 2 }}
+            />
+          </Box>
+
+          <Box>
+            <Typography variant="h6" gutterBottom>
+              Generated shortcodes
+            </Typography>
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={4}>
+                <TextField
+                  select
+                  fullWidth
+                  label="Strategy"
+                  value={form.shortcodeStrategy}
+                  onChange={(e) => updateField('shortcodeStrategy', e.target.value)}
+                  helperText={strategy && strategy.description}
+                >
+                  {SHORTCODE_STRATEGIES.map(option => (
+                    <MenuItem key={option.id} value={option.id}>
+                      {option.label}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={12} md={3}>
+                <TextField
+                  fullWidth
+                  label="Length"
+                  type="number"
+                  value={form.shortcodeLength}
+                  onChange={(e) => updateField('shortcodeLength', e.target.value)}
+                  disabled={!strategy || !strategy.usesLength}
+                  inputProps={{ min: 3, max: 20 }}
+                  error={!lengthIsValid}
+                  helperText="3-20 characters"
+                />
+              </Grid>
+              <Grid item xs={12} md={5}>
+                <TextField
+                  select
+                  fullWidth
+                  label="Alphabet"
+                  value={form.shortcodeAlphabet}
+                  onChange={(e) => updateField('shortcodeAlphabet', e.target.value)}
+                  disabled={!strategy || !strategy.usesLength}
+                >
+                  {Object.entries(SHORTCODE_ALPHABETS).map(([id, alphabet]) => (
+                    <MenuItem key={id} value={id}>
+                      {alphabet.label}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            </Grid>
+
+            {examples.length > 0 && (
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mt: 2 }}>
+                <Typography variant="body2" color="text.secondary">
+                  Examples:
+                </Typography>
+                {examples.map((example, index) => (
+                  <Chip key={index} label={example} size="small" sx={{ fontFamily: 'monospace' }} />
+                ))}
+              </Box>
+            )}
+
+            {shortcodeStats && (
+              <Box sx={{ mt: 2 }}>
+                <Typography variant="body2" color="text.secondary">
+                  {shortcodeStats.used.toLocaleString()} of {formatCodeSpace(shortcodeStats.codeSpace)} codes in use
+                  {isFinite(shortcodeStats.codeSpace) && ` (${(shortcodeStats.fillRatio * 100).toFixed(4)}%)`}
+                </Typography>
+                {isFinite(shortcodeStats.codeSpace) && (
+                  <>
+                    <LinearProgress
+                      variant="determinate"
+                      value={Math.min(shortcodeStats.fillRatio * 100, 100)}
+                      color={shortcodeStats.fillRatio > 0.5 ? 'warning' : 'primary'}
+                      sx={{ my: 1 }}
+                    />
+                    <Typography variant="body2" color="text.secondary">
+                      Chance a new code collides: {(shortcodeStats.collisionProbability * 100).toFixed(4)}%
+                      {' · '}expected tries per code: {isFinite(shortcodeStats.expectedAttempts) ? shortcodeStats.expectedAttempts.toFixed(2) : '∞'}
+                    </Typography>
+                  </>
+                )}
+                {shortcodeStats.fillRatio > 0.5 && (
+                  <Alert severity="warning" sx={{ mt: 1 }}>
+                    More than half of this code space is taken. Use a longer length or a larger alphabet;
+                    when no free code is found the sequential counter is used instead.
+                  </Alert>
+                )}
+              </Box>
+            )}
+          </Box>
+
+          <Box>
+            <Typography variant="h6" gutterBottom>
+              Letter case
+            </Typography>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={form.caseInsensitiveShortcodes}
+                  onChange={(e) => updateField('caseInsensitiveShortcodes', e.target.checked)}
+                />
+              }
+              label="Case-insensitive shortcodes"
+            />
+            <Typography variant="body2" color="text.secondary">
+              Promo, PROMO and promo open the same link, and visitors are sent to the stored spelling.
+              New shortcodes are saved in lowercase and existing ones are converted when you turn this on.
+            </Typography>
+            {caseCollisions.length > 0 && (
+              <Alert severity="warning" sx={{ mt: 2 }}>
+                These shortcodes only differ in case and will be left as they are:{' '}
+                {caseCollisions.map(group => group.shortcodes.join(' / ')).join(', ')}.
+                Other spellings open {caseCollisions.length === 1 ? 'the first one' : 'the first of each'}; each keeps
+                working when typed exactly.
+              </Alert>
+            )}
+          </Box>
+
+          <Box>
+            <Typography variant="h6" gutterBottom>
+              Blocked shortcodes
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Page names such as "statistics" and "settings" are always reserved. Custom and generated
+              shortcodes containing a blocked term are rejected.
+            </Typography>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={form.useDefaultBlocklist}
+                  onChange={(e) => updateField('useDefaultBlocklist', e.target.checked)}
+                />
+              }
+              label="Block common offensive words"
+            />
+            <Grid container spacing={2} sx={{ mt: 1 }}>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  multiline
+                  minRows={3}
+                  label="Additional blocked terms"
+                  placeholder={'competitor\nlogin'}
+                  value={form.blockedTerms}
+                  onChange={(e) => updateField('blockedTerms', e.target.value)}
+                  helperText="One per line or comma separated, e.g. brand names. Matches anywhere in a shortcode, ignoring case."
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  label="Try a shortcode"
+                  value={testShortcode}
+                  onChange={(e) => setTestShortcode(e.target.value)}
+                  error={!!testRejection}
+                  helperText={
+                    testShortcode
+                      ? (testRejection ? testRejection.reason : 'Allowed (if not already in use).')
+                      : 'Check a shortcode against the rules above'
+                  }
+                />
+              </Grid>
+            </Grid>
+          </Box>
+
+          <Box>
+            <Button variant="contained" startIcon={<SaveIcon />} onClick={handleSave}>
+              Save Settings
+            </Button>
+          </Box>
+        </Stack>
+      </Paper>
+    </Box>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,140 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  IconButton,
+  Tooltip,
+  Grid
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import { assignVariantIds } from '../utils/splitTraffic';
+
+let nextDraftKey = 1;
+
+// Create a split destination draft for the editor
+const createVariantDraft = (url = '', weight = '') => ({
+  key: nextDraftKey++,
+  id: null,
+  url,
+  weight: String(weight)
+});
+
+/**
+ * Convert stored split variants into editor drafts
+ * @param {Array} variants - Weighted variants
+ * @returns {Array} Editor drafts
+ */
+export const variantsToDrafts = (variants = []) => variants.map(variant => ({
+  ...createVariantDraft(variant.url, variant.weight),
+  id: variant.id
+}));
+
+/**
+ * Convert editor drafts into split variants
+ * @param {Array} drafts - Editor drafts
+ * @returns {Array} Weighted variants
+ */
+export const draftsToVariants = (drafts = []) => drafts.map(draft => ({
+  ...(draft.id ? { id: draft.id } : {}),
+  url: draft.url.trim(),
+  weight: Number(draft.weight)
+}));
+
+const SplitDestinationsEditor = ({ variants, onChange, defaultUrl = '', usedVariantIds = [], disabled = false }) => {
+  const totalWeight = variants.reduce((total, variant) => total + (Number(variant.weight) || 0), 0);
+
+  // Label new variants with the ids they will be saved under
+  const variantIds = assignVariantIds(variants, usedVariantIds).map(variant => variant.id);
+
+  // Update one field of a variant draft
+  const updateVariant = (key, field, value) => {
+    onChange(variants.map(variant => variant.key === key ? { ...variant, [field]: value } : variant));
+  };
+
+  // Start a 50/50 split with the original URL as variant A
+  const startSplit = () => {
+    onChange([createVariantDraft(defaultUrl, 50), createVariantDraft('', 50)]);
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom>
+        A/B split
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Sends each visitor to one destination by weight. A visitor keeps getting the same variant.
+      </Typography>
+
+      {variants.length === 0 ? (
+        <Button size="small" startIcon={<AddIcon />} onClick={startSplit} disabled={disabled}>
+          Split traffic
+        </Button>
+      ) : (
+        <>
+          {variants.map((variant, index) => (
+            <Grid container spacing={2} key={variant.key} sx={{ mb: 1 }} alignItems="center">
+              <Grid item xs={12} md={8}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label={`Variant ${variantIds[index]} URL`}
+                  placeholder="https://example.com/landing-b"
+                  value={variant.url}
+                  onChange={(e) => updateVariant(variant.key, 'url', e.target.value)}
+                  disabled={disabled}
+                />
+              </Grid>
+              <Grid item xs={9} md={3}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Weight (%)"
+                  type="number"
+                  value={variant.weight}
+                  onChange={(e) => updateVariant(variant.key, 'weight', e.target.value)}
+                  disabled={disabled}
+                  inputProps={{ min: 1, max: 100 }}
+                />
+              </Grid>
+              <Grid item xs={3} md={1}>
+                <Tooltip title="Remove variant">
+                  <span>
+                    <IconButton
+                      size="small"
+                      color="error"
+                      disabled={disabled}
+                      onClick={() => onChange(variants.filter(v => v.key !== variant.key))}
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              </Grid>
+            </Grid>
+          ))}
+
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Button
+              size="small"
+              startIcon={<AddIcon />}
+              onClick={() => onChange([...variants, createVariantDraft()])}
+              disabled={disabled || variants.length >= 26}
+            >
+              Add variant
+            </Button>
+            <Typography variant="caption" color={totalWeight === 100 ? 'text.secondary' : 'error'}>
+              Total: {totalWeight}% {totalWeight !== 100 && '(must be 100%)'}
+            </Typography>
+          </Box>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default SplitDestinationsEditor;
@@ -23,7 +23,10 @@ import {
   ListItem,
   ListItemText,
   Divider,
-  Button
+  Button,
+  Checkbox,
+  TextField,
+  MenuItem
 } from '@mui/material';
 import {
   ContentCopy as CopyIcon,
@@ -33,40 +36,54 @@ import {
   Schedule as ScheduleIcon,
   Visibility as VisibilityIcon,
   LocationOn as LocationIcon,
-  AccessTime as TimeIcon
+  AccessTime as TimeIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  DeleteOutline as TrashIcon,
+  Lock as LockIcon,
+  AltRoute as RuleIcon,
+  QrCode2 as QrCodeIcon,
+  Backup as BackupIcon
 } from '@mui/icons-material';
 import urlService from '../services/urlService';
+import useURLService from '../hooks/useURLService';
+import EditURLDialog from './EditURLDialog';
+import TrashBin from './TrashBin';
+import QRCodeDialog from './QRCodeDialog';
+import BackupDialog from './BackupDialog';
 import logger from '../utils/logger';
 
 const Statistics = () => {
-  const [urls, setUrls] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [editingUrl, setEditingUrl] = useState(null);
+  const [qrUrl, setQrUrl] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [campaignFilter, setCampaignFilter] = useState('');
+  const [showBackup, setShowBackup] = useState(false);
 
   logger.info('Statistics component mounted');
 
-  // Load all URLs
-  const loadURLs = () => {
-    try {
-      setLoading(true);
-      setError(null);
-      
-      const allURLs = urlService.getAllURLs();
-      setUrls(allURLs);
-      
-      logger.info('Loaded URLs for statistics', { count: allURLs.length });
-    } catch (err) {
-      setError('Failed to load URL statistics');
-      logger.error('Failed to load URL statistics', { error: err.message });
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Live view of all links; re-read whenever a link changes in any tab
+  const { data, loading, error: loadError, refresh } = useURLService(service => {
+    const allURLs = service.getAllURLs();
+    logger.info('Loaded URLs for statistics', { count: allURLs.length });
+    return {
+      urls: allURLs,
+      trashedUrls: service.getTrashedURLs(),
+      unknownFallbackHits: service.getUnknownFallbackHits()
+    };
+  });
+  const urls = data ? data.urls : [];
+  const trashedUrls = data ? data.trashedUrls : [];
+  const unknownFallbackHits = data ? data.unknownFallbackHits : 0;
 
-  // Load URLs on component mount
+  // Drop selected links that were removed, here or in another tab
   useEffect(() => {
-    loadURLs();
-  }, []);
+    if (data) {
+      setSelected(selected => selected.filter(code => data.urls.some(url => url.shortcode === code)));
+    }
+  }, [data]);
 
   // Copy to clipboard
   const copyToClipboard = (text) => {
@@ -79,11 +96,21 @@ const Statistics = () => {
 
   // Get status chip for URL
   const getStatusChip = (url) => {
-    const now = new Date();
-    const isExpired = now > new Date(url.expiresAt);
+    const status = urlService.getLinkStatus(url);
+    const remaining = urlService.getRemainingClicks(url);
     
-    if (isExpired) {
+    if (status === 'expired') {
       return <Chip label="Expired" color="error" size="small" />;
+    } else if (status === 'scheduled') {
+      return (
+        <Tooltip title={`Goes live ${formatDate(url.activatesAt)}`}>
+          <Chip label="Scheduled" color="info" size="small" />
+        </Tooltip>
+      );
+    } else if (status === 'exhausted') {
+      return <Chip label="Limit reached" color="warning" size="small" />;
+    } else if (remaining !== null) {
+      return <Chip label={`Active · ${remaining} ${remaining === 1 ? 'use' : 'uses'} left`} color="success" size="small" />;
     } else {
       return <Chip label="Active" color="success" size="small" />;
     }
@@ -104,6 +131,27 @@ const Statistics = () => {
     }
   };
 
+  // Close the edit dialog; the update event refreshes the view
+  const handleEditSaved = (updatedUrl) => {
+    setEditingUrl(null);
+    logger.info('Short URL saved from statistics', { shortcode: updatedUrl.shortcode });
+  };
+
+  // Toggle a row in the bulk selection
+  const toggleSelected = (shortcode) => {
+    setSelected(selected.includes(shortcode)
+      ? selected.filter(code => code !== shortcode)
+      : [...selected, shortcode]);
+  };
+
+  // Move links to the trash
+  const deleteURLs = (shortcodes) => {
+    const result = urlService.deleteShortURLs(shortcodes);
+    if (!result.success) {
+      setError(`Failed to delete ${result.data.failed.length} link(s)`);
+    }
+  };
+
   // Get detailed statistics for a URL
   const getDetailedStats = (url) => {
     const stats = urlService.getURLStats(url.shortcode);
@@ -118,34 +166,72 @@ const Statistics = () => {
     );
   }
 
-  if (error) {
+  if (error || loadError) {
     return (
       <Alert severity="error" action={
-        <Button color="inherit" size="small" onClick={loadURLs}>
+        <Button color="inherit" size="small" onClick={() => { setError(null); refresh(); }}>
           Retry
         </Button>
       }>
-        {error}
+        {error || 'Failed to load URL statistics'}
       </Alert>
     );
   }
 
+  const campaigns = urlService.getCampaigns();
+  const visibleUrls = campaignFilter
+    ? urls.filter(url => urlService.getLinkCampaign(url) === campaignFilter)
+    : urls;
+
+  // Expired links keep answering with their fallback from the trash
+  const fallbackHits = [...urls, ...trashedUrls]
+    .filter(url => !campaignFilter || urlService.getLinkCampaign(url) === campaignFilter)
+    .reduce((total, url) => total + url.fallbackHits, 0);
+
   return (
     <Box>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
         <Typography variant="h4" component="h1">
           URL Statistics
         </Typography>
-        <Button
-          variant="outlined"
-          startIcon={<RefreshIcon />}
-          onClick={loadURLs}
-        >
-          Refresh
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          {!showTrash && selected.length > 0 && (
+            <Button
+              variant="outlined"
+              color="error"
+              startIcon={<DeleteIcon />}
+              onClick={() => deleteURLs(selected)}
+            >
+              Delete selected ({selected.length})
+            </Button>
+          )}
+          <Button
+            variant={showTrash ? 'contained' : 'outlined'}
+            startIcon={<TrashIcon />}
+            onClick={() => setShowTrash(!showTrash)}
+          >
+            Trash ({trashedUrls.length})
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<BackupIcon />}
+            onClick={() => setShowBackup(true)}
+          >
+            Backup
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<RefreshIcon />}
+            onClick={refresh}
+          >
+            Refresh
+          </Button>
+        </Box>
       </Box>
 
-      {urls.length === 0 ? (
+      {showTrash ? (
+        <TrashBin urls={trashedUrls} />
+      ) : urls.length === 0 ? (
         <Paper elevation={3} sx={{ p: 4, textAlign: 'center' }}>
           <Typography variant="h6" color="text.secondary" gutterBottom>
             No URLs Found
@@ -156,6 +242,25 @@ const Statistics = () => {
         </Paper>
       ) : (
         <>
+          {/* Campaign Filter */}
+          {campaigns.length > 0 && (
+            <TextField
+              select
+              size="small"
+              label="Campaign"
+              value={campaignFilter}
+              onChange={(e) => { setCampaignFilter(e.target.value); setSelected([]); }}
+              sx={{ minWidth: 240, mb: 3 }}
+            >
+              <MenuItem value="">All campaigns</MenuItem>
+              {campaigns.map(campaign => (
+                <MenuItem key={campaign} value={campaign}>
+                  {campaign}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+
           {/* Summary Cards */}
           <Grid container spacing={3} sx={{ mb: 3 }}>
             <Grid item xs={12} sm={6} md={3}>
@@ -165,7 +270,7 @@ const Statistics = () => {
                     Total URLs
                   </Typography>
                   <Typography variant="h4">
-                    {urls.length}
+                    {visibleUrls.length}
                   </Typography>
                 </CardContent>
               </Card>
@@ -178,8 +283,13 @@ const Statistics = () => {
                     Active URLs
                   </Typography>
                   <Typography variant="h4" color="success.main">
-                    {urls.filter(url => new Date() <= new Date(url.expiresAt)).length}
+                    {visibleUrls.filter(url => urlService.getLinkStatus(url) === 'active').length}
                   </Typography>
+                  {visibleUrls.some(url => urlService.getLinkStatus(url) === 'scheduled') && (
+                    <Typography variant="caption" color="info.main">
+                      + {visibleUrls.filter(url => urlService.getLinkStatus(url) === 'scheduled').length} scheduled
+                    </Typography>
+                  )}
                 </CardContent>
               </Card>
             </Grid>
@@ -191,7 +301,7 @@ const Statistics = () => {
                     Expired URLs
                   </Typography>
                   <Typography variant="h4" color="error.main">
-                    {urls.filter(url => new Date() > new Date(url.expiresAt)).length}
+                    {visibleUrls.filter(url => new Date() > new Date(url.expiresAt)).length}
                   </Typography>
                 </CardContent>
               </Card>
@@ -204,8 +314,14 @@ const Statistics = () => {
                     Total Clicks
                   </Typography>
                   <Typography variant="h4" color="primary.main">
-                    {urls.reduce((total, url) => total + url.clickCount, 0)}
+                    {visibleUrls.reduce((total, url) => total + url.clickCount, 0)}
                   </Typography>
+                  {(fallbackHits > 0 || unknownFallbackHits > 0) && (
+                    <Typography variant="caption" color="text.secondary">
+                      + {fallbackHits} fallback hits
+                      {!campaignFilter && unknownFallbackHits > 0 ? `, ${unknownFallbackHits} for unknown links` : ''}
+                    </Typography>
+                  )}
                 </CardContent>
               </Card>
             </Grid>
@@ -217,6 +333,13 @@ const Statistics = () => {
               <Table>
                 <TableHead>
                   <TableRow>
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        checked={selected.length === visibleUrls.length}
+                        indeterminate={selected.length > 0 && selected.length < visibleUrls.length}
+                        onChange={(e) => setSelected(e.target.checked ? visibleUrls.map(url => url.shortcode) : [])}
+                      />
+                    </TableCell>
                     <TableCell>Short URL</TableCell>
                     <TableCell>Original URL</TableCell>
                     <TableCell>Status</TableCell>
@@ -227,14 +350,25 @@ const Statistics = () => {
                   </TableRow>
                 </TableHead>
                 <TableBody>
-                  {urls.map((url) => {
+                  {visibleUrls.map((url) => {
                     return (
                       <TableRow key={url.id}>
+                        <TableCell padding="checkbox">
+                          <Checkbox
+                            checked={selected.includes(url.shortcode)}
+                            onChange={() => toggleSelected(url.shortcode)}
+                          />
+                        </TableCell>
                         <TableCell>
                           <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                             <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
                               {url.shortUrl}
                             </Typography>
+                            {url.passwordHash && (
+                              <Tooltip title="Password protected">
+                                <LockIcon fontSize="small" color="action" />
+                              </Tooltip>
+                            )}
                             <Tooltip title="Copy short URL">
                               <IconButton
                                 size="small"
@@ -260,6 +394,30 @@ const Statistics = () => {
                               {url.originalUrl}
                             </Typography>
                           </Tooltip>
+                          {url.variants && url.variants.length > 0 && (
+                            <Chip
+                              label={`A/B · ${url.variants.length} variants`}
+                              size="small"
+                              variant="outlined"
+                              sx={{ mt: 0.5 }}
+                            />
+                          )}
+                          {url.preview && (
+                            <Chip
+                              label="Preview page"
+                              size="small"
+                              variant="outlined"
+                              sx={{ mt: 0.5, ml: url.variants && url.variants.length > 0 ? 0.5 : 0 }}
+                            />
+                          )}
+                          {url.passthrough && (
+                            <Chip
+                              label="Passthrough"
+                              size="small"
+                              variant="outlined"
+                              sx={{ mt: 0.5, ml: (url.variants && url.variants.length > 0) || url.preview ? 0.5 : 0 }}
+                            />
+                          )}
                         </TableCell>
                         
                         <TableCell>
@@ -286,8 +444,15 @@ const Statistics = () => {
                         
                         <TableCell>
                           <Typography variant="body2" color="primary">
-                            {url.clickCount}
+                            {url.clickCount}{url.maxClicks ? ` / ${url.maxClicks}` : ''}
                           </Typography>
+                          {url.fallbackHits > 0 && (
+                            <Tooltip title={`Sent to ${url.fallbackUrl}`}>
+                              <Typography variant="caption" color="text.secondary">
+                                + {url.fallbackHits} fallback
+                              </Typography>
+                            </Tooltip>
+                          )}
                         </TableCell>
                         
                         <TableCell>
@@ -302,6 +467,31 @@ const Statistics = () => {
                               <VisibilityIcon />
                             </IconButton>
                           </Tooltip>
+                          <Tooltip title="QR code">
+                            <IconButton
+                              size="small"
+                              onClick={() => setQrUrl(url)}
+                            >
+                              <QrCodeIcon />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Edit short URL">
+                            <IconButton
+                              size="small"
+                              onClick={() => setEditingUrl(url)}
+                            >
+                              <EditIcon />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Move to trash">
+                            <IconButton
+                              size="small"
+                              color="error"
+                              onClick={() => deleteURLs([url.shortcode])}
+                            >
+                              <DeleteIcon />
+                            </IconButton>
+                          </Tooltip>
                         </TableCell>
                       </TableRow>
                     );
@@ -312,13 +502,13 @@ const Statistics = () => {
           </Paper>
 
           {/* Detailed Click Analytics */}
-          {urls.some(url => url.clickCount > 0) && (
+          {visibleUrls.some(url => url.clickCount > 0) && (
             <Paper elevation={3} sx={{ mt: 3 }}>
               <Typography variant="h6" sx={{ p: 2, pb: 0 }}>
                 Detailed Click Analytics
               </Typography>
               
-              {urls
+              {visibleUrls
                 .filter(url => url.clickCount > 0)
                 .map((url) => {
                   const detailedStats = getDetailedStats(url);
@@ -338,6 +528,20 @@ const Statistics = () => {
                       </AccordionSummary>
                       
                       <AccordionDetails>
+                        {url.variants && url.variants.length > 0 && (
+                          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                            {urlService.getVariantStats(url.shortcode).map(variant => (
+                              <Tooltip key={variant.id} title={variant.url}>
+                                <Chip
+                                  label={`Variant ${variant.id} (${variant.weight}%): ${variant.clicks} clicks`}
+                                  size="small"
+                                  color="secondary"
+                                  variant="outlined"
+                                />
+                              </Tooltip>
+                            ))}
+                          </Box>
+                        )}
                         {detailedStats.clicks && detailedStats.clicks.length > 0 ? (
                           <List>
                             {detailedStats.clicks.map((click, index) => (
@@ -366,6 +570,16 @@ const Statistics = () => {
                                             Location: {click.location}
                                           </Typography>
                                         </Box>
+                                        {(click.rule || click.variantId || (url.rules && url.rules.length > 0)) && (
+                                          <Tooltip title={click.destination || url.originalUrl}>
+                                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                                              <RuleIcon fontSize="small" color="action" />
+                                              <Typography variant="caption" color="text.secondary">
+                                                Served by: {click.rule ? `Rule (${click.rule})` : click.variantId ? `Variant ${click.variantId}` : 'Default URL'}
+                                              </Typography>
+                                            </Box>
+                                          </Tooltip>
+                                        )}
                                       </Box>
                                     }
                                   />
@@ -387,6 +601,25 @@ const Statistics = () => {
           )}
         </>
       )}
+
+      <EditURLDialog
+        url={editingUrl}
+        open={!!editingUrl}
+        onClose={() => setEditingUrl(null)}
+        onSaved={handleEditSaved}
+      />
+
+      <QRCodeDialog
+        value={qrUrl ? qrUrl.shortUrl : ''}
+        filename={qrUrl ? `qr-${qrUrl.shortcode}` : undefined}
+        open={!!qrUrl}
+        onClose={() => setQrUrl(null)}
+      />
+
+      <BackupDialog
+        open={showBackup}
+        onClose={() => setShowBackup(false)}
+      />
     </Box>
   );
 };
@@ -0,0 +1,254 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  IconButton,
+  Tooltip,
+  Checkbox,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert
+} from '@mui/material';
+import {
+  RestoreFromTrash as RestoreIcon,
+  DeleteForever as DeleteForeverIcon
+} from '@mui/icons-material';
+import urlService from '../services/urlService';
+import logger from '../utils/logger';
+
+const TrashBin = ({ urls }) => {
+  const [selected, setSelected] = useState([]);
+  const [pendingRestore, setPendingRestore] = useState(null); // Shortcodes waiting for a new validity
+  const [validityMinutes, setValidityMinutes] = useState('30');
+  const [restoreError, setRestoreError] = useState(null);
+  const retentionDays = urlService.getSettings().trashRetentionDays;
+
+  // Toggle a row in the selection
+  const toggleSelected = (shortcode) => {
+    setSelected(selected.includes(shortcode)
+      ? selected.filter(code => code !== shortcode)
+      : [...selected, shortcode]);
+  };
+
+  // Links past their expiry would be trashed again right away
+  const hasExpired = (shortcode) => {
+    const url = urls.find(entry => entry.shortcode === shortcode);
+    return !!url && new Date() > new Date(url.expiresAt);
+  };
+
+  // Restore links back to the active list, asking for a new validity if any have expired
+  const restore = (shortcodes) => {
+    if (shortcodes.some(hasExpired)) {
+      setPendingRestore(shortcodes);
+      setRestoreError(null);
+      return;
+    }
+
+    shortcodes.forEach(shortcode => urlService.restoreShortURL(shortcode));
+    setSelected(selected.filter(code => !shortcodes.includes(code)));
+    logger.info('Restored links from trash', { count: shortcodes.length });
+  };
+
+  // Restore the pending links, giving the expired ones the new validity
+  const confirmRestore = () => {
+    const minutes = Number(validityMinutes);
+    if (!Number.isInteger(minutes) || minutes <= 0) {
+      setRestoreError('Validity period must be a positive integer (minutes).');
+      return;
+    }
+
+    pendingRestore.forEach(shortcode => urlService.restoreShortURL(
+      shortcode,
+      hasExpired(shortcode) ? { validityMinutes: minutes } : {}
+    ));
+    setSelected(selected.filter(code => !pendingRestore.includes(code)));
+    logger.info('Restored links from trash', { count: pendingRestore.length, validityMinutes: minutes });
+    setPendingRestore(null);
+  };
+
+  // Permanently delete links, freeing their shortcodes
+  const purge = (shortcodes) => {
+    shortcodes.forEach(shortcode => urlService.purgeShortURL(shortcode));
+    setSelected(selected.filter(code => !shortcodes.includes(code)));
+    logger.info('Purged links from trash', { count: shortcodes.length });
+  };
+
+  // Date after which the cleanup job removes a trashed link
+  const getPurgeDate = (url) => {
+    return new Date(new Date(url.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000);
+  };
+
+  if (urls.length === 0) {
+    return (
+      <Paper elevation={3} sx={{ p: 4, textAlign: 'center' }}>
+        <Typography variant="h6" color="text.secondary" gutterBottom>
+          Trash is empty
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Deleted and expired links are kept here for {retentionDays} days.
+        </Typography>
+      </Paper>
+    );
+  }
+
+  return (
+    <Paper elevation={3}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', p: 2 }}>
+        <Typography variant="body2" color="text.secondary">
+          Links are permanently deleted {retentionDays} days after they reach the trash.
+          Their shortcodes cannot be reused until then.
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            size="small"
+            variant="outlined"
+            startIcon={<RestoreIcon />}
+            disabled={selected.length === 0}
+            onClick={() => restore(selected)}
+          >
+            Restore ({selected.length})
+          </Button>
+          <Button
+            size="small"
+            variant="outlined"
+            color="error"
+            startIcon={<DeleteForeverIcon />}
+            disabled={selected.length === 0}
+            onClick={() => purge(selected)}
+          >
+            Delete forever ({selected.length})
+          </Button>
+        </Box>
+      </Box>
+      <TableContainer>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell padding="checkbox">
+                <Checkbox
+                  checked={selected.length === urls.length}
+                  indeterminate={selected.length > 0 && selected.length < urls.length}
+                  onChange={(e) => setSelected(e.target.checked ? urls.map(url => url.shortcode) : [])}
+                />
+              </TableCell>
+              <TableCell>Short URL</TableCell>
+              <TableCell>Original URL</TableCell>
+              <TableCell>Reason</TableCell>
+              <TableCell>Deleted</TableCell>
+              <TableCell>Purged after</TableCell>
+              <TableCell>Clicks</TableCell>
+              <TableCell>Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {urls.map((url) => (
+              <TableRow key={url.id}>
+                <TableCell padding="checkbox">
+                  <Checkbox
+                    checked={selected.includes(url.shortcode)}
+                    onChange={() => toggleSelected(url.shortcode)}
+                  />
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                    {url.shortUrl}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Tooltip title={url.originalUrl}>
+                    <Typography
+                      variant="body2"
+                      sx={{
+                        maxWidth: 200,
+                        overflow: 'hidden',
+                        textOverflow: 'ellipsis',
+                        whiteSpace: 'nowrap'
+                      }}
+                    >
+                      {url.originalUrl}
+                    </Typography>
+                  </Tooltip>
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    label={url.deletedReason === 'expired' ? 'Expired' : 'Deleted'}
+                    size="small"
+                    color={url.deletedReason === 'expired' ? 'warning' : 'default'}
+                  />
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2">
+                    {new Date(url.deletedAt).toLocaleString()}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2">
+                    {getPurgeDate(url).toLocaleString()}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" color="primary">
+                    {url.clickCount}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Tooltip title="Restore">
+                    <IconButton size="small" onClick={() => restore([url.shortcode])}>
+                      <RestoreIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete forever">
+                    <IconButton size="small" color="error" onClick={() => purge([url.shortcode])}>
+                      <DeleteForeverIcon />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      <Dialog open={!!pendingRestore} onClose={() => setPendingRestore(null)} fullWidth maxWidth="xs">
+        <DialogTitle>Restore expired links</DialogTitle>
+        <DialogContent>
+          {restoreError && <Alert severity="error" sx={{ mb: 2 }}>{restoreError}</Alert>}
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            {pendingRestore && pendingRestore.length === 1
+              ? 'This link has expired. Choose a new validity period to restore it.'
+              : 'Some of these links have expired. They get the new validity period; the others keep their expiry.'}
+          </Typography>
+          <TextField
+            fullWidth
+            autoFocus
+            margin="dense"
+            label="New validity (minutes from now)"
+            type="number"
+            value={validityMinutes}
+            onChange={(e) => { setValidityMinutes(e.target.value); setRestoreError(null); }}
+            inputProps={{ min: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPendingRestore(null)}>Cancel</Button>
+          <Button variant="contained" onClick={confirmRestore}>
+            Restore
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default TrashBin;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   Box,
   Paper,
@@ -13,26 +13,87 @@ import {
   IconButton,
   Tooltip,
   Divider,
-  CircularProgress
+  CircularProgress,
+  Collapse,
+  MenuItem,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import {
   Add as AddIcon,
   Delete as DeleteIcon,
   ContentCopy as CopyIcon,
   Link as LinkIcon,
-  Schedule as ScheduleIcon
+  Schedule as ScheduleIcon,
+  Tune as TuneIcon,
+  Campaign as CampaignIcon,
+  QrCode2 as QrCodeIcon,
+  UploadFile as UploadIcon
 } from '@mui/icons-material';
 import urlService from '../services/urlService';
 import logger from '../utils/logger';
+import { getAppBaseUrl } from '../utils/shortUrl';
+import RedirectRulesEditor, { draftsToRules } from './RedirectRulesEditor';
+import SplitDestinationsEditor, { draftsToVariants } from './SplitDestinationsEditor';
+import UTMBuilder from './UTMBuilder';
+import QRCodeDialog, { QRCodeImage } from './QRCodeDialog';
+import BulkImportDialog from './BulkImportDialog';
+
+// Create an empty URL input row
+const createUrlRow = (id) => ({
+  id,
+  originalUrl: '',
+  validityMinutes: 30,
+  customShortcode: '',
+  domain: null, // null: the default from Settings; '': the app's own address
+  password: '',
+  maxClicks: '',
+  activatesAt: '',
+  expiresAt: '',
+  preview: false,
+  note: '',
+  passthrough: false,
+  fallbackUrl: '',
+  rules: [],
+  variants: [],
+  utm: { source: '', medium: '', campaign: '', term: '', content: '' },
+  showOptions: false,
+  showUTM: false,
+  result: null,
+  reused: false,
+  duplicate: null,
+  warnings: [], // e.g. a short link destination that was flattened
+  error: null
+});
+
+// Shared styling for the row text fields
+const textFieldSx = {
+  '& .MuiOutlinedInput-root': {
+    borderRadius: 2,
+    '&:hover .MuiOutlinedInput-notchedOutline': {
+      borderColor: '#667eea',
+    },
+    '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
+      borderColor: '#667eea',
+      borderWidth: 2,
+    },
+  },
+};
 
 const URLShortener = () => {
-  const [urls, setUrls] = useState([
-    { id: 1, originalUrl: '', validityMinutes: 30, customShortcode: '', result: null, error: null }
-  ]);
+  const [urls, setUrls] = useState([createUrlRow(1)]);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [qrLink, setQrLink] = useState(null);
+  const [showBulkImport, setShowBulkImport] = useState(false);
+  const [settings, setSettings] = useState(urlService.getSettings());
 
   logger.info('URL Shortener component mounted');
 
+  // Short link domains come from persisted settings
+  useEffect(() => {
+    urlService.ready.then(() => setSettings(urlService.getSettings()));
+  }, []);
+
   // Add new URL input row
   const addUrlRow = () => {
     if (urls.length >= 5) {
@@ -41,14 +102,7 @@ const URLShortener = () => {
     }
 
     const newId = Math.max(...urls.map(u => u.id)) + 1;
-    setUrls([...urls, {
-      id: newId,
-      originalUrl: '',
-      validityMinutes: 30,
-      customShortcode: '',
-      result: null,
-      error: null
-    }]);
+    setUrls([...urls, createUrlRow(newId)]);
 
     logger.info('Added new URL input row', { newId, totalRows: urls.length + 1 });
   };
@@ -68,12 +122,17 @@ const URLShortener = () => {
   const updateUrlField = (id, field, value) => {
     setUrls(urls.map(url => {
       if (url.id === id) {
-        return { ...url, [field]: value, error: null, result: null };
+        return { ...url, [field]: value, error: null, result: null, reused: false, duplicate: null, warnings: [] };
       }
       return url;
     }));
 
-    logger.debug('Updated URL field', { id, field, value });
+    logger.debug('Updated URL field', { id, field, value: field === 'password' ? '***' : value });
+  };
+
+  // Show or hide a collapsible section of a row
+  const toggleSection = (id, section) => {
+    setUrls(urls.map(url => url.id === id ? { ...url, [section]: !url[section] } : url));
   };
 
   // Copy to clipboard
@@ -85,6 +144,35 @@ const URLShortener = () => {
     });
   };
 
+  // Find the first problem with a row, as fields to merge into it
+  const getRowError = (url) => {
+    const destinationError = urlService.validateDestination(url.originalUrl);
+    if (destinationError) {
+      return { error: destinationError.error };
+    }
+
+    if (!Number.isInteger(url.validityMinutes) || url.validityMinutes <= 0) {
+      return { error: 'Validity period must be a positive integer (minutes).' };
+    }
+
+    const shortcodeRejection = url.customShortcode
+      ? urlService.getShortcodeRejection(url.customShortcode)
+      : null;
+    if (shortcodeRejection) {
+      return { error: shortcodeRejection.reason };
+    }
+
+    if (url.password && url.password.length < 4) {
+      return { error: 'Password must be at least 4 characters.', showOptions: true };
+    }
+
+    if (url.maxClicks !== '' && !(Number(url.maxClicks) >= 1 && Number.isInteger(Number(url.maxClicks)))) {
+      return { error: 'Click limit must be a positive integer.', showOptions: true };
+    }
+
+    return null;
+  };
+
   // Validate all URLs before processing
   const validateAllUrls = () => {
     const validUrls = urls.filter(url => url.originalUrl.trim());
@@ -94,40 +182,87 @@ const URLShortener = () => {
       return false;
     }
 
-    // Validate each URL
+    // Check every row so each one shows its own problem
+    const rowErrors = new Map();
     for (const url of validUrls) {
-      if (!urlService.validateURL(url.originalUrl)) {
-        setUrls(urls.map(u => 
-          u.id === url.id 
-            ? { ...u, error: 'Invalid URL format. Please provide a valid HTTP/HTTPS URL.' }
-            : u
-        ));
-        return false;
-      }
-
-      if (!Number.isInteger(url.validityMinutes) || url.validityMinutes <= 0) {
-        setUrls(urls.map(u => 
-          u.id === url.id 
-            ? { ...u, error: 'Validity period must be a positive integer (minutes).' }
-            : u
-        ));
-        return false;
+      const rowError = getRowError(url);
+      if (rowError) {
+        rowErrors.set(url.id, rowError);
       }
+    }
 
-      if (url.customShortcode && !urlService.validateShortcode(url.customShortcode)) {
-        setUrls(urls.map(u => 
-          u.id === url.id 
-            ? { ...u, error: 'Invalid shortcode format. Use 3-20 alphanumeric characters.' }
-            : u
-        ));
-        return false;
-      }
+    if (rowErrors.size > 0) {
+      setUrls(urls.map(u => rowErrors.has(u.id) ? { ...u, ...rowErrors.get(u.id) } : u));
+      logger.warn('URL validation failed', { rowIds: Array.from(rowErrors.keys()) });
+      return false;
     }
 
     logger.info('All URLs validated successfully', { count: validUrls.length });
     return true;
   };
 
+  // Create the short URL for one row
+  const shortenRow = (url, extraOptions = {}) => urlService.createShortURL(
+    url.originalUrl,
+    url.validityMinutes,
+    url.customShortcode || null,
+    {
+      password: url.password || null,
+      maxClicks: url.maxClicks !== '' ? Number(url.maxClicks) : null,
+      activatesAt: url.activatesAt ? new Date(url.activatesAt) : null,
+      expiresAt: url.expiresAt ? new Date(url.expiresAt) : null,
+      rules: draftsToRules(url.rules),
+      variants: draftsToVariants(url.variants),
+      utm: url.utm,
+      preview: url.preview,
+      note: url.note || null,
+      passthrough: url.passthrough,
+      fallbackUrl: url.fallbackUrl.trim() || null,
+      domain: url.domain !== null ? (url.domain || null) : undefined,
+      ...extraOptions
+    }
+  );
+
+  // Turn a service result into the row's result fields
+  const toRowResult = (result) => {
+    if (result.success) {
+      return { result: result.data, reused: !!result.reused, duplicate: null, warnings: result.warnings || [], error: null };
+    }
+    if (result.code === 'DUPLICATE') {
+      return { result: null, reused: false, duplicate: result.duplicate, error: null };
+    }
+    return { result: null, reused: false, duplicate: null, error: result.error };
+  };
+
+  // Update one row with the outcome of a duplicate choice
+  const setRowResult = (id, fields) => {
+    setUrls(current => current.map(url => url.id === id ? { ...url, ...fields } : url));
+  };
+
+  // Use the existing link instead of creating a duplicate
+  const reuseDuplicate = (url) => {
+    setRowResult(url.id, { result: url.duplicate, reused: true, duplicate: null });
+    logger.info('Reused existing short URL', { shortcode: url.duplicate.shortcode });
+  };
+
+  // Add this row's validity period to the existing link's expiry
+  const extendDuplicate = (url) => {
+    const expiresAt = new Date(new Date(url.duplicate.expiresAt).getTime() + url.validityMinutes * 60 * 1000);
+    const result = urlService.updateShortURL(url.duplicate.shortcode, { expiresAt });
+    setRowResult(url.id, result.success
+      ? { result: result.data, reused: true, duplicate: null }
+      : { error: result.error, duplicate: null });
+    logger.info('Extended existing short URL', { shortcode: url.duplicate.shortcode, validityMinutes: url.validityMinutes });
+  };
+
+  // Create a second link for the same destination
+  const createDuplicate = async (url) => {
+    setIsProcessing(true);
+    const result = await shortenRow(url, { allowDuplicate: true });
+    setRowResult(url.id, toRowResult(result));
+    setIsProcessing(false);
+  };
+
   // Process all URLs
   const processUrls = async () => {
     if (!validateAllUrls()) {
@@ -142,21 +277,19 @@ const URLShortener = () => {
 
     for (const url of validUrls) {
       try {
-        const result = urlService.createShortURL(
-          url.originalUrl,
-          url.validityMinutes,
-          url.customShortcode || null
-        );
+        const result = await shortenRow(url);
+        results.push({ id: url.id, ...toRowResult(result) });
 
         if (result.success) {
-          results.push({ id: url.id, result: result.data, error: null });
           logger.info('URL shortened successfully', { 
             id: url.id, 
             shortcode: result.data.shortcode,
-            originalUrl: url.originalUrl 
+            originalUrl: url.originalUrl,
+            reused: !!result.reused
           });
+        } else if (result.code === 'DUPLICATE') {
+          logger.info('Duplicate destination found', { id: url.id, shortcode: result.duplicate.shortcode });
         } else {
-          results.push({ id: url.id, result: null, error: result.error });
           logger.error('URL shortening failed', { 
             id: url.id, 
             error: result.error,
@@ -164,7 +297,7 @@ const URLShortener = () => {
           });
         }
       } catch (error) {
-        results.push({ id: url.id, result: null, error: 'An unexpected error occurred.' });
+        results.push({ id: url.id, result: null, reused: false, duplicate: null, error: 'An unexpected error occurred.' });
         logger.error('Unexpected error during URL shortening', { 
           id: url.id, 
           error: error.message,
@@ -183,13 +316,14 @@ const URLShortener = () => {
     logger.info('URL processing completed', { 
       total: validUrls.length, 
       successful: results.filter(r => r.result).length,
-      failed: results.filter(r => r.error).length 
+      failed: results.filter(r => r.error).length,
+      duplicates: results.filter(r => r.duplicate).length
     });
   };
 
   // Clear all results
   const clearResults = () => {
-    setUrls(urls.map(url => ({ ...url, result: null, error: null })));
+    setUrls(urls.map(url => ({ ...url, result: null, reused: false, duplicate: null, warnings: [], error: null })));
     logger.info('Cleared all results');
   };
 
@@ -300,7 +434,7 @@ const URLShortener = () => {
                 URL Inputs
               </Typography>
               <Typography variant="body2" color="text.secondary">
-                {urls.length}/5 URLs • Add up to 5 URLs at once
+                {urls.length}/5 URLs • Add up to 5 URLs at once, or bulk import a CSV
               </Typography>
             </Box>
           </Box>
@@ -331,6 +465,19 @@ const URLShortener = () => {
             >
               Test
             </Button>
+            <Button
+              variant="outlined"
+              onClick={() => setShowBulkImport(true)}
+              disabled={isProcessing}
+              startIcon={<UploadIcon />}
+              sx={{ 
+                borderRadius: 2,
+                textTransform: 'none',
+                fontWeight: 600
+              }}
+            >
+              Bulk import
+            </Button>
             <Button
               variant="contained"
               startIcon={<AddIcon />}
@@ -419,18 +566,7 @@ const URLShortener = () => {
                         disabled={isProcessing}
                         error={!!url.error}
                         helperText={url.error || 'Enter a valid HTTP/HTTPS URL'}
-                        sx={{
-                          '& .MuiOutlinedInput-root': {
-                            borderRadius: 2,
-                            '&:hover .MuiOutlinedInput-notchedOutline': {
-                              borderColor: '#667eea',
-                            },
-                            '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
-                              borderColor: '#667eea',
-                              borderWidth: 2,
-                            },
-                          },
-                        }}
+                        sx={textFieldSx}
                       />
                     </Grid>
                     
@@ -441,21 +577,10 @@ const URLShortener = () => {
                         type="number"
                         value={url.validityMinutes}
                         onChange={(e) => updateUrlField(url.id, 'validityMinutes', parseInt(e.target.value) || 30)}
-                        disabled={isProcessing}
+                        disabled={isProcessing || !!url.expiresAt}
                         inputProps={{ min: 1 }}
-                        helperText="Default: 30 minutes"
-                        sx={{
-                          '& .MuiOutlinedInput-root': {
-                            borderRadius: 2,
-                            '&:hover .MuiOutlinedInput-notchedOutline': {
-                              borderColor: '#667eea',
-                            },
-                            '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
-                              borderColor: '#667eea',
-                              borderWidth: 2,
-                            },
-                          },
-                        }}
+                        helperText={url.expiresAt ? 'Using the expiry time below' : 'Default: 30 minutes'}
+                        sx={textFieldSx}
                       />
                     </Grid>
                     
@@ -468,22 +593,189 @@ const URLShortener = () => {
                         onChange={(e) => updateUrlField(url.id, 'customShortcode', e.target.value)}
                         disabled={isProcessing}
                         helperText="3-20 alphanumeric characters"
-                        sx={{
-                          '& .MuiOutlinedInput-root': {
-                            borderRadius: 2,
-                            '&:hover .MuiOutlinedInput-notchedOutline': {
-                              borderColor: '#667eea',
-                            },
-                            '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
-                              borderColor: '#667eea',
-                              borderWidth: 2,
-                            },
-                          },
-                        }}
+                        sx={textFieldSx}
                       />
                     </Grid>
+
+                    {settings.shortDomains.length > 0 && (
+                      <Grid item xs={12} md={6}>
+                        <TextField
+                          select
+                          fullWidth
+                          label="🔗 Short link domain"
+                          value={url.domain !== null ? url.domain : (settings.defaultShortDomain || '')}
+                          onChange={(e) => updateUrlField(url.id, 'domain', e.target.value)}
+                          disabled={isProcessing}
+                          sx={textFieldSx}
+                        >
+                          <MenuItem value="">{getAppBaseUrl()}</MenuItem>
+                          {settings.shortDomains.map(domain => (
+                            <MenuItem key={domain} value={domain}>
+                              {domain}
+                            </MenuItem>
+                          ))}
+                        </TextField>
+                      </Grid>
+                    )}
                   </Grid>
 
+                  <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+                    <Button
+                      size="small"
+                      startIcon={<TuneIcon />}
+                      onClick={() => toggleSection(url.id, 'showOptions')}
+                      disabled={isProcessing}
+                    >
+                      {url.showOptions ? 'Hide options' : 'More options'}
+                    </Button>
+                    <Button
+                      size="small"
+                      startIcon={<CampaignIcon />}
+                      onClick={() => toggleSection(url.id, 'showUTM')}
+                      disabled={isProcessing}
+                    >
+                      {url.showUTM ? 'Hide UTM' : 'UTM parameters'}
+                    </Button>
+                  </Box>
+
+                  <Collapse in={url.showUTM}>
+                    <Box sx={{ mt: 2 }}>
+                      <UTMBuilder
+                        value={url.utm}
+                        baseUrl={url.originalUrl}
+                        onChange={(utm) => updateUrlField(url.id, 'utm', utm)}
+                        disabled={isProcessing}
+                      />
+                    </Box>
+                  </Collapse>
+
+                  <Collapse in={url.showOptions}>
+                    <Grid container spacing={3} sx={{ mt: 0 }}>
+                      <Grid item xs={12} md={6}>
+                        <TextField
+                          fullWidth
+                          label="🔒 Password (optional)"
+                          type="password"
+                          autoComplete="new-password"
+                          value={url.password}
+                          onChange={(e) => updateUrlField(url.id, 'password', e.target.value)}
+                          disabled={isProcessing}
+                          helperText="Visitors must enter it before being redirected"
+                          sx={textFieldSx}
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={6}>
+                        <TextField
+                          fullWidth
+                          label="🎯 Click limit (optional)"
+                          type="number"
+                          value={url.maxClicks}
+                          onChange={(e) => updateUrlField(url.id, 'maxClicks', e.target.value)}
+                          disabled={isProcessing}
+                          inputProps={{ min: 1 }}
+                          helperText="Stops redirecting after this many uses. Use 1 for a one-time link"
+                          sx={textFieldSx}
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={6}>
+                        <TextField
+                          fullWidth
+                          label="🚦 Activates at (optional)"
+                          type="datetime-local"
+                          value={url.activatesAt}
+                          onChange={(e) => updateUrlField(url.id, 'activatesAt', e.target.value)}
+                          disabled={isProcessing}
+                          InputLabelProps={{ shrink: true }}
+                          helperText='The link answers "not yet active" until then'
+                          sx={textFieldSx}
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={6}>
+                        <TextField
+                          fullWidth
+                          label="🏁 Expires at (optional)"
+                          type="datetime-local"
+                          value={url.expiresAt}
+                          onChange={(e) => updateUrlField(url.id, 'expiresAt', e.target.value)}
+                          disabled={isProcessing}
+                          InputLabelProps={{ shrink: true }}
+                          helperText="Overrides the validity in minutes"
+                          sx={textFieldSx}
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={6}>
+                        <FormControlLabel
+                          control={
+                            <Switch
+                              checked={url.preview}
+                              onChange={(e) => updateUrlField(url.id, 'preview', e.target.checked)}
+                              disabled={isProcessing}
+                            />
+                          }
+                          label="👀 Show a preview page before redirecting"
+                        />
+                        <Typography variant="body2" color="text.secondary">
+                          Visitors see the destination and your note first. Anyone can add + to a short link to preview it.
+                        </Typography>
+                      </Grid>
+                      <Grid item xs={12} md={6}>
+                        <TextField
+                          fullWidth
+                          multiline
+                          label="📝 Note for visitors (optional)"
+                          value={url.note}
+                          onChange={(e) => updateUrlField(url.id, 'note', e.target.value)}
+                          disabled={isProcessing}
+                          inputProps={{ maxLength: 500 }}
+                          helperText="Shown on the preview page"
+                          sx={textFieldSx}
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={6}>
+                        <TextField
+                          fullWidth
+                          label="🪂 Fallback URL (optional)"
+                          placeholder="https://example.com/offer-ended"
+                          value={url.fallbackUrl}
+                          onChange={(e) => updateUrlField(url.id, 'fallbackUrl', e.target.value)}
+                          disabled={isProcessing}
+                          helperText="Where visitors go once the link has expired or used up its clicks"
+                          sx={textFieldSx}
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={6}>
+                        <FormControlLabel
+                          control={
+                            <Switch
+                              checked={url.passthrough}
+                              onChange={(e) => updateUrlField(url.id, 'passthrough', e.target.checked)}
+                              disabled={isProcessing}
+                            />
+                          }
+                          label="🧭 Pass through extra path and query"
+                        />
+                        <Typography variant="body2" color="text.secondary">
+                          e.g. /mycode/api/v2?x=1 opens the destination with /api/v2 appended and x=1 added.
+                        </Typography>
+                      </Grid>
+                      <Grid item xs={12}>
+                        <RedirectRulesEditor
+                          rules={url.rules}
+                          onChange={(rules) => updateUrlField(url.id, 'rules', rules)}
+                          disabled={isProcessing}
+                        />
+                      </Grid>
+                      <Grid item xs={12}>
+                        <SplitDestinationsEditor
+                          variants={url.variants}
+                          defaultUrl={url.originalUrl}
+                          onChange={(variants) => updateUrlField(url.id, 'variants', variants)}
+                          disabled={isProcessing}
+                        />
+                      </Grid>
+                    </Grid>
+                  </Collapse>
+
                   {/* Results Display */}
                   {url.result && (
                     <Box sx={{ mt: 3 }}>
@@ -500,12 +792,24 @@ const URLShortener = () => {
                         icon={<span>🎉</span>}
                       >
                         <Typography variant="h6" sx={{ fontWeight: 600, mb: 1 }}>
-                          URL shortened successfully!
+                          {url.reused ? 'Using your existing short link' : 'URL shortened successfully!'}
                         </Typography>
                         <Typography variant="body2">
-                          Your short URL is ready to share
+                          {url.reused
+                            ? 'This URL already had an active short link, so no new one was created'
+                            : 'Your short URL is ready to share'}
                         </Typography>
                       </Alert>
+
+                      {url.warnings.length > 0 && (
+                        <Alert severity="warning" sx={{ mb: 3, borderRadius: 2 }}>
+                          {url.warnings.map(warning => (
+                            <Typography key={warning} variant="body2">
+                              {warning}
+                            </Typography>
+                          ))}
+                        </Alert>
+                      )}
                       
                       <Paper 
                         elevation={0}
@@ -587,6 +891,30 @@ const URLShortener = () => {
                                 <Typography variant="body1" sx={{ fontWeight: 600 }}>
                                   {new Date(url.result.expiresAt).toLocaleString()}
                                 </Typography>
+                                {url.result.activatesAt && (
+                                  <Typography variant="body2" color="text.secondary">
+                                    Goes live {new Date(url.result.activatesAt).toLocaleString()}
+                                  </Typography>
+                                )}
+                              </Box>
+                            </Box>
+                          </Grid>
+
+                          <Grid item xs={12}>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 3 }}>
+                              <QRCodeImage value={url.result.shortUrl} size={112} />
+                              <Box>
+                                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                                  Scan to open the short URL
+                                </Typography>
+                                <Button
+                                  size="small"
+                                  variant="outlined"
+                                  startIcon={<QrCodeIcon />}
+                                  onClick={() => setQrLink(url.result)}
+                                >
+                                  Download QR code
+                                </Button>
                               </Box>
                             </Box>
                           </Grid>
@@ -595,6 +923,34 @@ const URLShortener = () => {
                     </Box>
                   )}
 
+                  {url.duplicate && (
+                    <Box sx={{ mt: 2 }}>
+                      <Divider sx={{ mb: 2 }} />
+                      <Alert severity="warning">
+                        <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                          This URL already has an active short link
+                        </Typography>
+                        <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                          {url.duplicate.shortUrl}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                          Expires {new Date(url.duplicate.expiresAt).toLocaleString()} · {url.duplicate.clickCount} clicks
+                        </Typography>
+                        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                          <Button size="small" variant="contained" onClick={() => reuseDuplicate(url)} disabled={isProcessing}>
+                            Reuse it
+                          </Button>
+                          <Button size="small" variant="outlined" onClick={() => extendDuplicate(url)} disabled={isProcessing}>
+                            Reuse and extend by {url.validityMinutes} min
+                          </Button>
+                          <Button size="small" onClick={() => createDuplicate(url)} disabled={isProcessing}>
+                            Create a new link anyway
+                          </Button>
+                        </Box>
+                      </Alert>
+                    </Box>
+                  )}
+
                   {url.error && (
                     <Box sx={{ mt: 2 }}>
                       <Divider sx={{ mb: 2 }} />
@@ -714,6 +1070,18 @@ const URLShortener = () => {
           </Box>
         </Paper>
       )}
+
+      <QRCodeDialog
+        value={qrLink ? qrLink.shortUrl : ''}
+        filename={qrLink ? `qr-${qrLink.shortcode}` : undefined}
+        open={!!qrLink}
+        onClose={() => setQrLink(null)}
+      />
+
+      <BulkImportDialog
+        open={showBulkImport}
+        onClose={() => setShowBulkImport(false)}
+      />
     </Box>
   );
 };
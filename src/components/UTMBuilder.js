@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Grid,
+  MenuItem,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import {
+  Save as SaveIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import urlService from '../services/urlService';
+import { UTM_FIELDS, applyUTMParams } from '../utils/utm';
+import logger from '../utils/logger';
+
+const UTMBuilder = ({ value, onChange, baseUrl = '', disabled = false }) => {
+  const [presets, setPresets] = useState(urlService.getCampaignPresets());
+  const [selectedPreset, setSelectedPreset] = useState('');
+  const [presetName, setPresetName] = useState('');
+  const [presetError, setPresetError] = useState(null);
+
+  // Presets are shared across rows and batches, so reload once storage is ready
+  useEffect(() => {
+    urlService.ready.then(() => setPresets(urlService.getCampaignPresets()));
+  }, []);
+
+  // Fill the fields from a saved preset
+  const applyPreset = (name) => {
+    setSelectedPreset(name);
+    const preset = presets.find(p => p.name === name);
+    if (preset) {
+      onChange(UTM_FIELDS.reduce((params, field) => ({ ...params, [field]: preset.params[field] || '' }), {}));
+      logger.info('Applied campaign preset', { name });
+    }
+  };
+
+  const savePreset = () => {
+    const result = urlService.saveCampaignPreset(presetName, value);
+    if (result.success) {
+      setPresets(urlService.getCampaignPresets());
+      setSelectedPreset(result.data.name);
+      setPresetName('');
+      setPresetError(null);
+    } else {
+      setPresetError(result.error);
+    }
+  };
+
+  const deletePreset = () => {
+    urlService.deleteCampaignPreset(selectedPreset);
+    setPresets(urlService.getCampaignPresets());
+    setSelectedPreset('');
+  };
+
+  const preview = baseUrl ? applyUTMParams(baseUrl, value) : '';
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom>
+        UTM parameters
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 2 }}>
+        <TextField
+          select
+          size="small"
+          label="Campaign preset"
+          value={selectedPreset}
+          onChange={(e) => applyPreset(e.target.value)}
+          disabled={disabled || presets.length === 0}
+          sx={{ minWidth: 220 }}
+        >
+          {presets.map(preset => (
+            <MenuItem key={preset.name} value={preset.name}>
+              {preset.name}
+            </MenuItem>
+          ))}
+        </TextField>
+        {selectedPreset && (
+          <Tooltip title="Delete preset">
+            <IconButton size="small" color="error" onClick={deletePreset} disabled={disabled}>
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+      </Box>
+
+      <Grid container spacing={2}>
+        {UTM_FIELDS.map(field => (
+          <Grid item xs={12} sm={6} md={field === 'campaign' ? 4 : 2} key={field}>
+            <TextField
+              fullWidth
+              size="small"
+              label={`utm_${field}`}
+              value={value[field] || ''}
+              onChange={(e) => onChange({ ...value, [field]: e.target.value })}
+              disabled={disabled}
+            />
+          </Grid>
+        ))}
+      </Grid>
+
+      {preview && preview !== baseUrl && (
+        <Typography
+          variant="caption"
+          color="text.secondary"
+          sx={{ display: 'block', mt: 1, wordBreak: 'break-all', fontFamily: 'monospace' }}
+        >
+          {preview}
+        </Typography>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', mt: 2 }}>
+        <TextField
+          size="small"
+          label="Save as preset"
+          placeholder="Spring launch"
+          value={presetName}
+          onChange={(e) => { setPresetName(e.target.value); setPresetError(null); }}
+          disabled={disabled}
+          error={!!presetError}
+          helperText={presetError}
+        />
+        <Button
+          size="small"
+          startIcon={<SaveIcon />}
+          onClick={savePreset}
+          disabled={disabled || !presetName.trim()}
+          sx={{ mt: 0.5 }}
+        >
+          Save preset
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default UTMBuilder;
@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import urlService from '../services/urlService';
+import logger from '../utils/logger';
+
+/**
+ * Read data from the URL service and keep it current
+ * The selector runs once persisted data has loaded and again after every
+ * change event (see URL_EVENTS), including changes from other tabs and the
+ * cleanup job.
+ * @param {Function} selector - Receives the service and returns the data to render
+ * @param {Array<string>} eventTypes - Only re-run for these event types (default: all)
+ * @returns {object} { data, loading, error, refresh }
+ */
+export default function useURLService(selector, eventTypes = null) {
+  const [state, setState] = useState({ data: null, loading: true, error: null });
+  const selectorRef = useRef(selector);
+  selectorRef.current = selector;
+
+  const refresh = useCallback(() => {
+    try {
+      setState({ data: selectorRef.current(urlService), loading: false, error: null });
+    } catch (error) {
+      logger.error('Failed to read from URL service', { error: error.message });
+      setState(previous => ({ ...previous, loading: false, error }));
+    }
+  }, []);
+
+  // Compare event filters by value so callers can pass array literals
+  const eventKey = eventTypes ? eventTypes.join(',') : '';
+
+  useEffect(() => {
+    let active = true;
+    const types = eventKey ? eventKey.split(',') : null;
+
+    urlService.ready.then(() => {
+      if (active) refresh();
+    });
+
+    const unsubscribe = urlService.subscribe(event => {
+      if (active && (!types || types.includes(event.type))) {
+        refresh();
+      }
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [refresh, eventKey]);
+
+  return { ...state, refresh };
+}
@@ -0,0 +1,32 @@
+/**
+ * Application route paths
+ * App.js renders these, and every first path segment is reserved so a
+ * shortcode can never be shadowed by a page. Short links are matched by
+ * `/:shortcode/*` after all other routes; the rest of the path is passed
+ * through to links that allow it.
+ */
+
+export const ROUTES = {
+  home: '/',
+  statistics: '/statistics',
+  settings: '/settings',
+  shortLink: '/:shortcode/*'
+};
+
+// Appended to a shortcode to show the preview page instead of redirecting, e.g. /abc123+
+export const PREVIEW_SUFFIX = '+';
+
+// Served by the web server rather than the router (CRA build output)
+const STATIC_PATH_SEGMENTS = ['static'];
+
+/**
+ * Lowercase words that cannot be used as shortcodes
+ * React Router matches paths case-insensitively, so `/Statistics` is the
+ * Statistics page too; compare against the lowercased shortcode.
+ */
+export const RESERVED_SHORTCODES = new Set([
+  ...Object.values(ROUTES)
+    .map(path => path.split('/')[1])
+    .filter(segment => segment && !segment.startsWith(':')),
+  ...STATIC_PATH_SEGMENTS
+]);
@@ -0,0 +1,123 @@
+/**
+ * Backup archive format for URL Service
+ * An archive wraps a dataset in the stored format (see schema.js) together
+ * with settings and campaign presets, so older archives are upgraded with the
+ * same migrations as persisted data:
+ *   {
+ *     format: 'url-shortener-backup',
+ *     schemaVersion: 4,
+ *     exportedAt: '2024-03-01T12:00:00.000Z',
+ *     data: { urls, clickData, usedShortcodes, settings, campaignPresets }
+ *   }
+ */
+
+import { SCHEMA_VERSION, migrateDataset } from './schema';
+
+export const ARCHIVE_FORMAT = 'url-shortener-backup';
+
+export const IMPORT_MODES = ['merge', 'replace'];
+
+// What to do with an archived link whose shortcode is already taken
+export const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+/**
+ * Wrap a dataset in a versioned archive
+ * @param {object} data - Dataset in the stored format plus settings and presets
+ * @returns {object} Archive ready for JSON.stringify
+ */
+export function createArchive(data) {
+  return {
+    format: ARCHIVE_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data
+  };
+}
+
+const isRecord = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isListOrMissing = value => value === undefined || value === null || Array.isArray(value);
+
+/**
+ * Check the shape of an archive's data before it is migrated or planned
+ * Only the structure is checked; link contents are validated on import.
+ * @param {object} data - Archive data
+ * @returns {string|null} Error message, or null if the structure is usable
+ */
+function checkArchiveData(data) {
+  const { urls, clickData, usedShortcodes, settings, campaignPresets } = data;
+
+  if (!Array.isArray(urls) || (clickData !== undefined && !Array.isArray(clickData))) {
+    return 'The backup is missing its link list.';
+  }
+
+  const badLink = urls.findIndex(entry => !Array.isArray(entry) || typeof entry[0] !== 'string' ||
+    !isRecord(entry[1]) || !isListOrMissing(entry[1].clicks));
+  if (badLink !== -1) {
+    return `Link entry ${badLink + 1} in the backup is not a valid [shortcode, link] pair.`;
+  }
+
+  const badClicks = (clickData || []).findIndex(entry => !Array.isArray(entry) || typeof entry[0] !== 'string' ||
+    !Array.isArray(entry[1]) || !entry[1].every(isRecord));
+  if (badClicks !== -1) {
+    return `Click entry ${badClicks + 1} in the backup is not a valid [shortcode, clicks] pair.`;
+  }
+
+  if (usedShortcodes !== undefined && (!Array.isArray(usedShortcodes) ||
+    !usedShortcodes.every(shortcode => typeof shortcode === 'string'))) {
+    return 'The backup\'s used shortcode list is not a list of shortcodes.';
+  }
+  if (settings !== undefined && settings !== null && !isRecord(settings)) {
+    return 'The backup\'s settings are not valid.';
+  }
+  if (campaignPresets !== undefined && (!Array.isArray(campaignPresets) || !campaignPresets.every(isRecord))) {
+    return 'The backup\'s campaign presets are not a list of presets.';
+  }
+
+  return null;
+}
+
+/**
+ * Parse and check an archive, upgrading it to the current schema
+ * @param {string|object} input - Archive JSON text or an already parsed archive
+ * @returns {object} Result object with the archive data, or an error
+ */
+export function readArchive(input) {
+  let archive;
+  try {
+    archive = typeof input === 'string' ? JSON.parse(input) : input;
+  } catch (error) {
+    return { success: false, error: 'The file is not valid JSON.' };
+  }
+
+  if (!archive || archive.format !== ARCHIVE_FORMAT || !archive.data) {
+    return { success: false, error: 'The file is not a URL shortener backup.' };
+  }
+
+  const version = archive.schemaVersion || 1;
+  if (!Number.isInteger(version) || version > SCHEMA_VERSION) {
+    return {
+      success: false,
+      error: `The backup was made by a newer version of the app (schema ${archive.schemaVersion}).`
+    };
+  }
+
+  const dataError = checkArchiveData(archive.data);
+  if (dataError) {
+    return { success: false, error: dataError };
+  }
+
+  try {
+    const dataset = migrateDataset(archive.data, version);
+    return {
+      success: true,
+      data: {
+        ...dataset,
+        settings: archive.data.settings || null,
+        campaignPresets: archive.data.campaignPresets || [],
+        exportedAt: archive.exportedAt || null
+      }
+    };
+  } catch (error) {
+    return { success: false, error: `The backup could not be upgraded: ${error.message}` };
+  }
+}
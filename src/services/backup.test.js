@@ -0,0 +1,95 @@
+import { createArchive, readArchive } from './backup';
+import { URLService } from './urlService';
+import { MemoryStorageAdapter } from './storageAdapters';
+
+const LINK = {
+  id: '1',
+  shortcode: 'abc123',
+  originalUrl: 'https://example.com/page',
+  createdAt: '2024-03-01T09:00:00.000Z',
+  expiresAt: '2099-03-01T09:30:00.000Z',
+  clickCount: 0
+};
+
+const archiveWith = (data) => createArchive({
+  urls: [['abc123', LINK]],
+  clickData: [['abc123', []]],
+  usedShortcodes: ['abc123'],
+  settings: null,
+  campaignPresets: [],
+  ...data
+});
+
+describe('readArchive', () => {
+  test('reads a valid archive', () => {
+    const result = readArchive(JSON.stringify(archiveWith({})));
+    expect(result.success).toBe(true);
+    expect(result.data.urls).toHaveLength(1);
+  });
+
+  test('rejects text that is not a backup', () => {
+    expect(readArchive('not json').error).toMatch(/not valid JSON/);
+    expect(readArchive('{}').error).toMatch(/not a URL shortener backup/);
+  });
+
+  test('rejects malformed link and click entries with a readable error', () => {
+    expect(readArchive(archiveWith({ urls: [5] })).error).toMatch(/Link entry 1/);
+    expect(readArchive(archiveWith({ urls: [['abc123', LINK], ['x', null]] })).error).toMatch(/Link entry 2/);
+    expect(readArchive(archiveWith({ urls: [['abc123', { ...LINK, clicks: 'none' }]] })).error).toMatch(/Link entry 1/);
+    expect(readArchive(archiveWith({ clickData: [['abc123', [5]]] })).error).toMatch(/Click entry 1/);
+  });
+
+  test('rejects malformed presets, settings and used shortcodes', () => {
+    expect(readArchive(archiveWith({ campaignPresets: 'all' })).error).toMatch(/campaign presets/);
+    expect(readArchive(archiveWith({ settings: [] })).error).toMatch(/settings/);
+    expect(readArchive(archiveWith({ usedShortcodes: [1] })).error).toMatch(/used shortcode/);
+  });
+});
+
+describe('importing an archive', () => {
+  const createService = async () => {
+    const storage = new MemoryStorageAdapter();
+    const service = new URLService({ storage, sync: null });
+    await service.ready;
+    await service.createShortURL('https://example.org/kept', 30, 'kept1');
+    return { service, storage };
+  };
+
+  const importLinks = (service, links, mode) => service.importArchive(
+    readArchive(archiveWith({ urls: links, clickData: [], usedShortcodes: [] })).data,
+    { mode }
+  );
+
+  test('leaves out links whose rules or variants are not lists', async () => {
+    const { service } = await createService();
+    const result = await importLinks(service, [['abc123', { ...LINK, rules: {} }], ['def456', LINK]], 'merge');
+
+    expect(result.success).toBe(true);
+    expect(result.data.importedCount).toBe(1);
+    expect(result.data.plan.entries[0].action).toBe('invalid');
+    expect(service.urls.has('abc123')).toBe(false);
+  });
+
+  test('reports links that fail the destination policy or loop', async () => {
+    const { service } = await createService();
+    const result = await importLinks(service, [
+      ['loopa', { ...LINK, shortcode: 'loopa', originalUrl: `${window.location.origin}/loopb` }],
+      ['loopb', { ...LINK, shortcode: 'loopb', originalUrl: `${window.location.origin}/loopa` }],
+      ['local1', { ...LINK, shortcode: 'local1', originalUrl: 'http://192.168.0.1/' }],
+      ['chain1', { ...LINK, shortcode: 'chain1', originalUrl: `${window.location.origin}/kept1` }]
+    ], 'merge');
+
+    expect(result.data.rejected.map(entry => entry.shortcode)).toEqual(['loopa', 'loopb', 'local1']);
+    expect(service.urls.has('chain1')).toBe(true);
+  });
+
+  test('keeps the current links and storage when the import fails', async () => {
+    const { service, storage } = await createService();
+    const result = await importLinks(service, [['abc123', { ...LINK, rules: [null] }]], 'replace');
+
+    expect(result.success).toBe(false);
+    expect(Array.from(service.urls.keys())).toEqual(['kept1']);
+    expect(await storage.getLink('kept1')).not.toBeNull();
+    expect(await storage.getLink('abc123')).toBeNull();
+  });
+});
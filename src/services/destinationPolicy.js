@@ -0,0 +1,239 @@
+/**
+ * Destination safety policy for URL Service
+ * checkDestination() decides whether a URL may be shortened and, if not,
+ * returns a { code, reason } rejection the UI can show next to the input.
+ *
+ * Checks, in order:
+ *   OWN_ORIGIN      - points back at this shortener (its own address or a short domain);
+ *                     URL Service lets existing short links through and resolves them
+ *   IP_LITERAL      - host is a bare IPv4/IPv6 address
+ *   PRIVATE_NETWORK - localhost, *.local, *.internal or a private/reserved IP range
+ *   DENIED          - host matches the denylist
+ *   NOT_ALLOWED     - an allowlist is set and the host matches none of it
+ *   THREAT          - host (or a parent domain) is on the loaded malicious-domain list
+ *
+ * Domain patterns are lowercase host names where `*` matches any run of
+ * characters, so `*.example.com` covers every subdomain of example.com
+ * (but not example.com itself).
+ */
+
+const DOMAIN_PATTERN = /^[a-z0-9*]([a-z0-9*.-]*[a-z0-9*])?$/;
+
+const PRIVATE_SUFFIXES = ['localhost', 'local', 'internal', 'lan', 'home.arpa'];
+
+// [first address, prefix length] of private, loopback, link-local and other non-public IPv4 ranges
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+/**
+ * Check whether a string is a valid domain pattern
+ * @param {string} pattern - Pattern such as `example.com` or `*.example.com`
+ * @returns {boolean} True if usable in an allow- or denylist
+ */
+export function isValidDomainPattern(pattern) {
+  return typeof pattern === 'string' && DOMAIN_PATTERN.test(pattern);
+}
+
+/**
+ * Parse a domain list typed by the user (comma or newline separated)
+ * @param {string} text - Raw input
+ * @returns {Array<string>} Unique lowercase patterns
+ */
+export function parseDomainList(text) {
+  const patterns = text
+    .split(/[\s,]+/)
+    .map(pattern => pattern.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(patterns)];
+}
+
+/**
+ * Check whether a host matches a domain pattern
+ * @param {string} host - Lowercase host name
+ * @param {string} pattern - Domain pattern
+ * @returns {boolean} True on a match
+ */
+export function matchesDomainPattern(host, pattern) {
+  if (!pattern.includes('*')) {
+    return host === pattern;
+  }
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(host);
+}
+
+/**
+ * Parse a malicious-domain list
+ * Accepts one domain per line or hosts-file lines (`0.0.0.0 bad.example`);
+ * `#` starts a comment.
+ * @param {string} text - File contents
+ * @returns {Array<string>} Unique lowercase domains
+ */
+export function parseThreatList(text) {
+  const domains = new Set();
+  for (const line of text.split(/\r?\n/)) {
+    const tokens = line.replace(/#.*/, '').trim().split(/\s+/).filter(Boolean);
+    const domain = (tokens[tokens.length - 1] || '').toLowerCase().replace(/\.$/, '');
+    if (domain && domain !== 'localhost' && /^[a-z0-9.-]+\.[a-z0-9-]+$/.test(domain)) {
+      domains.add(domain);
+    }
+  }
+  return [...domains];
+}
+
+const parseIPv4 = (host) => {
+  const parts = host.split('.');
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+};
+
+const isPrivateIPv4 = (address) => PRIVATE_IPV4_RANGES.some(([first, prefix]) => {
+  const size = 2 ** (32 - prefix);
+  const start = parseIPv4(first);
+  return address >= start && address < start + size;
+});
+
+const isPrivateIPv6 = (host) => {
+  const address = host.slice(1, -1);
+  if (address === '::' || address === '::1') return true;
+
+  // IPv4-mapped addresses (::ffff:10.0.0.1 is shown as ::ffff:a00:1)
+  const mapped = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const value = parseInt(mapped[1], 16) * 65536 + parseInt(mapped[2], 16);
+    return isPrivateIPv4(value);
+  }
+
+  // fc00::/7 unique local, fe80::/10 link-local, ff00::/8 multicast
+  return /^f[cd][0-9a-f]{0,2}:/.test(address) || /^fe[89ab][0-9a-f]?:/.test(address) || /^ff[0-9a-f]{0,2}:/.test(address);
+};
+
+/**
+ * Check whether a host is written as an IP address
+ * @param {string} host - Host name as given by URL.hostname
+ * @returns {boolean} True for IPv4 or bracketed IPv6 literals
+ */
+export function isIPLiteral(host) {
+  return parseIPv4(host) !== null || host.startsWith('[');
+}
+
+/**
+ * Check whether a host is on a private or otherwise non-public network
+ * @param {string} host - Host name as given by URL.hostname
+ * @returns {boolean} True for localhost, local names and private IP ranges
+ */
+export function isPrivateHost(host) {
+  const ipv4 = parseIPv4(host);
+  if (ipv4 !== null) return isPrivateIPv4(ipv4);
+  if (host.startsWith('[')) return isPrivateIPv6(host);
+  return !host.includes('.') ||
+    PRIVATE_SUFFIXES.some(suffix => host === suffix || host.endsWith(`.${suffix}`));
+}
+
+/**
+ * Find the listed domain a host falls under
+ * @param {string} host - Lowercase host name
+ * @param {Set<string>} domains - Malicious domains
+ * @returns {string|null} The listed domain, or null
+ */
+export function findThreat(host, domains) {
+  const labels = host.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const domain = labels.slice(i).join('.');
+    if (domains.has(domain)) return domain;
+  }
+  return null;
+}
+
+/**
+ * Check whether a URL points at or below a base URL
+ * @param {URL} parsed - Parsed URL
+ * @param {string} baseUrl - Base URL such as `https://go.example.com` or `https://example.com/s`
+ * @returns {boolean} True if the URL is served under the base URL
+ */
+const isUnderBaseUrl = (parsed, baseUrl) => {
+  let base;
+  try {
+    base = new URL(baseUrl);
+  } catch (error) {
+    return false;
+  }
+  if (parsed.host.toLowerCase() !== base.host.toLowerCase()) return false;
+  const basePath = base.pathname.replace(/\/+$/, '');
+  return !basePath || parsed.pathname === basePath || parsed.pathname.startsWith(`${basePath}/`);
+};
+
+/**
+ * Check a destination URL against the safety policy
+ * @param {string} url - Destination URL
+ * @param {object} policy - Policy settings
+ * @param {Array<string>} policy.ownBaseUrls - Base URLs short links are served from
+ * @param {boolean} policy.blockIPLiterals - Reject bare IP addresses
+ * @param {boolean} policy.blockPrivateNetworks - Reject private and local hosts
+ * @param {Array<string>} policy.domainAllowlist - Only these patterns are allowed (empty: any)
+ * @param {Array<string>} policy.domainDenylist - These patterns are rejected
+ * @param {Set<string>} policy.threatDomains - Known malicious domains
+ * @returns {object|null} { code, reason } when rejected, or null if allowed
+ */
+export function checkDestination(url, {
+  ownBaseUrls = [],
+  blockIPLiterals = true,
+  blockPrivateNetworks = true,
+  domainAllowlist = [],
+  domainDenylist = [],
+  threatDomains = new Set()
+} = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    return { code: 'INVALID_URL', reason: 'Invalid URL format. Please provide a valid HTTP/HTTPS URL.' };
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/\.$/, '');
+
+  if (ownBaseUrls.some(baseUrl => isUnderBaseUrl(parsed, baseUrl))) {
+    return { code: 'OWN_ORIGIN', reason: 'Links to this shortener must point to one of its existing short links.' };
+  }
+
+  if (blockIPLiterals && isIPLiteral(host)) {
+    return { code: 'IP_LITERAL', reason: `Links to IP addresses (${host}) are not allowed. Use a domain name.` };
+  }
+
+  if (blockPrivateNetworks && isPrivateHost(host)) {
+    return { code: 'PRIVATE_NETWORK', reason: `${host} is on a private or local network and is not reachable for visitors.` };
+  }
+
+  const denied = domainDenylist.find(pattern => matchesDomainPattern(host, pattern));
+  if (denied) {
+    return { code: 'DENIED', reason: `${host} is blocked by the domain denylist (${denied}).` };
+  }
+
+  if (domainAllowlist.length > 0 && !domainAllowlist.some(pattern => matchesDomainPattern(host, pattern))) {
+    return { code: 'NOT_ALLOWED', reason: `${host} is not on the domain allowlist.` };
+  }
+
+  const threat = findThreat(host, threatDomains);
+  if (threat) {
+    return { code: 'THREAT', reason: `${host} is on the malicious domain list (${threat}).` };
+  }
+
+  return null;
+}
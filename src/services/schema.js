@@ -0,0 +1,219 @@
+/**
+ * Persisted data schema for URL Service
+ * Defines how links and clicks are (de)serialized for storage and how older
+ * persisted datasets are upgraded to the current schema version.
+ *
+ * A dataset has the same shape as the original `urlShortenerData` blob:
+ *   { urls: [[shortcode, link]], clickData: [[shortcode, clicks]], usedShortcodes: [] }
+ *
+ * Version history:
+ *   1 - Original format (no version marker). Links embed a copy of their
+ *       clicks and dates are whatever JSON.stringify produced.
+ *   2 - Links no longer embed clicks; all dates are ISO 8601 strings.
+ *   3 - Every click has an `id`, so click lists written by different tabs
+ *       can be merged without losing or duplicating clicks.
+ *   4 - Links no longer store `shortUrl`; it is built on load from the
+ *       link's `domain` (null for the app's own address).
+ */
+
+import logger from '../utils/logger';
+import { buildShortUrl } from '../utils/shortUrl';
+
+export const SCHEMA_VERSION = 4;
+
+/**
+ * Serialize a date for storage
+ * @param {Date|string|number|null} value - Date to serialize
+ * @returns {string|null} ISO 8601 string, or null if missing/invalid
+ */
+export function serializeDate(value) {
+  if (value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Deserialize a stored date
+ * @param {string|number|null} value - Stored date value
+ * @returns {Date|null} Date object, or null if missing/invalid
+ */
+export function deserializeDate(value) {
+  if (value === null || value === undefined) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Serialize a click record for storage
+ * @param {object} click - In-memory click data
+ * @returns {object} Stored click record
+ */
+export function serializeClick(click) {
+  return {
+    ...click,
+    timestamp: serializeDate(click.timestamp)
+  };
+}
+
+/**
+ * Deserialize a stored click record
+ * @param {object} record - Stored click record
+ * @returns {object} In-memory click data
+ */
+export function deserializeClick(record) {
+  return {
+    ...record,
+    timestamp: deserializeDate(record.timestamp)
+  };
+}
+
+/**
+ * Create a unique id for a new click
+ * @returns {string} Click id
+ */
+export function createClickId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Merge two click lists, keeping each click once
+ * Clicks are matched by id and returned oldest first.
+ * @param {Array} local - Clicks held in memory
+ * @param {Array} stored - Deserialized clicks read from storage
+ * @returns {Array} Merged clicks
+ */
+export function mergeClicks(local, stored) {
+  const merged = new Map();
+  [...stored, ...local].forEach(click => merged.set(click.id, click));
+  return Array.from(merged.values()).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Serialize a link for storage
+ * Clicks are stored separately, so they are not embedded in the link, and
+ * the short URL is derived from the domain on load.
+ * @param {object} urlData - In-memory link data
+ * @returns {object} Stored link record
+ */
+export function serializeLink(urlData) {
+  const { clicks, shortUrl, ...link } = urlData;
+  return {
+    ...link,
+    createdAt: serializeDate(link.createdAt),
+    activatesAt: serializeDate(link.activatesAt),
+    expiresAt: serializeDate(link.expiresAt),
+    updatedAt: serializeDate(link.updatedAt),
+    deletedAt: serializeDate(link.deletedAt)
+  };
+}
+
+/**
+ * Deserialize a stored link record
+ * @param {object} record - Stored link record
+ * @param {Array} clicks - Deserialized clicks for the link
+ * @returns {object} In-memory link data
+ */
+export function deserializeLink(record, clicks = []) {
+  const domain = record.domain || null;
+  return {
+    ...record,
+    domain,
+    shortUrl: buildShortUrl(record.shortcode, domain),
+    createdAt: deserializeDate(record.createdAt),
+    activatesAt: deserializeDate(record.activatesAt),
+    expiresAt: deserializeDate(record.expiresAt),
+    updatedAt: deserializeDate(record.updatedAt),
+    deletedAt: deserializeDate(record.deletedAt),
+    deletedReason: record.deletedReason || null,
+    maxClicks: record.maxClicks || null,
+    rules: record.rules || [],
+    variants: record.variants || [],
+    utm: record.utm || null,
+    preview: !!record.preview,
+    note: record.note || null,
+    passthrough: !!record.passthrough,
+    fallbackUrl: record.fallbackUrl || null,
+    fallbackHits: record.fallbackHits || 0,
+    clickCount: record.clickCount || 0,
+    clicks: [...clicks]
+  };
+}
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each receives a dataset at that version and returns one at the next.
+ */
+const migrations = {
+  1: (dataset) => {
+    const clickData = new Map(dataset.clickData);
+
+    const urls = dataset.urls.map(([shortcode, link]) => {
+      const { clicks, ...rest } = link;
+
+      // Older builds kept clicks in both places; prefer the dedicated list
+      if (!clickData.has(shortcode)) {
+        clickData.set(shortcode, clicks || []);
+      }
+
+      return [shortcode, {
+        ...rest,
+        createdAt: serializeDate(rest.createdAt),
+        expiresAt: serializeDate(rest.expiresAt),
+        clickCount: rest.clickCount || 0
+      }];
+    });
+
+    return {
+      ...dataset,
+      urls,
+      clickData: Array.from(clickData.entries()).map(([shortcode, clicks]) => [
+        shortcode,
+        clicks.map(click => ({ ...click, timestamp: serializeDate(click.timestamp) }))
+      ])
+    };
+  },
+
+  // Ids are derived from the position so tabs migrating at once agree on them
+  2: (dataset) => ({
+    ...dataset,
+    clickData: dataset.clickData.map(([shortcode, clicks]) => [
+      shortcode,
+      clicks.map((click, index) => (click.id ? click : { ...click, id: `legacy-${shortcode}-${index}` }))
+    ])
+  }),
+
+  // Older links were all created on the app's own address, so they follow it
+  3: (dataset) => ({
+    ...dataset,
+    urls: dataset.urls.map(([shortcode, link]) => {
+      const { shortUrl, ...rest } = link;
+      return [shortcode, { ...rest, domain: null }];
+    })
+  })
+};
+
+/**
+ * Upgrade a persisted dataset to the current schema version
+ * @param {object} dataset - Dataset in the stored format
+ * @param {number} fromVersion - Version the dataset was written with
+ * @returns {object} Dataset at SCHEMA_VERSION
+ */
+export function migrateDataset(dataset, fromVersion) {
+  let migrated = {
+    ...dataset,
+    urls: dataset.urls || [],
+    clickData: dataset.clickData || [],
+    usedShortcodes: dataset.usedShortcodes || []
+  };
+
+  for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      throw new Error(`No migration available from schema version ${version}`);
+    }
+    migrated = migrate(migrated);
+    logger.info('Migrated persisted data', { from: version, to: version + 1 });
+  }
+
+  return migrated;
+}
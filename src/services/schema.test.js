@@ -0,0 +1,109 @@
+import { URLService, DEFAULT_SETTINGS } from './urlService';
+import { MemoryStorageAdapter } from './storageAdapters';
+import { SCHEMA_VERSION, migrateDataset } from './schema';
+
+// A link and its clicks as the original build stored them: no schema
+// version, clicks embedded in the link and kept in clickData as well
+const V1_CLICKS = [
+  { timestamp: '2024-03-01T10:00:00.000Z', source: 'Direct', location: 'Unknown' },
+  { timestamp: '2024-03-01T11:30:00.000Z', source: 'google.com', location: 'Unknown' }
+];
+
+const V1_LINK = {
+  id: '1709287200000',
+  originalUrl: 'https://example.com/page',
+  shortcode: 'abc123',
+  shortUrl: 'https://old-host.example/abc123',
+  createdAt: '2024-03-01T09:00:00.000Z',
+  expiresAt: '2099-03-01T09:30:00.000Z',
+  validityMinutes: 30,
+  clickCount: 2,
+  clicks: V1_CLICKS
+};
+
+const createV1Storage = async () => {
+  const storage = new MemoryStorageAdapter();
+  await storage.putLink('abc123', V1_LINK);
+  for (const click of V1_CLICKS) {
+    await storage.putClick('abc123', click);
+  }
+  await storage.putMeta('usedShortcodes', ['abc123', 'gone42']);
+  return storage;
+};
+
+const loadService = async (storage) => {
+  const service = new URLService({ storage, sync: null });
+  await service.ready;
+  return service;
+};
+
+describe('loading a version 1 dataset', () => {
+  test('migrates links to typed dates and a rebuilt short URL', async () => {
+    const service = await loadService(await createV1Storage());
+    const link = service.urls.get('abc123');
+
+    expect(link.createdAt).toEqual(new Date('2024-03-01T09:00:00.000Z'));
+    expect(link.expiresAt).toEqual(new Date('2099-03-01T09:30:00.000Z'));
+    expect(link.domain).toBeNull();
+    expect(link.shortUrl).toBe(`${window.location.origin}/abc123`);
+    expect(link.clickCount).toBe(2);
+    expect(link.rules).toEqual([]);
+    expect(link.variants).toEqual([]);
+    expect(service.getLinkStatus(link)).toBe('active');
+  });
+
+  test('migrates clicks to typed timestamps with stable ids', async () => {
+    const service = await loadService(await createV1Storage());
+    const clicks = service.clickData.get('abc123');
+
+    expect(clicks.map(click => click.id)).toEqual(['legacy-abc123-0', 'legacy-abc123-1']);
+    expect(clicks[1].timestamp).toEqual(new Date('2024-03-01T11:30:00.000Z'));
+    expect(clicks[1].source).toBe('google.com');
+    expect(service.urls.get('abc123').clicks).toEqual(clicks);
+  });
+
+  test('keeps used shortcodes and falls back to the default settings', async () => {
+    const service = await loadService(await createV1Storage());
+
+    expect(service.isShortcodeTaken('gone42')).toBe(true);
+    expect(service.getSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('writes the migrated dataset back at the current version', async () => {
+    const storage = await createV1Storage();
+    await loadService(storage);
+
+    const stored = await storage.getLink('abc123');
+    expect(await storage.getMeta('schemaVersion')).toBe(SCHEMA_VERSION);
+    expect(stored).not.toHaveProperty('clicks');
+    expect(stored).not.toHaveProperty('shortUrl');
+    expect(stored.domain).toBeNull();
+    expect((await storage.listClicks('abc123')).map(click => click.id))
+      .toEqual(['legacy-abc123-0', 'legacy-abc123-1']);
+  });
+
+  test('loads again without migrating a second time', async () => {
+    const storage = await createV1Storage();
+    await loadService(storage);
+    const service = await loadService(storage);
+
+    expect(service.clickData.get('abc123')).toHaveLength(2);
+    expect(service.urls.get('abc123').shortUrl).toBe(`${window.location.origin}/abc123`);
+  });
+});
+
+describe('migrateDataset', () => {
+  test('uses the clicks embedded in a link when it has no click list', () => {
+    const migrated = migrateDataset({ urls: [['abc123', V1_LINK]] }, 1);
+    const [[shortcode, clicks]] = migrated.clickData;
+
+    expect(shortcode).toBe('abc123');
+    expect(clicks.map(click => click.id)).toEqual(['legacy-abc123-0', 'legacy-abc123-1']);
+    expect(migrated.usedShortcodes).toEqual([]);
+  });
+
+  test('leaves a current dataset unchanged', () => {
+    const dataset = { urls: [], clickData: [], usedShortcodes: ['abc123'] };
+    expect(migrateDataset(dataset, SCHEMA_VERSION)).toEqual(dataset);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Shortcode acceptance rules for URL Service
+ * Custom and generated shortcodes both go through checkShortcode(), which
+ * returns the reason a code is rejected so it can be shown to the user.
+ *
+ *   format   - 3-20 letters and digits
+ *   reserved - matches an app route (see routes.js) and would never redirect
+ *   blocked  - contains a term from the blocklist
+ *
+ * Blocklist terms match anywhere in the code, ignoring case and common digit
+ * substitutions (0 for o, 1 for i, 3 for e, ...).
+ */
+
+import { RESERVED_SHORTCODES } from '../routes';
+
+export const SHORTCODE_PATTERN = /^[a-zA-Z0-9]{3,20}$/;
+
+// Built-in offensive terms; users add brand or other terms in Settings.
+// Terms that are common inside harmless words (e.g. "anal" in "analytics",
+// "cunt" in "Scunthorpe", "twat" in "saltwater") are left out to avoid
+// rejecting ordinary codes; shortcodes have no word boundaries to match on.
+export const DEFAULT_BLOCKED_TERMS = [
+  'bastard', 'bitch', 'bollock', 'boner', 'boob', 'butthole',
+  'dildo', 'fuck', 'jizz', 'nazi', 'nigg', 'penis', 'piss', 'porn', 'pussy',
+  'retard', 'shit', 'slut', 'vagina', 'wanker', 'whore'
+];
+
+const DIGIT_SUBSTITUTIONS = {
+  0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g'
+};
+
+/**
+ * Lowercase a code and undo digit-for-letter substitutions
+ * @param {string} value - Shortcode or term
+ * @returns {string} Normalized text
+ */
+export function normalizeTerm(value) {
+  return value.toLowerCase().replace(/[0-9]/g, digit => DIGIT_SUBSTITUTIONS[digit] || digit);
+}
+
+/**
+ * Parse a blocklist typed by the user (comma or newline separated)
+ * @param {string} text - Raw input
+ * @returns {Array<string>} Unique lowercase terms
+ */
+export function parseBlockedTerms(text) {
+  const terms = text
+    .split(/[\s,]+/)
+    .map(term => term.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(terms)];
+}
+
+/**
+ * Find the blocklist term contained in a shortcode
+ * @param {string} shortcode - Shortcode to check
+ * @param {Array<string>} terms - Blocklist terms
+ * @returns {string|null} The matching term, or null
+ */
+export function findBlockedTerm(shortcode, terms) {
+  const lowered = shortcode.toLowerCase();
+  const normalized = normalizeTerm(shortcode);
+  return terms.find(term =>
+    lowered.includes(term.toLowerCase()) || normalized.includes(normalizeTerm(term))
+  ) || null;
+}
+
+/**
+ * Check a shortcode against the format, reserved words and blocklist
+ * @param {string} shortcode - Shortcode to check
+ * @param {object} options - { useDefaultBlocklist, blockedTerms }
+ * @returns {object|null} { code, reason } when rejected, or null if acceptable
+ */
+export function checkShortcode(shortcode, { useDefaultBlocklist = true, blockedTerms = [] } = {}) {
+  if (typeof shortcode !== 'string' || !SHORTCODE_PATTERN.test(shortcode)) {
+    return {
+      code: 'FORMAT',
+      reason: 'Invalid shortcode format. Use 3-20 alphanumeric characters.'
+    };
+  }
+
+  if (RESERVED_SHORTCODES.has(shortcode.toLowerCase())) {
+    return {
+      code: 'RESERVED',
+      reason: `"${shortcode}" is reserved by the app (/${shortcode.toLowerCase()}) and would never redirect.`
+    };
+  }
+
+  const terms = useDefaultBlocklist ? [...DEFAULT_BLOCKED_TERMS, ...blockedTerms] : blockedTerms;
+  const term = findBlockedTerm(shortcode, terms);
+  if (term) {
+    const isCustom = blockedTerms.includes(term);
+    return {
+      code: 'BLOCKED',
+      reason: isCustom
+        ? `Shortcode contains the blocked term "${term}".`
+        : 'Shortcode contains an offensive word.'
+    };
+  }
+
+  return null;
+}
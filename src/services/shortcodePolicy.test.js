@@ -0,0 +1,28 @@
+import { checkShortcode, findBlockedTerm, parseBlockedTerms } from './shortcodePolicy';
+
+describe('checkShortcode', () => {
+  test('accepts ordinary codes, including words that contain a blocked term', () => {
+    ['abc123', 'Scunthorpe', 'saltwater', 'analytics', 'Sussex'].forEach(code => {
+      expect(checkShortcode(code)).toBeNull();
+    });
+  });
+
+  test('rejects bad formats and app routes', () => {
+    expect(checkShortcode('ab').code).toBe('FORMAT');
+    expect(checkShortcode('has-dash').code).toBe('FORMAT');
+    expect(checkShortcode('Settings').code).toBe('RESERVED');
+  });
+
+  test('rejects offensive words, also with digit substitutions', () => {
+    expect(checkShortcode('myShitLink').code).toBe('BLOCKED');
+    expect(checkShortcode('sh1tlink').code).toBe('BLOCKED');
+    expect(checkShortcode('sh1tlink', { useDefaultBlocklist: false })).toBeNull();
+  });
+
+  test('names the matching custom term', () => {
+    const blockedTerms = parseBlockedTerms(' Acme,rival\nrival ');
+    expect(blockedTerms).toEqual(['acme', 'rival']);
+    expect(findBlockedTerm('ACMEsale', blockedTerms)).toBe('acme');
+    expect(checkShortcode('r1valdeal', { blockedTerms }).reason).toBe('Shortcode contains the blocked term "rival".');
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Shortcode generation strategies for URL Service
+ * A strategy only proposes candidates; the service checks availability and
+ * asks again (with a higher `attempt`) when a candidate is taken.
+ *
+ *   random        - `length` characters drawn from an alphabet
+ *   sequential    - base62 encoding of an ever-increasing counter
+ *   pronounceable - adjective + noun + two digits, e.g. "calmotter42"
+ *   hash          - derived from the destination URL, so the same URL gets the
+ *                   same code while it is free
+ */
+
+import { hashString } from '../utils/splitTraffic';
+
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+export const SHORTCODE_ALPHABETS = {
+  alphanumeric: {
+    label: 'Letters and digits (A-Z, a-z, 0-9)',
+    chars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
+  },
+  unambiguous: {
+    label: 'No look-alikes (drops 0/O/o, 1/l/I)',
+    chars: 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789'
+  },
+  lowercase: {
+    label: 'Lowercase and digits (a-z, 0-9)',
+    chars: 'abcdefghijklmnopqrstuvwxyz0123456789'
+  }
+};
+
+const ADJECTIVES = [
+  'bold', 'brave', 'bright', 'calm', 'clever', 'cool', 'crisp', 'eager',
+  'fair', 'fast', 'fresh', 'gentle', 'glad', 'golden', 'grand', 'happy',
+  'jolly', 'kind', 'lively', 'lucky', 'merry', 'mild', 'neat', 'noble',
+  'proud', 'quick', 'quiet', 'rapid', 'sharp', 'smart', 'sunny', 'swift'
+];
+
+const NOUNS = [
+  'badger', 'bear', 'beaver', 'bison', 'crane', 'eagle', 'falcon', 'ferret',
+  'finch', 'fox', 'gecko', 'heron', 'koala', 'lemur', 'lion', 'llama',
+  'lynx', 'marten', 'moose', 'otter', 'owl', 'panda', 'parrot', 'puffin',
+  'rabbit', 'raven', 'robin', 'seal', 'tiger', 'walrus', 'wolf', 'zebra'
+];
+
+const SEQUENTIAL_MIN_LENGTH = 3;
+
+/**
+ * Encode a non-negative integer in base62
+ * @param {number} value - Integer to encode
+ * @returns {string} Base62 digits
+ */
+export function encodeBase62(value) {
+  let remaining = Math.floor(value);
+  let encoded = '';
+  do {
+    encoded = BASE62[remaining % 62] + encoded;
+    remaining = Math.floor(remaining / 62);
+  } while (remaining > 0);
+  return encoded;
+}
+
+const pick = (items) => items[Math.floor(Math.random() * items.length)];
+
+const strategies = {
+  random: {
+    label: 'Random',
+    description: 'Random characters from the chosen alphabet.',
+    usesLength: true,
+    generate: ({ length, alphabet }) =>
+      Array.from({ length }, () => pick(alphabet)).join(''),
+    codeSpace: ({ length, alphabet }) => alphabet.length ** length
+  },
+
+  sequential: {
+    label: 'Sequential',
+    description: 'Counts up in base62 (001, 002, ... 00z, 010, ...). Never collides, but codes are guessable.',
+    usesLength: false,
+    generate: ({ counter }) => encodeBase62(counter).padStart(SEQUENTIAL_MIN_LENGTH, '0'),
+    codeSpace: () => Infinity
+  },
+
+  pronounceable: {
+    label: 'Pronounceable',
+    description: 'An adjective, an animal and two digits, easy to read out loud.',
+    usesLength: false,
+    generate: () => `${pick(ADJECTIVES)}${pick(NOUNS)}${String(Math.floor(Math.random() * 100)).padStart(2, '0')}`,
+    codeSpace: () => ADJECTIVES.length * NOUNS.length * 100
+  },
+
+  hash: {
+    label: 'Hash of URL',
+    description: 'Derived from the destination URL, so the same URL maps to the same code while it is free.',
+    usesLength: true,
+    generate: ({ length, alphabet, url, attempt }) => {
+      const seed = attempt > 0 ? `${url}#${attempt}` : url;
+      return Array.from({ length }, (_, i) => alphabet[hashString(`${seed}:${i}`) % alphabet.length]).join('');
+    },
+    codeSpace: ({ length, alphabet }) => alphabet.length ** length
+  }
+};
+
+export const SHORTCODE_STRATEGIES = Object.entries(strategies).map(([id, strategy]) => ({
+  id,
+  label: strategy.label,
+  description: strategy.description,
+  usesLength: strategy.usesLength
+}));
+
+/**
+ * Propose a shortcode
+ * @param {string} strategy - Strategy id
+ * @param {object} context - { length, alphabet, counter, url, attempt }
+ * @returns {string} Candidate shortcode
+ */
+export function createShortcode(strategy, context) {
+  const { generate } = strategies[strategy] || strategies.random;
+  return generate({ attempt: 0, url: '', ...context });
+}
+
+/**
+ * Number of distinct codes a strategy can produce
+ * @param {string} strategy - Strategy id
+ * @param {object} options - { length, alphabet }
+ * @returns {number} Code space size (Infinity when unbounded)
+ */
+export function getCodeSpace(strategy, options) {
+  const { codeSpace } = strategies[strategy] || strategies.random;
+  return codeSpace(options);
+}
+
+/**
+ * Describe how likely a new random code is to hit one already in use
+ * @param {number} codeSpace - Code space size
+ * @param {number} usedCount - Codes already taken
+ * @returns {object} { fillRatio, collisionProbability, expectedAttempts }
+ *   collisionProbability is the chance a single candidate is taken;
+ *   expectedAttempts is the average number of candidates per new code.
+ */
+export function getCollisionStats(codeSpace, usedCount) {
+  if (!isFinite(codeSpace)) {
+    return { fillRatio: 0, collisionProbability: 0, expectedAttempts: 1 };
+  }
+
+  const fillRatio = Math.min(usedCount / codeSpace, 1);
+  return {
+    fillRatio,
+    collisionProbability: fillRatio,
+    expectedAttempts: fillRatio < 1 ? 1 / (1 - fillRatio) : Infinity
+  };
+}
@@ -0,0 +1,359 @@
+/**
+ * Storage adapters for URL Service persistence
+ * Every adapter exposes the same asynchronous, record-level interface so the
+ * service can persist a single link or click without rewriting everything:
+ *
+ *   listLinks()                -> Array of [shortcode, link] entries
+ *   getLink(shortcode)         -> link record or null
+ *   putLink(shortcode, link)   -> store/replace a link record
+ *   deleteLink(shortcode)      -> remove a link record and its clicks
+ *   listClicks(shortcode)      -> Array of click records for a link
+ *   putClick(shortcode, click) -> append a click record
+ *   deleteClicks(shortcode)    -> remove all clicks for a link
+ *   getMeta(key) / putMeta(key, value) -> service-level values
+ *   clear()                    -> remove everything
+ */
+
+import logger from '../utils/logger';
+
+export const LEGACY_STORAGE_KEY = 'urlShortenerData';
+
+/**
+ * localStorage adapter
+ * Keeps the original single-key `urlShortenerData` layout so data written by
+ * earlier builds keeps loading. Meta values live as top-level properties of
+ * the blob, which is where `usedShortcodes` has always been stored.
+ */
+export class LocalStorageAdapter {
+  constructor(storageKey = LEGACY_STORAGE_KEY) {
+    this.name = 'localStorage';
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Read the whole blob from localStorage
+   * @returns {object} Parsed blob with urls and clickData entry lists
+   */
+  readData() {
+    const raw = localStorage.getItem(this.storageKey);
+    const data = raw ? JSON.parse(raw) : {};
+    return {
+      ...data,
+      urls: data.urls || [],
+      clickData: data.clickData || []
+    };
+  }
+
+  /**
+   * Read, modify and write back the blob in one step
+   * @param {Function} modify - Receives the blob and mutates it
+   */
+  updateData(modify) {
+    const data = this.readData();
+    modify(data);
+    localStorage.setItem(this.storageKey, JSON.stringify(data));
+  }
+
+  async listLinks() {
+    return this.readData().urls;
+  }
+
+  async getLink(shortcode) {
+    const entry = this.readData().urls.find(([code]) => code === shortcode);
+    return entry ? entry[1] : null;
+  }
+
+  async putLink(shortcode, link) {
+    this.updateData(data => {
+      const index = data.urls.findIndex(([code]) => code === shortcode);
+      if (index === -1) {
+        data.urls.push([shortcode, link]);
+      } else {
+        data.urls[index] = [shortcode, link];
+      }
+    });
+  }
+
+  async deleteLink(shortcode) {
+    this.updateData(data => {
+      data.urls = data.urls.filter(([code]) => code !== shortcode);
+      data.clickData = data.clickData.filter(([code]) => code !== shortcode);
+    });
+  }
+
+  async listClicks(shortcode) {
+    const entry = this.readData().clickData.find(([code]) => code === shortcode);
+    return entry ? entry[1] : [];
+  }
+
+  async putClick(shortcode, click) {
+    this.updateData(data => {
+      const entry = data.clickData.find(([code]) => code === shortcode);
+      if (entry) {
+        entry[1].push(click);
+      } else {
+        data.clickData.push([shortcode, [click]]);
+      }
+    });
+  }
+
+  async deleteClicks(shortcode) {
+    this.updateData(data => {
+      data.clickData = data.clickData.filter(([code]) => code !== shortcode);
+    });
+  }
+
+  async getMeta(key) {
+    const value = this.readData()[key];
+    return value === undefined ? null : value;
+  }
+
+  async putMeta(key, value) {
+    this.updateData(data => {
+      data[key] = value;
+    });
+  }
+
+  async clear() {
+    localStorage.removeItem(this.storageKey);
+  }
+}
+
+/**
+ * IndexedDB adapter
+ * Stores links, clicks and meta values in separate object stores so writing
+ * a click never touches the rest of the dataset.
+ */
+export class IndexedDBAdapter {
+  constructor(databaseName = 'urlShortener') {
+    this.name = 'indexedDB';
+    this.databaseName = databaseName;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request - Request to wait for
+   * @returns {Promise} Resolves with the request result
+   */
+  static promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Open (and create on first use) the database
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('links');
+          const clicks = db.createObjectStore('clicks', { autoIncrement: true });
+          clicks.createIndex('shortcode', 'shortcode');
+          db.createObjectStore('meta');
+          logger.info('IndexedDB schema created', { databaseName: this.databaseName });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a callback inside a transaction and wait for it to complete
+   * @param {Array<string>} storeNames - Object stores to include
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the transaction, may return a request
+   * @returns {Promise} Resolves with the callback request result
+   */
+  async transaction(storeNames, mode, callback) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const request = callback(tx);
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async listLinks() {
+    const db = await this.open();
+    const tx = db.transaction('links', 'readonly');
+    const store = tx.objectStore('links');
+    const [keys, values] = await Promise.all([
+      IndexedDBAdapter.promisify(store.getAllKeys()),
+      IndexedDBAdapter.promisify(store.getAll())
+    ]);
+    return keys.map((key, index) => [key, values[index]]);
+  }
+
+  async getLink(shortcode) {
+    const link = await this.transaction(['links'], 'readonly', tx =>
+      tx.objectStore('links').get(shortcode)
+    );
+    return link || null;
+  }
+
+  async putLink(shortcode, link) {
+    await this.transaction(['links'], 'readwrite', tx =>
+      tx.objectStore('links').put(link, shortcode)
+    );
+  }
+
+  async deleteLink(shortcode) {
+    await this.deleteClicks(shortcode);
+    await this.transaction(['links'], 'readwrite', tx =>
+      tx.objectStore('links').delete(shortcode)
+    );
+  }
+
+  async listClicks(shortcode) {
+    const records = await this.transaction(['clicks'], 'readonly', tx =>
+      tx.objectStore('clicks').index('shortcode').getAll(shortcode)
+    );
+    return (records || []).map(({ shortcode: _shortcode, ...click }) => click);
+  }
+
+  async putClick(shortcode, click) {
+    await this.transaction(['clicks'], 'readwrite', tx =>
+      tx.objectStore('clicks').add({ ...click, shortcode })
+    );
+  }
+
+  async deleteClicks(shortcode) {
+    await this.transaction(['clicks'], 'readwrite', tx => {
+      const index = tx.objectStore('clicks').index('shortcode');
+      const request = index.openKeyCursor(IDBKeyRange.only(shortcode));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          tx.objectStore('clicks').delete(cursor.primaryKey);
+          cursor.continue();
+        }
+      };
+      return null;
+    });
+  }
+
+  async getMeta(key) {
+    const value = await this.transaction(['meta'], 'readonly', tx =>
+      tx.objectStore('meta').get(key)
+    );
+    return value === undefined ? null : value;
+  }
+
+  async putMeta(key, value) {
+    await this.transaction(['meta'], 'readwrite', tx =>
+      tx.objectStore('meta').put(value, key)
+    );
+  }
+
+  async clear() {
+    await this.transaction(['links', 'clicks', 'meta'], 'readwrite', tx => {
+      tx.objectStore('links').clear();
+      tx.objectStore('clicks').clear();
+      tx.objectStore('meta').clear();
+      return null;
+    });
+  }
+}
+
+/**
+ * In-memory adapter
+ * Nothing survives a reload; intended for tests and environments without
+ * persistent browser storage.
+ */
+export class MemoryStorageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.links = new Map();
+    this.clicks = new Map();
+    this.meta = new Map();
+  }
+
+  async listLinks() {
+    return Array.from(this.links.entries());
+  }
+
+  async getLink(shortcode) {
+    return this.links.get(shortcode) || null;
+  }
+
+  async putLink(shortcode, link) {
+    this.links.set(shortcode, link);
+  }
+
+  async deleteLink(shortcode) {
+    this.links.delete(shortcode);
+    this.clicks.delete(shortcode);
+  }
+
+  async listClicks(shortcode) {
+    return [...(this.clicks.get(shortcode) || [])];
+  }
+
+  async putClick(shortcode, click) {
+    if (!this.clicks.has(shortcode)) {
+      this.clicks.set(shortcode, []);
+    }
+    this.clicks.get(shortcode).push(click);
+  }
+
+  async deleteClicks(shortcode) {
+    this.clicks.delete(shortcode);
+  }
+
+  async getMeta(key) {
+    return this.meta.has(key) ? this.meta.get(key) : null;
+  }
+
+  async putMeta(key, value) {
+    this.meta.set(key, value);
+  }
+
+  async clear() {
+    this.links.clear();
+    this.clicks.clear();
+    this.meta.clear();
+  }
+}
+
+/**
+ * Create a storage adapter by backend name
+ * Falls back to the next most capable backend when the requested one is not
+ * available in the current browser.
+ * @param {string} backend - 'localStorage', 'indexedDB' or 'memory'
+ * @returns {object} Storage adapter instance
+ */
+export function createStorageAdapter(backend = 'localStorage') {
+  if (backend === 'indexedDB') {
+    if (typeof indexedDB !== 'undefined') {
+      return new IndexedDBAdapter();
+    }
+    logger.warn('IndexedDB not available, falling back to localStorage');
+    backend = 'localStorage';
+  }
+
+  if (backend === 'localStorage') {
+    if (typeof localStorage !== 'undefined') {
+      return new LocalStorageAdapter();
+    }
+    logger.warn('localStorage not available, falling back to in-memory storage');
+    return new MemoryStorageAdapter();
+  }
+
+  if (backend !== 'memory') {
+    logger.warn('Unknown storage backend, using in-memory storage', { backend });
+  }
+  return new MemoryStorageAdapter();
+}
@@ -0,0 +1,96 @@
+/**
+ * Cross-tab change notifications for URL Service
+ * Each tab keeps its own in-memory copy of the store, so after writing to
+ * storage a tab tells the others what changed and they re-read it.
+ *
+ * Messages are plain objects:
+ *   { type: 'link', shortcode }  -> a link, its clicks or its shortcode changed
+ *   { type: 'meta', key }        -> a service-level value (settings, presets) changed
+ *   { type: 'reload' }           -> everything changed (e.g. a backup replaced the data)
+ *
+ * BroadcastChannel is used where available; otherwise messages are written to
+ * a localStorage key and picked up through the `storage` event, which fires
+ * in every other tab of the same origin.
+ */
+
+import logger from '../utils/logger';
+
+export const SYNC_CHANNEL_NAME = 'url-shortener-sync';
+export const SYNC_STORAGE_KEY = 'urlShortenerSync';
+
+export class TabSync {
+  constructor(channelName = SYNC_CHANNEL_NAME) {
+    this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.handlers = new Set();
+    this.channel = null;
+    this.onStorage = null;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.name = 'BroadcastChannel';
+      this.channel = new BroadcastChannel(channelName);
+      this.channel.onmessage = (event) => this.deliver(event.data);
+    } else {
+      this.name = 'storage event';
+      this.onStorage = (event) => {
+        if (event.key !== SYNC_STORAGE_KEY || !event.newValue) return;
+        try {
+          this.deliver(JSON.parse(event.newValue));
+        } catch (error) {
+          logger.warn('Ignoring malformed sync message', { error: error.message });
+        }
+      };
+      window.addEventListener('storage', this.onStorage);
+    }
+  }
+
+  /**
+   * Pass a message from another tab to the subscribers
+   * @param {object} message - Received message
+   */
+  deliver(message) {
+    if (!message || message.source === this.tabId) return;
+    logger.debug('Sync message received', { type: message.type, shortcode: message.shortcode });
+    this.handlers.forEach(handler => handler(message));
+  }
+
+  /**
+   * Send a message to every other tab
+   * @param {object} message - Message to send
+   */
+  publish(message) {
+    // The timestamp makes every write unique, so the storage event always fires
+    const envelope = { ...message, source: this.tabId, sentAt: Date.now() };
+    try {
+      if (this.channel) {
+        this.channel.postMessage(envelope);
+      } else {
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(envelope));
+      }
+    } catch (error) {
+      logger.error('Failed to publish sync message', { type: message.type, error: error.message });
+    }
+  }
+
+  /**
+   * Listen for messages from other tabs
+   * @param {Function} handler - Receives each message
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(handler) {
+    this.handlers.add(handler);
+    return () => this.handlers.delete(handler);
+  }
+
+  /**
+   * Stop listening and release the channel
+   */
+  close() {
+    if (this.channel) {
+      this.channel.close();
+    }
+    if (this.onStorage) {
+      window.removeEventListener('storage', this.onStorage);
+    }
+    this.handlers.clear();
+  }
+}
@@ -4,18 +4,215 @@
  */
 
 import logger from '../utils/logger';
+import { createStorageAdapter } from './storageAdapters';
+import { hashPassword, verifyPassword } from '../utils/passwordHash';
+import {
+  getVisitorContext,
+  evaluateRules,
+  describeRule,
+  validateRules
+} from '../utils/redirectRules';
+import { assignVariantIds, getVisitorId, pickVariant, validateVariants } from '../utils/splitTraffic';
+import { applyUTMParams, cleanUTMParams, extractUTMParams } from '../utils/utm';
+import { normalizeURL, removeTrackingParams } from '../utils/urlNormalization';
+import { buildShortUrl, getAppBaseUrl, normalizeBaseUrl, parseShortUrl } from '../utils/shortUrl';
+import { applyPassthrough } from '../utils/passthrough';
+import {
+  SCHEMA_VERSION,
+  serializeLink,
+  deserializeLink,
+  serializeClick,
+  deserializeClick,
+  createClickId,
+  mergeClicks,
+  migrateDataset
+} from './schema';
+import { createArchive } from './backup';
+import { TabSync } from './tabSync';
+import {
+  SHORTCODE_ALPHABETS,
+  SHORTCODE_STRATEGIES,
+  createShortcode,
+  getCodeSpace,
+  getCollisionStats
+} from './shortcodeStrategies';
+import { checkShortcode } from './shortcodePolicy';
+import { checkDestination, isValidDomainPattern, parseThreatList } from './destinationPolicy';
+
+/**
+ * Default service settings; persisted overrides are merged over these
+ */
+export const DEFAULT_SETTINGS = {
+  trashRetentionDays: 7, // How long deleted or expired links stay restorable
+  shortcodeStrategy: 'random', // See shortcodeStrategies.js
+  shortcodeLength: 6, // For the random and hash strategies
+  shortcodeAlphabet: 'alphanumeric', // Key of SHORTCODE_ALPHABETS
+  useDefaultBlocklist: true, // Reject codes containing built-in offensive terms
+  blockedTerms: [], // Extra lowercase terms no shortcode may contain
+  caseInsensitiveShortcodes: false, // Match shortcodes ignoring case; new ones are stored lowercase
+  duplicatePolicy: 'suggest-reuse', // One of DUPLICATE_POLICIES
+  stripTrackingParams: false, // Remove utm_*, fbclid, gclid, ... from entered URLs
+  blockIPLiterals: true, // Reject destinations written as IP addresses
+  blockPrivateNetworks: true, // Reject localhost, *.local and private IP ranges
+  domainAllowlist: [], // Domain patterns destinations must match; empty allows any
+  domainDenylist: [], // Domain patterns destinations must not match
+  shortDomains: [], // Extra base URLs short links can be served from, e.g. https://go.example.com
+  defaultShortDomain: null, // Base URL for new links (one of shortDomains), or null for the app's address
+  previewCountdownSeconds: 5, // Preview pages continue after this long; 0 waits for the visitor
+  fallbackUrl: null, // Where visits to unknown shortcodes go, or null to show the error page
+  fallbackMode: 'page' // One of FALLBACK_MODES
+};
+
+/**
+ * What createShortURL() does when the destination already has an active link
+ *   always-new    - create another link
+ *   suggest-reuse - fail with code DUPLICATE unless options.allowDuplicate is set
+ *   force-reuse   - return the existing link instead (result.reused is true)
+ */
+export const DUPLICATE_POLICIES = ['always-new', 'suggest-reuse', 'force-reuse'];
+
+/**
+ * How RedirectHandler uses a fallback destination when a lookup fails
+ *   page     - explain what happened and offer a button to the fallback
+ *   redirect - go to the fallback without showing anything
+ */
+export const FALLBACK_MODES = ['page', 'redirect'];
+
+/**
+ * Validators for settings, keyed by setting name
+ * Each returns an error message, or null if the value is acceptable.
+ */
+const settingValidators = {
+  trashRetentionDays: (value) =>
+    Number.isInteger(value) && value > 0
+      ? null
+      : 'Trash retention must be a positive integer (days).',
+  shortcodeStrategy: (value) =>
+    SHORTCODE_STRATEGIES.some(strategy => strategy.id === value)
+      ? null
+      : 'Unknown shortcode strategy.',
+  shortcodeLength: (value) =>
+    Number.isInteger(value) && value >= 3 && value <= 20
+      ? null
+      : 'Shortcode length must be between 3 and 20 characters.',
+  shortcodeAlphabet: (value) =>
+    value in SHORTCODE_ALPHABETS
+      ? null
+      : 'Unknown shortcode alphabet.',
+  useDefaultBlocklist: (value) =>
+    typeof value === 'boolean'
+      ? null
+      : 'Default blocklist must be turned on or off.',
+  blockedTerms: (value) =>
+    Array.isArray(value) && value.every(term => typeof term === 'string' && /^[a-z0-9]{2,20}$/.test(term))
+      ? null
+      : 'Blocked terms must be 2-20 lowercase letters or digits each.',
+  caseInsensitiveShortcodes: (value) =>
+    typeof value === 'boolean'
+      ? null
+      : 'Case-insensitive shortcodes must be turned on or off.',
+  duplicatePolicy: (value) =>
+    DUPLICATE_POLICIES.includes(value)
+      ? null
+      : 'Unknown duplicate link policy.',
+  stripTrackingParams: (value) =>
+    typeof value === 'boolean'
+      ? null
+      : 'Tracking parameter stripping must be turned on or off.',
+  blockIPLiterals: (value) =>
+    typeof value === 'boolean'
+      ? null
+      : 'IP address blocking must be turned on or off.',
+  blockPrivateNetworks: (value) =>
+    typeof value === 'boolean'
+      ? null
+      : 'Private network blocking must be turned on or off.',
+  domainAllowlist: (value) =>
+    Array.isArray(value) && value.every(isValidDomainPattern)
+      ? null
+      : 'Allowlist entries must be domain names, optionally with * wildcards (e.g. *.example.com).',
+  domainDenylist: (value) =>
+    Array.isArray(value) && value.every(isValidDomainPattern)
+      ? null
+      : 'Denylist entries must be domain names, optionally with * wildcards (e.g. *.example.com).',
+  shortDomains: (value) =>
+    Array.isArray(value) && value.every(domain => typeof domain === 'string' && normalizeBaseUrl(domain) === domain)
+      ? null
+      : 'Short link domains must be http(s) base URLs without a trailing slash, query or fragment.',
+  defaultShortDomain: (value) =>
+    value === null || typeof value === 'string'
+      ? null
+      : 'Default short link domain must be a base URL or empty.',
+  previewCountdownSeconds: (value) =>
+    Number.isInteger(value) && value >= 0 && value <= 60
+      ? null
+      : 'Preview countdown must be between 0 and 60 seconds.',
+  fallbackUrl: (value) =>
+    value === null || (typeof value === 'string' && /^https?:\/\/.+/.test(value))
+      ? null
+      : 'Fallback URL must be an HTTP/HTTPS URL or empty.',
+  fallbackMode: (value) =>
+    FALLBACK_MODES.includes(value)
+      ? null
+      : 'Unknown fallback mode.'
+};
+
+// Warn once more than this share of the code space is taken
+const CODE_SPACE_WARNING_RATIO = 0.5;
+
+/**
+ * Change events passed to subscribe() listeners as { type, shortcode, data }
+ */
+export const URL_EVENTS = {
+  CREATED: 'created', // data: the new link
+  UPDATED: 'updated', // data: the link; shortcode is the new one after a rename
+  CLICKED: 'clicked', // data: the click record
+  EXPIRED: 'expired', // moved to the trash by the cleanup job
+  REMOVED: 'removed', // moved to the trash by a user, or purged (data.permanent)
+  RESTORED: 'restored', // brought back from the trash
+  IMPORTED: 'imported', // a backup was imported; shortcode is null
+  FALLBACK: 'fallback', // a failed lookup was answered by a fallback; data: { fallbackUrl }, shortcode is null if unknown
+  SYNCED: 'synced' // another tab's change was applied; data: the sync message
+};
+
+// Longest chain of our own short links followed when saving or visiting a link
+export const MAX_REDIRECT_HOPS = 5;
+
+// Longest owner note shown on a link's preview page
+const MAX_NOTE_LENGTH = 500;
+
+// Failed password attempts allowed per shortcode before it is locked
+const MAX_PASSWORD_ATTEMPTS = 5;
+const PASSWORD_LOCKOUT_MS = 15 * 60 * 1000;
 
 class URLService {
-  constructor() {
+  /**
+   * @param {object} options - Service options
+   * @param {object} options.storage - Storage adapter (see storageAdapters.js)
+   * @param {object} options.sync - Cross-tab messaging (see tabSync.js); omit for a single tab
+   */
+  constructor(options = {}) {
     this.urls = new Map(); // Store shortened URLs
     this.clickData = new Map(); // Store click analytics
-    this.shortcodeCounter = 1; // Counter for auto-generated shortcodes
+    this.shortcodeCounter = 1; // Next value for the sequential shortcode strategy
+    this.unknownFallbackHits = 0; // Visits to unknown shortcodes answered by the global fallback
     this.usedShortcodes = new Set(); // Track used shortcodes for uniqueness
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.passwordAttempts = new Map(); // Failed unlock attempts per shortcode
+    this.campaignPresets = []; // Saved UTM parameter sets
+    this.threatList = { domains: new Set(), name: null, loadedAt: null }; // Known malicious domains
+    this.storage = options.storage || createStorageAdapter();
+    this.sync = options.sync || null;
+    this.listeners = new Set(); // Change event subscribers
     
-    // Load data from localStorage on initialization
-    this.loadFromStorage();
+    // Load persisted data on initialization; callers that need it await `ready`
+    this.ready = this.loadFromStorage();
+
+    if (this.sync) {
+      this.sync.subscribe(message => this.handleSyncMessage(message));
+    }
     
-    logger.info('URL Service initialized');
+    logger.info('URL Service initialized', { storage: this.storage.name });
   }
 
   /**
@@ -41,358 +238,2624 @@ class URLService {
   }
 
   /**
-   * Validate shortcode format
-   * @param {string} shortcode - Shortcode to validate
-   * @returns {boolean} True if valid shortcode
+   * Explain why a destination may not be shortened, without logging
+   * Applies the destination policy: own origin, IP literals, private
+   * networks, domain allow/deny lists and the malicious-domain list.
+   * @param {string} url - Destination URL
+   * @param {object} settings - Policy settings to apply (default: current)
+   * @returns {object|null} { code, reason } (see destinationPolicy.js), or null if allowed
    */
-  validateShortcode(shortcode) {
-    const shortcodePattern = /^[a-zA-Z0-9]{3,20}$/;
-    const isValid = shortcodePattern.test(shortcode);
-    
-    if (!isValid) {
-      logger.warn('Invalid shortcode format', { shortcode });
-    } else {
-      logger.debug('Shortcode validation successful', { shortcode });
+  getDestinationRejection(url, settings = this.settings) {
+    const rejection = checkDestination(url, {
+      ...settings,
+      ownBaseUrls: [getAppBaseUrl(), ...settings.shortDomains],
+      threatDomains: this.threatList.domains
+    });
+
+    // Existing short links are allowed; resolveDestination() follows them
+    if (rejection && rejection.code === 'OWN_ORIGIN' && this.findOwnShortLink(url)) {
+      return null;
     }
-    
-    return isValid;
+    return rejection;
   }
 
   /**
-   * Check if shortcode is available
-   * @param {string} shortcode - Shortcode to check
-   * @returns {boolean} True if available
+   * Parse a URL on the app's address or one of the short link domains
+   * @param {string} url - URL to inspect
+   * @returns {object|null} { shortcode, preview, path, search } as written in the URL, or null
    */
-  isShortcodeAvailable(shortcode) {
-    const isAvailable = !this.usedShortcodes.has(shortcode);
-    
-    if (!isAvailable) {
-      logger.warn('Shortcode already in use', { shortcode });
-    }
-    
-    return isAvailable;
+  parseOwnShortUrl(url) {
+    return parseShortUrl(url, [getAppBaseUrl(), ...this.settings.shortDomains]);
   }
 
   /**
-   * Generate a unique shortcode
-   * @returns {string} Generated shortcode
+   * Find the link a URL on our own base URLs points at
+   * @param {string} url - URL to inspect
+   * @returns {object|null} { shortcode, preview, path, search } with the stored shortcode, or null
+   *   if the URL is not one of our links or the link is in the trash
    */
-  generateShortcode() {
-    let shortcode;
-    let attempts = 0;
-    const maxAttempts = 100;
-
-    do {
-      // Generate a random shortcode
-      const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-      shortcode = '';
-      for (let i = 0; i < 6; i++) {
-        shortcode += chars.charAt(Math.floor(Math.random() * chars.length));
-      }
-      attempts++;
-    } while (this.usedShortcodes.has(shortcode) && attempts < maxAttempts);
-
-    if (attempts >= maxAttempts) {
-      // Fallback to timestamp-based shortcode
-      shortcode = 'url' + Date.now().toString(36);
-      logger.warn('Using fallback shortcode generation', { shortcode });
+  findOwnShortLink(url) {
+    const target = this.parseOwnShortUrl(url);
+    const shortcode = target ? this.resolveShortcode(target.shortcode) : null;
+    if (!shortcode || this.isTrashed(this.urls.get(shortcode))) {
+      return null;
     }
-
-    this.usedShortcodes.add(shortcode);
-    logger.info('Generated new shortcode', { shortcode });
-    return shortcode;
+    return { ...target, shortcode };
   }
 
   /**
-   * Create a shortened URL
-   * @param {string} originalUrl - Original URL to shorten
-   * @param {number} validityMinutes - Validity period in minutes (default: 30)
-   * @param {string} customShortcode - Optional custom shortcode
-   * @returns {object} Result object with success status and data/error
+   * Check whether a link always redirects straight to its original URL
+   * Links with a password, click limit, schedule, preview page, passthrough,
+   * rules or split variants behave differently.
+   * @param {object} urlData - Link data
+   * @returns {boolean} True for plain links
    */
-  createShortURL(originalUrl, validityMinutes = 30, customShortcode = null) {
-    logger.info('Creating short URL', { originalUrl, validityMinutes, customShortcode });
-
-    // Validate original URL
-    if (!this.validateURL(originalUrl)) {
-      return {
-        success: false,
-        error: 'Invalid URL format. Please provide a valid HTTP/HTTPS URL.'
-      };
-    }
+  isPlainLink(urlData) {
+    return !urlData.passwordHash && !urlData.maxClicks && !urlData.activatesAt && !urlData.preview &&
+      !urlData.passthrough && urlData.rules.length === 0 && urlData.variants.length === 0;
+  }
 
-    // Validate validity period
-    if (!Number.isInteger(validityMinutes) || validityMinutes <= 0) {
-      return {
-        success: false,
-        error: 'Validity period must be a positive integer (minutes).'
-      };
-    }
+  /**
+   * Follow a destination through our own short links
+   * Active plain links are skipped so visitors are not sent through several
+   * redirects. Flattening stops at the first link whose behavior would be
+   * lost (password, rules, limits, ...), but the chain is followed to its
+   * end to find cycles.
+   * @param {string} url - Destination URL
+   * @param {Array<string>} selfShortcodes - Shortcodes of the link being saved; reaching one is a loop
+   * @returns {object} { destination, hops } or, for a cycle or overlong chain, { code, error, hops }
+   */
+  resolveDestination(url, selfShortcodes = []) {
+    const seen = new Set(selfShortcodes);
+    const hops = [];
+    let destination = url;
+    let current = url;
+    let flattening = true;
 
-    let shortcode;
+    for (;;) {
+      const target = this.parseOwnShortUrl(current);
+      if (!target) break;
 
-    // Handle custom shortcode
-    if (customShortcode) {
-      if (!this.validateShortcode(customShortcode)) {
+      const shortcode = this.resolveShortcode(target.shortcode) || this.toCanonicalShortcode(target.shortcode);
+      if (seen.has(shortcode)) {
         return {
-          success: false,
-          error: 'Invalid shortcode format. Use 3-20 alphanumeric characters.'
+          code: 'REDIRECT_LOOP',
+          error: hops.length === 0
+            ? 'A short link cannot point to itself.'
+            : `These short links would redirect in a loop: ${[...hops, shortcode].join(' → ')}.`,
+          hops: [...hops, shortcode]
         };
       }
 
-      if (!this.isShortcodeAvailable(customShortcode)) {
+      const urlData = this.urls.get(shortcode);
+      if (!urlData || this.isTrashed(urlData)) break;
+
+      seen.add(shortcode);
+      hops.push(shortcode);
+      if (hops.length > MAX_REDIRECT_HOPS) {
         return {
-          success: false,
-          error: 'Shortcode already in use. Please choose a different one.'
+          code: 'CHAIN_TOO_LONG',
+          error: `The destination goes through more than ${MAX_REDIRECT_HOPS} short links.`,
+          hops
         };
       }
 
-      shortcode = customShortcode;
-    } else {
-      shortcode = this.generateShortcode();
+      if (flattening && !target.preview && this.isPlainLink(urlData) && this.getLinkStatus(urlData) === 'active') {
+        destination = urlData.originalUrl;
+      } else {
+        flattening = false;
+      }
+      current = urlData.originalUrl;
     }
 
-    // Calculate expiry time
-    const createdAt = new Date();
-    const expiresAt = new Date(createdAt.getTime() + validityMinutes * 60 * 1000);
+    return { destination, hops };
+  }
 
-    // Store the URL data
-    const urlData = {
-      id: Date.now().toString(),
-      originalUrl,
-      shortcode,
-      shortUrl: `${window.location.origin}/${shortcode}`,
-      createdAt,
-      expiresAt,
-      validityMinutes,
-      clickCount: 0,
-      clicks: []
-    };
+  /**
+   * Resolve every destination of a link through our own short links
+   * Only the fields that are provided are resolved.
+   * @param {object} fields - { originalUrl, rules, variants, fallbackUrl }
+   * @param {Array<string>} selfShortcodes - Shortcodes of the link being saved
+   * @returns {object} Result object with the resolved fields as data and `warnings` for
+   *   flattened chains, or a failed result with code REDIRECT_LOOP or CHAIN_TOO_LONG
+   */
+  resolveLinkDestinations(fields, selfShortcodes = []) {
+    const warnings = [];
+    let failure = null;
 
-    this.urls.set(shortcode, urlData);
-    this.clickData.set(shortcode, []);
+    const resolve = (url, label) => {
+      if (!url || failure) return url;
 
-    // Save to localStorage
-    this.saveToStorage();
+      const chain = this.resolveDestination(url, selfShortcodes);
+      if (chain.code) {
+        logger.warn('Short link chain rejected', { url, code: chain.code, hops: chain.hops });
+        failure = { success: false, code: chain.code, error: `${label}${chain.error}` };
+        return url;
+      }
 
-    logger.info('Short URL created successfully', { 
-      shortcode, 
-      originalUrl, 
-      expiresAt: expiresAt.toISOString() 
-    });
+      if (chain.destination !== url) {
+        logger.warn('Flattened short link chain', { url, destination: chain.destination, hops: chain.hops });
+        warnings.push(`${label}${url} is a short link, so this link points straight to ${chain.destination} instead.`);
+      }
+      return chain.destination;
+    };
 
-    return {
-      success: true,
-      data: urlData
+    const data = {
+      originalUrl: resolve(fields.originalUrl, ''),
+      rules: fields.rules
+        ? fields.rules.map((rule, index) => (rule ? { ...rule, destination: resolve(rule.destination, `Rule ${index + 1}: `) } : rule))
+        : fields.rules,
+      variants: fields.variants
+        ? fields.variants.map((variant, index) => (variant ? { ...variant, url: resolve(variant.url, `Variant ${index + 1}: `) } : variant))
+        : fields.variants,
+      fallbackUrl: resolve(fields.fallbackUrl, 'Fallback URL: ')
     };
+
+    return failure || { success: true, data, warnings };
   }
 
   /**
-   * Get original URL by shortcode
-   * @param {string} shortcode - Shortcode to look up
-   * @returns {object} Result object with success status and data/error
+   * Validate a destination's format and safety policy
+   * @param {string} url - Destination URL
+   * @param {string} label - Prefix for error messages, e.g. 'Rule 2: '
+   * @returns {object|null} Failed result object, or null if valid
    */
-  getOriginalURL(shortcode) {
-    logger.info('Looking up original URL', { shortcode });
-    logger.debug('Available shortcodes', { shortcodes: Array.from(this.urls.keys()) });
-
-    const urlData = this.urls.get(shortcode);
-    
-    if (!urlData) {
-      logger.warn('Shortcode not found', { shortcode, availableShortcodes: Array.from(this.urls.keys()) });
+  validateDestination(url, label = '') {
+    if (!this.validateURL(url)) {
       return {
         success: false,
-        error: 'Short URL not found.'
+        error: `${label}Invalid URL format. Please provide a valid HTTP/HTTPS URL.`
       };
     }
 
-    logger.debug('URL data found', { urlData });
-
-    // Check if URL has expired
-    const now = new Date();
-    if (now > urlData.expiresAt) {
-      logger.warn('Short URL has expired', { shortcode, expiresAt: urlData.expiresAt, currentTime: now });
+    const rejection = this.getDestinationRejection(url);
+    if (rejection) {
+      logger.warn('Destination rejected by policy', { url, code: rejection.code });
       return {
         success: false,
-        error: 'Short URL has expired.'
+        code: rejection.code,
+        error: `${label}${rejection.reason}`
       };
     }
 
-    // Record click
-    this.recordClick(shortcode);
+    return null;
+  }
 
-    logger.info('Original URL retrieved successfully', { shortcode, originalUrl: urlData.originalUrl });
+  /**
+   * Validate shortcode format, reserved words and blocklist
+   * @param {string} shortcode - Shortcode to validate
+   * @returns {boolean} True if valid shortcode
+   */
+  validateShortcode(shortcode) {
+    const rejection = this.getShortcodeRejection(shortcode);
     
-    return {
-      success: true,
-      data: urlData
-    };
+    if (rejection) {
+      logger.warn('Shortcode rejected', { shortcode, code: rejection.code, reason: rejection.reason });
+    } else {
+      logger.debug('Shortcode validation successful', { shortcode });
+    }
+    
+    return !rejection;
   }
 
   /**
-   * Record a click on a short URL
-   * @param {string} shortcode - Shortcode that was clicked
+   * Explain why a shortcode cannot be used, without logging
+   * Does not check availability; see isShortcodeAvailable().
+   * @param {string} shortcode - Shortcode to check
+   * @returns {object|null} { code: 'FORMAT'|'RESERVED'|'BLOCKED', reason }, or null if acceptable
    */
-  recordClick(shortcode) {
-    const urlData = this.urls.get(shortcode);
-    if (!urlData) return;
-
-    const clickData = {
-      timestamp: new Date(),
-      source: this.getClickSource(),
-      location: this.getClickLocation()
-    };
-
-    urlData.clickCount++;
-    urlData.clicks.push(clickData);
-    this.clickData.get(shortcode).push(clickData);
-
-    // Save to localStorage
-    this.saveToStorage();
-
-    logger.info('Click recorded', { shortcode, clickCount: urlData.clickCount });
+  getShortcodeRejection(shortcode) {
+    return checkShortcode(shortcode, this.settings);
   }
 
   /**
-   * Get click source (simplified for client-side)
-   * @returns {string} Click source
+   * Check if shortcode is available
+   * @param {string} shortcode - Shortcode to check
+   * @param {string|null} ownShortcode - Current shortcode of a link being renamed, which does not count as taken
+   * @returns {boolean} True if available
    */
-  getClickSource() {
-    return document.referrer || 'Direct';
+  isShortcodeAvailable(shortcode, ownShortcode = null) {
+    const isAvailable = !this.isShortcodeTaken(shortcode, ownShortcode);
+    
+    if (!isAvailable) {
+      logger.warn('Shortcode already in use', { shortcode });
+    }
+    
+    return isAvailable;
   }
 
   /**
-   * Get click location (simplified for client-side)
-   * @returns {string} Click location
+   * Check whether a shortcode is claimed, without logging
+   * @param {string} shortcode - Shortcode to check
+   * @param {string|null} ownShortcode - Current shortcode of a link being renamed; in
+   *   case-insensitive mode it does not block a rename that only changes its letter case
+   * @returns {boolean} True if taken
    */
-  getClickLocation() {
-    // In a real application, this would use a geolocation service
-    return 'Unknown';
+  isShortcodeTaken(shortcode, ownShortcode = null) {
+    if (shortcode !== ownShortcode && (this.usedShortcodes.has(shortcode) || this.urls.has(shortcode))) {
+      return true;
+    }
+    if (!this.settings.caseInsensitiveShortcodes) {
+      return false;
+    }
+
+    const canonical = shortcode.toLowerCase();
+    const claimed = [...this.usedShortcodes, ...this.urls.keys()];
+    return claimed.some(code => code !== ownShortcode && code.toLowerCase() === canonical);
   }
 
   /**
-   * Get all shortened URLs
-   * @returns {Array} Array of all URL data
+   * Get the form a shortcode is stored in
+   * In case-insensitive mode shortcodes are stored lowercase.
+   * @param {string} shortcode - Shortcode as entered or visited
+   * @returns {string} Canonical shortcode
    */
-  getAllURLs() {
-    const allURLs = Array.from(this.urls.values());
-    logger.info('Retrieved all URLs', { count: allURLs.length });
-    return allURLs;
+  toCanonicalShortcode(shortcode) {
+    return this.settings.caseInsensitiveShortcodes ? shortcode.toLowerCase() : shortcode;
   }
 
   /**
-   * Get URL statistics by shortcode
-   * @param {string} shortcode - Shortcode to get stats for
-   * @returns {object} Statistics data
+   * Find the stored shortcode a visited shortcode refers to
+   * An exact match always wins. In case-insensitive mode the lowercase form
+   * comes next, then links created before the mode was turned on, which keep
+   * the case they were created with.
+   * @param {string} shortcode - Shortcode as visited
+   * @returns {string|null} Stored shortcode, or null if there is none
    */
-  getURLStats(shortcode) {
-    const urlData = this.urls.get(shortcode);
-    if (!urlData) {
+  resolveShortcode(shortcode) {
+    if (this.urls.has(shortcode)) {
+      return shortcode;
+    }
+    if (!this.settings.caseInsensitiveShortcodes) {
       return null;
     }
 
-    const stats = {
-      ...urlData,
-      clicks: this.clickData.get(shortcode) || []
-    };
+    const canonical = shortcode.toLowerCase();
+    if (this.urls.has(canonical)) {
+      return canonical;
+    }
+    for (const code of this.urls.keys()) {
+      if (code.toLowerCase() === canonical) {
+        return code;
+      }
+    }
+    return null;
+  }
 
-    logger.info('Retrieved URL statistics', { shortcode, clickCount: stats.clickCount });
-    return stats;
+  /**
+   * Find links whose shortcodes only differ in letter case
+   * Only the first of each group (the lowercase one, if any) is reachable
+   * under other spellings once case-insensitive mode is on; the others keep
+   * working for their exact spelling.
+   * @returns {Array<object>} Groups of { canonical, shortcodes }
+   */
+  findCaseCollisions() {
+    const groups = new Map();
+    for (const code of this.urls.keys()) {
+      const canonical = code.toLowerCase();
+      groups.set(canonical, [...(groups.get(canonical) || []), code]);
+    }
+
+    return [...groups.entries()]
+      .filter(([, shortcodes]) => shortcodes.length > 1)
+      .map(([canonical, shortcodes]) => ({ canonical, shortcodes }));
   }
 
   /**
-   * Clean up expired URLs
+   * Rename links to their lowercase shortcode after case-insensitive mode is turned on
+   * Links in the trash and links that collide with another spelling keep
+   * their shortcode. Old spellings still resolve, so printed links keep working.
+   * @returns {object} { renamed: [{ from, to }], collisions }
    */
-  cleanupExpiredURLs() {
-    const now = new Date();
-    let cleanedCount = 0;
+  canonicalizeShortcodes() {
+    const collisions = this.findCaseCollisions();
+    const colliding = new Set(collisions.map(group => group.canonical));
+    const renamed = [];
 
-    for (const [shortcode, urlData] of this.urls.entries()) {
-      if (now > urlData.expiresAt) {
-        this.urls.delete(shortcode);
-        this.clickData.delete(shortcode);
-        this.usedShortcodes.delete(shortcode);
-        cleanedCount++;
+    for (const [shortcode, urlData] of [...this.urls.entries()]) {
+      const canonical = shortcode.toLowerCase();
+      if (canonical === shortcode || colliding.has(canonical) || this.isTrashed(urlData) ||
+        this.usedShortcodes.has(canonical)) {
+        continue;
       }
+
+      const updatedData = { ...urlData, updatedAt: new Date() };
+      this.moveLink(shortcode, canonical, updatedData);
+      this.emit(URL_EVENTS.UPDATED, canonical, updatedData);
+      renamed.push({ from: shortcode, to: canonical });
     }
 
-    if (cleanedCount > 0) {
-      // Save to localStorage after cleanup
-      this.saveToStorage();
-      logger.info('Cleaned up expired URLs', { count: cleanedCount });
+    if (collisions.length > 0) {
+      logger.warn('Shortcodes differing only in case were left unchanged', { collisions });
     }
+    logger.info('Canonicalized shortcodes', { renamedCount: renamed.length, collisionCount: collisions.length });
+    return { renamed, collisions };
   }
 
   /**
-   * Debug method to get all stored URLs
-   * @returns {Array} Array of all URL data for debugging
+   * Get the characters generated shortcodes are drawn from
+   * @param {object} settings - Settings to use (default: current)
+   * @returns {string} Alphabet, lowercased in case-insensitive mode
    */
-  debugGetAllURLs() {
-    const allURLs = Array.from(this.urls.entries()).map(([shortcode, data]) => ({
-      shortcode,
-      originalUrl: data.originalUrl,
-      shortUrl: data.shortUrl,
-      createdAt: data.createdAt,
-      expiresAt: data.expiresAt,
-      isExpired: new Date() > data.expiresAt
-    }));
-    
-    logger.info('Debug: All stored URLs', { urls: allURLs });
-    return allURLs;
+  getShortcodeAlphabet(settings = this.settings) {
+    const { chars } = SHORTCODE_ALPHABETS[settings.shortcodeAlphabet];
+    return settings.caseInsensitiveShortcodes ? [...new Set(chars.toLowerCase())].join('') : chars;
   }
 
   /**
-   * Save data to localStorage
+   * Generate a unique shortcode with the configured strategy
+   * Falls back to the sequential counter, which cannot collide, when the
+   * strategy keeps proposing taken codes.
+   * @param {string} originalUrl - Destination URL, used by the hash strategy
+   * @returns {string} Generated shortcode
    */
-  saveToStorage() {
-    try {
-      const data = {
-        urls: Array.from(this.urls.entries()),
-        clickData: Array.from(this.clickData.entries()),
-        usedShortcodes: Array.from(this.usedShortcodes)
+  generateShortcode(originalUrl = '') {
+    const { shortcodeStrategy, shortcodeLength } = this.settings;
+    const maxAttempts = 100;
+    let shortcode = null;
+
+    if (shortcodeStrategy === 'sequential') {
+      shortcode = this.nextSequentialShortcode();
+    } else {
+      const context = {
+        length: shortcodeLength,
+        alphabet: this.getShortcodeAlphabet(),
+        url: originalUrl
       };
-      localStorage.setItem('urlShortenerData', JSON.stringify(data));
-      logger.debug('Data saved to localStorage');
-    } catch (error) {
-      logger.error('Failed to save data to localStorage', { error: error.message });
+
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const candidate = this.toCanonicalShortcode(createShortcode(shortcodeStrategy, { ...context, attempt }));
+        if (!this.isShortcodeTaken(candidate) && !this.getShortcodeRejection(candidate)) {
+          shortcode = candidate;
+          if (attempt > 0) {
+            logger.info('Shortcode collisions before a free code was found', { strategy: shortcodeStrategy, collisions: attempt });
+          }
+          break;
+        }
+      }
+
+      if (!shortcode) {
+        shortcode = this.nextSequentialShortcode();
+        logger.warn('Using fallback shortcode generation', { strategy: shortcodeStrategy, shortcode });
+      }
+
+      const stats = this.getShortcodeStats();
+      if (stats.fillRatio > CODE_SPACE_WARNING_RATIO) {
+        logger.warn('Shortcode space is filling up', {
+          strategy: shortcodeStrategy,
+          used: stats.used,
+          codeSpace: stats.codeSpace,
+          collisionProbability: stats.collisionProbability
+        });
+      }
     }
+
+    this.usedShortcodes.add(shortcode);
+    logger.info('Generated new shortcode', { shortcode, strategy: shortcodeStrategy });
+    return shortcode;
   }
 
   /**
-   * Load data from localStorage
+   * Take the next free code from the sequential counter
+   * @returns {string} Shortcode
    */
-  loadFromStorage() {
-    try {
-      const data = localStorage.getItem('urlShortenerData');
-      if (data) {
-        const parsedData = JSON.parse(data);
-        
-        // Restore URLs
-        this.urls = new Map(parsedData.urls || []);
-        
-        // Restore click data
-        this.clickData = new Map(parsedData.clickData || []);
-        
-        // Restore used shortcodes
-        this.usedShortcodes = new Set(parsedData.usedShortcodes || []);
-        
-        logger.info('Data loaded from localStorage', { 
-          urlCount: this.urls.size,
-          shortcodeCount: this.usedShortcodes.size 
-        });
-      }
-    } catch (error) {
-      logger.error('Failed to load data from localStorage', { error: error.message });
-    }
+  nextSequentialShortcode() {
+    let shortcode;
+    do {
+      shortcode = this.toCanonicalShortcode(createShortcode('sequential', { counter: this.shortcodeCounter }));
+      this.shortcodeCounter++;
+    } while (this.isShortcodeTaken(shortcode) || this.getShortcodeRejection(shortcode));
+
+    this.persistStorageTask(
+      () => this.storage.putMeta('shortcodeCounter', this.shortcodeCounter),
+      'save shortcode counter'
+    ).then(() => this.notifyTabs({ type: 'meta', key: 'shortcodeCounter' }));
+
+    return shortcode;
   }
-}
 
-// Create singleton instance
-const urlService = new URLService();
+  /**
+   * Report how full the configured strategy's code space is
+   * @param {object} settings - Strategy settings to evaluate (default: current)
+   * @returns {object} { strategy, codeSpace, used, fillRatio, collisionProbability, expectedAttempts }
+   */
+  getShortcodeStats(settings = this.settings) {
+    const { shortcodeStrategy, shortcodeLength } = settings;
+    const codeSpace = getCodeSpace(shortcodeStrategy, {
+      length: shortcodeLength,
+      alphabet: this.getShortcodeAlphabet(settings)
+    });
+    const used = this.usedShortcodes.size;
 
-// Clean up expired URLs every 5 minutes
+    return {
+      strategy: shortcodeStrategy,
+      codeSpace,
+      used,
+      ...getCollisionStats(codeSpace, used)
+    };
+  }
+
+  /**
+   * Validate the user-editable fields of a link
+   * Only fields that are provided are checked, so the same rules apply to
+   * creating and updating links.
+   * @param {object} fields - Fields to validate
+   * @param {string} fields.originalUrl - Destination URL
+   * @param {number} fields.validityMinutes - Validity period in minutes
+   * @param {string} fields.shortcode - Custom shortcode to claim
+   * @param {string|null} fields.ownShortcode - Current shortcode when renaming a link
+   * @param {string} fields.password - Password to protect the link with
+   * @param {number|null} fields.maxClicks - Maximum number of redirects
+   * @param {Date|null} fields.activatesAt - When the link starts redirecting
+   * @param {Date|null} fields.expiresAt - When the link stops redirecting
+   * @param {Array} fields.rules - Conditional redirect rules
+   * @param {Array} fields.variants - Weighted A/B split destinations
+   * @param {string|null} fields.domain - Short link base URL, or null for the app's address
+   * @param {string|null} fields.note - Owner note shown on the preview page
+   * @param {string|null} fields.fallbackUrl - Where visits go once the link has expired or used up its clicks
+   * @returns {object|null} Failed result object, or null if valid
+   */
+  validateLinkInput({
+    originalUrl,
+    validityMinutes,
+    shortcode,
+    ownShortcode = null,
+    password,
+    maxClicks,
+    activatesAt,
+    expiresAt,
+    rules,
+    variants,
+    domain,
+    note,
+    fallbackUrl
+  } = {}) {
+    // Validate original URL and destination policy
+    const destinationError = originalUrl !== undefined ? this.validateDestination(originalUrl) : null;
+    if (destinationError) {
+      return destinationError;
+    }
+
+    // Validate validity period
+    if (validityMinutes !== undefined && (!Number.isInteger(validityMinutes) || validityMinutes <= 0)) {
+      return {
+        success: false,
+        error: 'Validity period must be a positive integer (minutes).'
+      };
+    }
+
+    // Validate shortcode format, reserved words, blocklist and availability
+    if (shortcode) {
+      const rejection = this.getShortcodeRejection(shortcode);
+      if (rejection) {
+        logger.warn('Shortcode rejected', { shortcode, code: rejection.code });
+        return {
+          success: false,
+          error: rejection.reason
+        };
+      }
+
+      if (!this.isShortcodeAvailable(shortcode, ownShortcode)) {
+        return {
+          success: false,
+          error: 'Shortcode already in use. Please choose a different one.'
+        };
+      }
+    }
+
+    // Validate the short link domain against the configured list
+    if (domain !== undefined && domain !== null && !this.settings.shortDomains.includes(domain)) {
+      return {
+        success: false,
+        error: `${domain} is not one of the short link domains in Settings.`
+      };
+    }
+
+    // Validate the fallback destination like any other destination
+    const fallbackError = fallbackUrl ? this.validateDestination(fallbackUrl, 'Fallback URL: ') : null;
+    if (fallbackError) {
+      return fallbackError;
+    }
+
+    // Validate the preview note length
+    if (note && note.length > MAX_NOTE_LENGTH) {
+      return {
+        success: false,
+        error: `Note must be at most ${MAX_NOTE_LENGTH} characters.`
+      };
+    }
+
+    // Validate password length
+    if (password && password.length < 4) {
+      return {
+        success: false,
+        error: 'Password must be at least 4 characters.'
+      };
+    }
+
+    // Validate click limit (null means unlimited)
+    if (maxClicks !== undefined && maxClicks !== null && (!Number.isInteger(maxClicks) || maxClicks <= 0)) {
+      return {
+        success: false,
+        error: 'Click limit must be a positive integer.'
+      };
+    }
+
+    // Validate the activation window
+    if (activatesAt && isNaN(activatesAt.getTime())) {
+      return {
+        success: false,
+        error: 'Activation time is not a valid date.'
+      };
+    }
+
+    if (expiresAt) {
+      if (isNaN(expiresAt.getTime())) {
+        return {
+          success: false,
+          error: 'Expiry time is not a valid date.'
+        };
+      }
+
+      if (expiresAt <= new Date()) {
+        return {
+          success: false,
+          error: 'Expiry time must be in the future.'
+        };
+      }
+
+      if (activatesAt && expiresAt <= activatesAt) {
+        return {
+          success: false,
+          error: 'Expiry time must be after the activation time.'
+        };
+      }
+    }
+
+    // Validate redirect rules and their destinations
+    if (rules !== undefined && rules !== null) {
+      const rulesError = validateRules(rules);
+      if (rulesError) {
+        return {
+          success: false,
+          error: rulesError
+        };
+      }
+
+      for (const [index, rule] of rules.entries()) {
+        const ruleError = this.validateDestination(rule.destination, `Rule ${index + 1}: `);
+        if (ruleError) {
+          return ruleError;
+        }
+      }
+    }
+
+    // Validate split destinations and their weights
+    if (variants !== undefined && variants !== null) {
+      const variantsError = validateVariants(variants);
+      if (variantsError) {
+        return {
+          success: false,
+          error: variantsError
+        };
+      }
+
+      for (const [index, variant] of variants.entries()) {
+        const variantError = this.validateDestination(variant.url, `Variant ${index + 1}: `);
+        if (variantError) {
+          return variantError;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Give split variants their ids (A, B, C...)
+   * When a link is edited its variants keep their ids, and ids of removed
+   * variants that still have clicks are not handed out again.
+   * @param {Array} variants - Weighted variants
+   * @param {object|null} urlData - Link being edited, or null for a new link
+   * @returns {Array} Variants with ids
+   */
+  normalizeVariants(variants, urlData = null) {
+    const usedIds = urlData
+      ? [
+        ...urlData.variants.map(variant => variant.id),
+        ...(this.clickData.get(urlData.shortcode) || []).map(click => click.variantId).filter(Boolean)
+      ]
+      : [];
+
+    return assignVariantIds((variants || []).map(variant => ({
+      url: variant.url,
+      weight: variant.weight,
+      id: typeof variant.id === 'string' ? variant.id : null
+    })), usedIds);
+  }
+
+  /**
+   * Give every redirect rule a stable id
+   * @param {Array} rules - Redirect rules
+   * @returns {Array} Rules with ids
+   */
+  normalizeRules(rules) {
+    const base = Date.now().toString(36);
+    return (rules || []).map((rule, index) => ({
+      ...rule,
+      id: rule.id || `rule-${base}-${index}`
+    }));
+  }
+
+  /**
+   * Create a shortened URL
+   * @param {string} originalUrl - Original URL to shorten
+   * @param {number} validityMinutes - Validity period in minutes (default: 30)
+   * @param {string} customShortcode - Optional custom shortcode
+   * @param {object} options - Optional link settings
+   * @param {string} options.password - Password visitors must enter before redirecting
+   * @param {number} options.maxClicks - Redirects allowed before the link stops working (1 = one-time link)
+   * @param {Date|string} options.activatesAt - When the link goes live (default: now)
+   * @param {Date|string} options.expiresAt - Explicit end time; overrides validityMinutes
+   * @param {Array} options.rules - Ordered conditional redirect rules (see redirectRules.js)
+   * @param {Array} options.variants - Weighted A/B split destinations (see splitTraffic.js)
+   * @param {object} options.utm - UTM parameters merged into every destination
+   * @param {boolean} options.allowDuplicate - Create a new link even if the destination already has one
+   * @param {string|null} options.domain - Short link base URL from settings.shortDomains, or null
+   *   for the app's address (default: settings.defaultShortDomain)
+   * @param {boolean} options.preview - Show a preview page with the destination before redirecting
+   * @param {string} options.note - Owner note shown on the preview page
+   * @param {boolean} options.passthrough - Forward extra path segments and query parameters to the destination
+   * @param {string} options.fallbackUrl - Where visits go once the link has expired or used up its clicks
+   * @returns {Promise<object>} Result object with success status and data/error.
+   *   Duplicates are reported with code DUPLICATE and the existing link as `duplicate`.
+   *   Destinations that are our own short links are resolved (see resolveLinkDestinations());
+   *   cycles fail with code REDIRECT_LOOP and flattened chains are listed in `warnings`.
+   */
+  async createShortURL(originalUrl, validityMinutes = 30, customShortcode = null, options = {}) {
+    logger.info('Creating short URL', {
+      originalUrl,
+      validityMinutes,
+      customShortcode,
+      passwordProtected: !!options.password,
+      maxClicks: options.maxClicks,
+      activatesAt: options.activatesAt,
+      expiresAt: options.expiresAt,
+      ruleCount: options.rules ? options.rules.length : 0,
+      variantCount: options.variants ? options.variants.length : 0,
+      utm: options.utm,
+      domain: options.domain,
+      preview: !!options.preview,
+      passthrough: !!options.passthrough
+    });
+
+    // Custom shortcodes are stored in canonical form
+    if (customShortcode) {
+      customShortcode = this.toCanonicalShortcode(customShortcode);
+    }
+
+    // Destinations that are our own short links are followed before validation
+    const chain = this.resolveLinkDestinations({
+      originalUrl,
+      rules: options.rules,
+      variants: options.variants,
+      fallbackUrl: options.fallbackUrl
+    }, customShortcode ? [customShortcode] : []);
+    if (!chain.success) {
+      return chain;
+    }
+    originalUrl = chain.data.originalUrl;
+    options = { ...options, ...chain.data };
+
+    const activatesAt = options.activatesAt ? new Date(options.activatesAt) : null;
+    const explicitExpiry = options.expiresAt ? new Date(options.expiresAt) : null;
+    const domain = options.domain !== undefined ? options.domain : this.settings.defaultShortDomain;
+
+    const validationError = this.validateLinkInput({
+      originalUrl,
+      validityMinutes: explicitExpiry ? undefined : validityMinutes,
+      shortcode: customShortcode,
+      password: options.password,
+      maxClicks: options.maxClicks,
+      activatesAt,
+      expiresAt: explicitExpiry,
+      rules: options.rules,
+      variants: options.variants,
+      domain,
+      note: options.note,
+      fallbackUrl: options.fallbackUrl
+    });
+    if (validationError) {
+      return validationError;
+    }
+
+    // Tag every destination with the campaign parameters
+    const utm = cleanUTMParams(options.utm);
+    const tag = url => applyUTMParams(url, utm);
+    const destination = tag(this.settings.stripTrackingParams ? removeTrackingParams(originalUrl) : originalUrl);
+
+    // Plain links to a page that already has one are duplicates
+    // (the password is only hashed further down, so it stands in for the hash here)
+    const { duplicatePolicy } = this.settings;
+    const candidate = {
+      passwordHash: options.password || null,
+      maxClicks: options.maxClicks || null,
+      activatesAt,
+      preview: !!options.preview,
+      passthrough: !!options.passthrough,
+      rules: options.rules || [],
+      variants: options.variants || []
+    };
+    const duplicate = duplicatePolicy !== 'always-new' && this.isPlainLink(candidate) && !options.allowDuplicate
+      ? this.findDuplicateLink(destination)
+      : null;
+
+    if (duplicate) {
+      if (duplicatePolicy === 'force-reuse' && !customShortcode) {
+        logger.info('Reusing existing short URL for duplicate destination', { shortcode: duplicate.shortcode, destination });
+        return {
+          success: true,
+          data: duplicate,
+          reused: true
+        };
+      }
+
+      logger.info('Destination already has an active short URL', { shortcode: duplicate.shortcode, destination });
+      return {
+        success: false,
+        code: 'DUPLICATE',
+        error: `This URL already has an active short link: ${duplicate.shortUrl}`,
+        duplicate
+      };
+    }
+
+    // Hash before claiming a shortcode so a failure leaves nothing behind
+    let passwordHash = null;
+    if (options.password) {
+      try {
+        passwordHash = await hashPassword(options.password);
+      } catch (error) {
+        logger.error('Failed to hash link password', { error: error.message });
+        return {
+          success: false,
+          error: 'Password protection is not available in this browser.'
+        };
+      }
+    }
+
+    // Re-check in case the shortcode was claimed while hashing
+    if (customShortcode && !this.isShortcodeAvailable(customShortcode)) {
+      return {
+        success: false,
+        error: 'Shortcode already in use. Please choose a different one.'
+      };
+    }
+
+    // Use the custom shortcode or generate one
+    const shortcode = customShortcode || this.generateShortcode(destination);
+    this.usedShortcodes.add(shortcode);
+
+    // Calculate expiry time; validity counts from activation for scheduled links
+    const createdAt = new Date();
+    const startsAt = activatesAt && activatesAt > createdAt ? activatesAt : createdAt;
+    const expiresAt = explicitExpiry || new Date(startsAt.getTime() + validityMinutes * 60 * 1000);
+    const validity = explicitExpiry
+      ? Math.ceil((explicitExpiry - startsAt) / 60000)
+      : validityMinutes;
+
+    // Store the URL data
+    const urlData = {
+      id: `${createdAt.getTime()}-${shortcode}`,
+      originalUrl: destination,
+      shortcode,
+      domain,
+      shortUrl: buildShortUrl(shortcode, domain),
+      createdAt,
+      activatesAt,
+      expiresAt,
+      validityMinutes: validity,
+      passwordHash,
+      maxClicks: options.maxClicks || null,
+      rules: this.normalizeRules(options.rules)
+        .map(rule => ({ ...rule, destination: tag(rule.destination) })),
+      variants: this.normalizeVariants(options.variants)
+        .map(variant => ({ ...variant, url: tag(variant.url) })),
+      utm: Object.keys(utm).length > 0 ? utm : null,
+      preview: !!options.preview,
+      note: (options.note || '').trim() || null,
+      passthrough: !!options.passthrough,
+      fallbackUrl: options.fallbackUrl || null,
+      fallbackHits: 0,
+      clickCount: 0,
+      clicks: []
+    };
+
+    this.urls.set(shortcode, urlData);
+    this.clickData.set(shortcode, []);
+
+    // Persist the new link
+    this.persistLink(shortcode);
+    this.emit(URL_EVENTS.CREATED, shortcode, urlData);
+
+    logger.info('Short URL created successfully', { 
+      shortcode, 
+      originalUrl: urlData.originalUrl, 
+      activatesAt: activatesAt ? activatesAt.toISOString() : null,
+      expiresAt: expiresAt.toISOString() 
+    });
+
+    return {
+      success: true,
+      data: urlData,
+      warnings: chain.warnings
+    };
+  }
+
+  /**
+   * Find an active plain link to the same destination
+   * Links that are not plain (see isPlainLink()) are never treated as duplicates.
+   * @param {string} destination - Destination URL
+   * @returns {object|null} The matching link that stays active longest, or null
+   */
+  findDuplicateLink(destination) {
+    const normalized = normalizeURL(destination);
+    let match = null;
+
+    for (const urlData of this.urls.values()) {
+      if (this.isPlainLink(urlData) && !this.isTrashed(urlData) && this.getLinkStatus(urlData) === 'active' &&
+        normalizeURL(urlData.originalUrl) === normalized &&
+        (!match || urlData.expiresAt > match.expiresAt)) {
+        match = urlData;
+      }
+    }
+
+    return match;
+  }
+
+  /**
+   * Create several short URLs in one batch
+   * Entries are created in order, so a shortcode claimed by an earlier entry
+   * is reported as taken for a later one. A failed entry does not stop the batch.
+   * @param {Array<object>} entries - { originalUrl, validityMinutes, shortcode, options }
+   * @returns {Promise<Array<object>>} One result object per entry, in order
+   */
+  async createShortURLs(entries) {
+    logger.info('Creating short URLs in batch', { count: entries.length });
+
+    const results = [];
+    for (const entry of entries) {
+      try {
+        results.push(await this.createShortURL(
+          entry.originalUrl,
+          entry.validityMinutes,
+          entry.shortcode || null,
+          entry.options || {}
+        ));
+      } catch (error) {
+        logger.error('Unexpected error in batch creation', {
+          originalUrl: entry.originalUrl,
+          error: error.message
+        });
+        results.push({
+          success: false,
+          error: 'An unexpected error occurred.'
+        });
+      }
+    }
+
+    logger.info('Batch creation completed', {
+      total: results.length,
+      successful: results.filter(result => result.success).length
+    });
+
+    return results;
+  }
+
+  /**
+   * Update an existing short URL
+   * Click history is kept, including when the shortcode is renamed.
+   * @param {string} shortcode - Shortcode of the link to update
+   * @param {object} changes - Fields to change
+   * @param {string} changes.originalUrl - New destination URL
+   * @param {number} changes.validityMinutes - New validity period, counted from now
+   * @param {string} changes.shortcode - New shortcode
+   * @param {number|null} changes.maxClicks - New click limit, or null for unlimited
+   * @param {Date|string|null} changes.activatesAt - New activation time, or null to activate now
+   * @param {Date|string} changes.expiresAt - New end time; overrides validityMinutes
+   * @param {Array} changes.rules - New ordered redirect rules
+   * @param {Array} changes.variants - New weighted split destinations
+   * @param {string|null} changes.domain - New short link base URL, or null for the app's address
+   * @param {boolean} changes.preview - Show a preview page before redirecting
+   * @param {string|null} changes.note - New owner note for the preview page
+   * @param {boolean} changes.passthrough - Forward extra path segments and query parameters
+   * @param {string|null} changes.fallbackUrl - New fallback destination, or null for none
+   * @returns {object} Result object with success status and data/error
+   */
+  updateShortURL(shortcode, changes = {}) {
+    logger.info('Updating short URL', { shortcode, changes });
+
+    const urlData = this.urls.get(shortcode);
+    if (!urlData) {
+      logger.warn('Cannot update unknown shortcode', { shortcode });
+      return {
+        success: false,
+        error: 'Short URL not found.'
+      };
+    }
+
+    if (this.isTrashed(urlData)) {
+      return {
+        success: false,
+        error: 'Short URL is in the trash. Restore it before editing.'
+      };
+    }
+
+    const requestedShortcode = changes.shortcode ? this.toCanonicalShortcode(changes.shortcode) : null;
+    const newShortcode = requestedShortcode && requestedShortcode !== shortcode
+      ? requestedShortcode
+      : null;
+
+    // A new destination may lead back to this link through other short links
+    const chain = this.resolveLinkDestinations({
+      originalUrl: changes.originalUrl,
+      rules: changes.rules,
+      variants: changes.variants,
+      fallbackUrl: changes.fallbackUrl
+    }, newShortcode ? [shortcode, newShortcode] : [shortcode]);
+    if (!chain.success) {
+      return chain;
+    }
+    changes = { ...changes, ...chain.data };
+
+    const activatesAt = changes.activatesAt !== undefined
+      ? (changes.activatesAt ? new Date(changes.activatesAt) : null)
+      : urlData.activatesAt;
+    const explicitExpiry = changes.expiresAt ? new Date(changes.expiresAt) : null;
+
+    const validationError = this.validateLinkInput({
+      originalUrl: changes.originalUrl,
+      validityMinutes: changes.validityMinutes,
+      shortcode: newShortcode,
+      ownShortcode: shortcode,
+      maxClicks: changes.maxClicks,
+      activatesAt,
+      expiresAt: explicitExpiry,
+      rules: changes.rules,
+      variants: changes.variants,
+      domain: changes.domain,
+      note: changes.note,
+      fallbackUrl: changes.fallbackUrl
+    });
+    if (validationError) {
+      return validationError;
+    }
+
+    const updatedAt = new Date();
+    const updatedData = {
+      ...urlData,
+      updatedAt
+    };
+
+    if (changes.originalUrl !== undefined) {
+      // Campaign parameters may already be part of the URL, so nothing is stripped here
+      updatedData.originalUrl = changes.originalUrl;
+    }
+
+    if (changes.domain !== undefined) {
+      updatedData.domain = changes.domain;
+      updatedData.shortUrl = buildShortUrl(shortcode, changes.domain);
+    }
+
+    if (changes.preview !== undefined) {
+      updatedData.preview = !!changes.preview;
+    }
+
+    if (changes.note !== undefined) {
+      updatedData.note = (changes.note || '').trim() || null;
+    }
+
+    if (changes.passthrough !== undefined) {
+      updatedData.passthrough = !!changes.passthrough;
+    }
+
+    if (changes.fallbackUrl !== undefined) {
+      updatedData.fallbackUrl = changes.fallbackUrl || null;
+    }
+
+    if (changes.maxClicks !== undefined) {
+      updatedData.maxClicks = changes.maxClicks;
+    }
+
+    if (changes.activatesAt !== undefined) {
+      updatedData.activatesAt = activatesAt;
+    }
+
+    if (changes.rules !== undefined) {
+      updatedData.rules = this.normalizeRules(changes.rules);
+    }
+
+    if (changes.variants !== undefined) {
+      updatedData.variants = this.normalizeVariants(changes.variants, urlData);
+    }
+
+    // New validity counts from now, or from activation for scheduled links
+    const startsAt = activatesAt && activatesAt > updatedAt ? activatesAt : updatedAt;
+
+    if (explicitExpiry) {
+      updatedData.expiresAt = explicitExpiry;
+      updatedData.validityMinutes = Math.ceil((explicitExpiry - startsAt) / 60000);
+    } else if (changes.validityMinutes !== undefined) {
+      updatedData.validityMinutes = changes.validityMinutes;
+      updatedData.expiresAt = new Date(startsAt.getTime() + changes.validityMinutes * 60 * 1000);
+    }
+
+    if (updatedData.activatesAt && updatedData.expiresAt <= updatedData.activatesAt) {
+      return {
+        success: false,
+        error: 'Expiry time must be after the activation time.'
+      };
+    }
+
+    if (newShortcode) {
+      this.moveLink(shortcode, newShortcode, updatedData);
+    } else {
+      this.urls.set(shortcode, updatedData);
+      this.persistLink(shortcode);
+    }
+    this.emit(URL_EVENTS.UPDATED, updatedData.shortcode, updatedData);
+
+    logger.info('Short URL updated successfully', {
+      shortcode: updatedData.shortcode,
+      previousShortcode: newShortcode ? shortcode : undefined,
+      originalUrl: updatedData.originalUrl,
+      expiresAt: updatedData.expiresAt.toISOString()
+    });
+
+    return {
+      success: true,
+      data: updatedData,
+      warnings: chain.warnings
+    };
+  }
+
+  /**
+   * Move a link and its clicks to a new shortcode, in memory and storage
+   * The old shortcode is released.
+   * @param {string} shortcode - Current shortcode
+   * @param {string} newShortcode - Shortcode to move to
+   * @param {object} urlData - Link data to store under the new shortcode
+   */
+  moveLink(shortcode, newShortcode, urlData) {
+    const clicks = this.clickData.get(shortcode) || [];
+
+    urlData.shortcode = newShortcode;
+    urlData.shortUrl = buildShortUrl(newShortcode, urlData.domain);
+
+    this.urls.delete(shortcode);
+    this.clickData.delete(shortcode);
+    this.usedShortcodes.delete(shortcode);
+
+    this.urls.set(newShortcode, urlData);
+    this.clickData.set(newShortcode, clicks);
+    this.usedShortcodes.add(newShortcode);
+
+    // A rename must not reset failed unlock attempts or a running lockout
+    if (this.passwordAttempts.has(shortcode)) {
+      this.passwordAttempts.set(newShortcode, this.passwordAttempts.get(shortcode));
+      this.passwordAttempts.delete(shortcode);
+      this.persistPasswordAttempts();
+    }
+
+    // Move the stored link and its clicks to the new key
+    this.persistStorageTask(async () => {
+      await this.storage.deleteLink(shortcode);
+      await this.storage.putLink(newShortcode, serializeLink(urlData));
+      for (const click of clicks) {
+        await this.storage.putClick(newShortcode, serializeClick(click));
+      }
+    }, 'rename link').then(() => {
+      this.notifyTabs({ type: 'link', shortcode });
+      this.notifyTabs({ type: 'link', shortcode: newShortcode });
+    });
+    this.persistUsedShortcodes([shortcode]);
+  }
+
+  /**
+   * Get original URL by shortcode
+   * Failed results carry a `code` (NOT_FOUND, NOT_YET_ACTIVE, EXPIRED,
+   * CLICK_LIMIT_REACHED, PASSWORD_REQUIRED) so callers can tell the reasons
+   * apart. NOT_FOUND, EXPIRED and CLICK_LIMIT_REACHED results also carry
+   * `fallbackUrl` and `fallbackMode` when a fallback applies (see applyFallback()).
+   * @param {string} shortcode - Shortcode to look up
+   * @param {object} options - Lookup options
+   * @param {boolean} options.passwordVerified - Set by unlockShortURL() once the password matched
+   * @param {object} options.context - Visitor context for redirect rules (default: current visitor)
+   * @param {string} options.visitorId - Visitor id for sticky split assignment (default: this browser)
+   * @param {boolean} options.preview - Show the preview page even if the link does not ask for it
+   * @param {object} options.extra - { path, search } the visitor added after the shortcode;
+   *   applied only to links with passthrough turned on
+   * @returns {object} Result object with success status, data and the chosen destination, or error.
+   *   When `preview` is true the click is not recorded yet; see continueFromPreview().
+   */
+  getOriginalURL(requestedShortcode, options = {}) {
+    logger.info('Looking up original URL', { shortcode: requestedShortcode });
+    logger.debug('Available shortcodes', { shortcodes: Array.from(this.urls.keys()) });
+
+    // In case-insensitive mode another spelling may be stored
+    const shortcode = this.resolveShortcode(requestedShortcode) || requestedShortcode;
+    const urlData = this.urls.get(shortcode);
+
+    const unavailable = this.getUnavailableResult(shortcode, urlData);
+    if (unavailable) {
+      return unavailable;
+    }
+
+    // Protected links only redirect after unlockShortURL()
+    if (urlData.passwordHash && !options.passwordVerified) {
+      logger.info('Short URL requires a password', { shortcode });
+      return {
+        success: false,
+        code: 'PASSWORD_REQUIRED',
+        error: 'This short URL is password protected.'
+      };
+    }
+
+    // Pick the destination: first matching rule, else a split variant, else the default URL
+    const rule = evaluateRules(urlData.rules, options.context || getVisitorContext());
+    const variant = rule
+      ? null
+      : pickVariant(urlData.variants, `${options.visitorId || getVisitorId()}:${shortcode}`);
+    const chosen = rule ? rule.destination : variant ? variant.url : urlData.originalUrl;
+    const destination = urlData.passthrough && options.extra
+      ? applyPassthrough(chosen, options.extra)
+      : chosen;
+
+    const click = {
+      destination,
+      ruleId: rule ? rule.id : null,
+      rule: rule ? describeRule(rule) : null,
+      variantId: variant ? variant.id : null
+    };
+
+    // Visitors who cancel on the preview page never reach the destination
+    const preview = !!(urlData.preview || options.preview);
+    if (!preview) {
+      this.recordClick(shortcode, click);
+    }
+
+    logger.info('Original URL retrieved successfully', {
+      shortcode,
+      destination,
+      ruleId: click.ruleId,
+      variantId: click.variantId,
+      preview
+    });
+    
+    return {
+      success: true,
+      data: urlData,
+      destination,
+      rule,
+      variant,
+      preview,
+      click
+    };
+  }
+
+  /**
+   * Check whether a link can redirect right now
+   * Checks run in this order: NOT_FOUND, NOT_YET_ACTIVE, EXPIRED, CLICK_LIMIT_REACHED.
+   * @param {string} shortcode - Shortcode of the link
+   * @param {object|undefined} urlData - Link data, or undefined if there is none
+   * @returns {object|null} Failed result object (see getOriginalURL()), or null if the link can redirect
+   */
+  getUnavailableResult(shortcode, urlData) {
+    if (!urlData || this.isTrashed(urlData)) {
+      logger.warn('Shortcode not found', { shortcode, availableShortcodes: Array.from(this.urls.keys()) });
+
+      // Links the cleanup job moved to the trash still use their own fallback
+      const expiredLink = urlData && urlData.deletedReason === 'expired' ? urlData : null;
+      return this.applyFallback({
+        success: false,
+        code: 'NOT_FOUND',
+        error: 'Short URL not found.'
+      }, expiredLink);
+    }
+
+    logger.debug('URL data found', { shortcode, originalUrl: urlData.originalUrl });
+
+    // Check if URL is scheduled for later
+    const now = new Date();
+    if (urlData.activatesAt && now < urlData.activatesAt) {
+      logger.warn('Short URL is not active yet', { shortcode, activatesAt: urlData.activatesAt, currentTime: now });
+      return {
+        success: false,
+        code: 'NOT_YET_ACTIVE',
+        error: `Short URL is not active yet. It goes live on ${urlData.activatesAt.toLocaleString()}.`,
+        activatesAt: urlData.activatesAt
+      };
+    }
+
+    // Check if URL has expired
+    if (now > urlData.expiresAt) {
+      logger.warn('Short URL has expired', { shortcode, expiresAt: urlData.expiresAt, currentTime: now });
+      return this.applyFallback({
+        success: false,
+        code: 'EXPIRED',
+        error: 'Short URL has expired.'
+      }, urlData);
+    }
+
+    // Check if the click limit has been used up
+    if (this.isClickLimitReached(urlData)) {
+      logger.warn('Short URL click limit reached', { shortcode, maxClicks: urlData.maxClicks });
+      return this.applyFallback({
+        success: false,
+        code: 'CLICK_LIMIT_REACHED',
+        error: 'Short URL has reached its click limit.'
+      }, urlData);
+    }
+
+    return null;
+  }
+
+  /**
+   * Attach the fallback destination to a failed lookup and count the hit
+   * Links use their own fallback URL; unknown shortcodes use the global one
+   * from settings. Fallback hits are counted apart from clicks, so they do
+   * not use up click limits.
+   * @param {object} result - Failed result object
+   * @param {object|null} urlData - The expired or exhausted link, or null for an unknown shortcode
+   * @returns {object} The result, with `fallbackUrl` and `fallbackMode` when a fallback applies
+   */
+  applyFallback(result, urlData = null) {
+    const fallbackUrl = urlData ? urlData.fallbackUrl : this.settings.fallbackUrl;
+    if (!fallbackUrl) {
+      return result;
+    }
+
+    if (urlData) {
+      urlData.fallbackHits++;
+      this.persistLink(urlData.shortcode);
+    } else {
+      this.unknownFallbackHits++;
+      this.persistStorageTask(
+        () => this.storage.putMeta('unknownFallbackHits', this.unknownFallbackHits),
+        'save fallback hits'
+      ).then(() => this.notifyTabs({ type: 'meta', key: 'unknownFallbackHits' }));
+    }
+
+    this.emit(URL_EVENTS.FALLBACK, urlData ? urlData.shortcode : null, { fallbackUrl });
+    logger.info('Using fallback destination', { shortcode: urlData ? urlData.shortcode : null, code: result.code, fallbackUrl });
+
+    return {
+      ...result,
+      fallbackUrl,
+      fallbackMode: this.settings.fallbackMode
+    };
+  }
+
+  /**
+   * Get how many visits to unknown shortcodes went to the global fallback
+   * @returns {number} Fallback hits
+   */
+  getUnknownFallbackHits() {
+    return this.unknownFallbackHits;
+  }
+
+  /**
+   * Record the click of a previewed link once the visitor continues
+   * The link is checked again like in getOriginalURL(), since it may have
+   * been trashed, rescheduled, expired or used up its click limit while the
+   * preview page was open.
+   * @param {object} result - Successful getOriginalURL() result with `preview` set
+   * @returns {object} Result object with success status and the destination, or error
+   */
+  continueFromPreview(result) {
+    const { shortcode } = result.data;
+    const urlData = this.urls.get(shortcode);
+
+    const unavailable = this.getUnavailableResult(shortcode, urlData);
+    if (unavailable) {
+      logger.warn('Previewed link is no longer active', { shortcode, code: unavailable.code });
+      return unavailable;
+    }
+
+    this.recordClick(shortcode, result.click);
+    logger.info('Continued from preview page', { shortcode, destination: result.destination });
+
+    return {
+      success: true,
+      data: urlData,
+      destination: result.destination
+    };
+  }
+
+  /**
+   * Get the original URL of a password-protected link
+   * Failed attempts are logged and limited per shortcode.
+   * @param {string} shortcode - Shortcode to unlock
+   * @param {string} password - Password entered by the visitor
+   * @param {object} options - Lookup options passed to getOriginalURL(), e.g. { preview }
+   * @returns {Promise<object>} Result object with success status and data/error
+   */
+  async unlockShortURL(requestedShortcode, password, options = {}) {
+    const shortcode = this.resolveShortcode(requestedShortcode) || requestedShortcode;
+    const urlData = this.urls.get(shortcode);
+    if (!urlData || !urlData.passwordHash) {
+      return this.getOriginalURL(shortcode, options);
+    }
+
+    const now = Date.now();
+    const attempts = this.passwordAttempts.get(shortcode) || { count: 0, lockedUntil: 0 };
+
+    if (attempts.lockedUntil > now) {
+      logger.warn('Password attempt while locked out', { shortcode, lockedUntil: new Date(attempts.lockedUntil).toISOString() });
+      return {
+        success: false,
+        code: 'RATE_LIMITED',
+        error: `Too many failed attempts. Try again in ${Math.ceil((attempts.lockedUntil - now) / 60000)} minute(s).`
+      };
+    }
+
+    let matches = false;
+    try {
+      matches = await verifyPassword(password || '', urlData.passwordHash);
+    } catch (error) {
+      logger.error('Failed to verify link password', { shortcode, error: error.message });
+    }
+
+    if (!matches) {
+      const count = attempts.count + 1;
+      const lockedUntil = count >= MAX_PASSWORD_ATTEMPTS ? now + PASSWORD_LOCKOUT_MS : 0;
+      this.passwordAttempts.set(shortcode, { count: lockedUntil ? 0 : count, lockedUntil });
+      this.persistPasswordAttempts();
+
+      logger.warn('Failed password attempt', { shortcode, attempt: count, locked: !!lockedUntil });
+      return {
+        success: false,
+        code: lockedUntil ? 'RATE_LIMITED' : 'INVALID_PASSWORD',
+        error: lockedUntil
+          ? `Too many failed attempts. Try again in ${PASSWORD_LOCKOUT_MS / 60000} minutes.`
+          : `Incorrect password. ${MAX_PASSWORD_ATTEMPTS - count} attempt(s) left.`
+      };
+    }
+
+    if (this.passwordAttempts.delete(shortcode)) {
+      this.persistPasswordAttempts();
+    }
+    logger.info('Short URL unlocked', { shortcode });
+    return this.getOriginalURL(shortcode, { ...options, passwordVerified: true });
+  }
+
+  /**
+   * Save failed unlock attempts, so reloading the page does not reset a lockout
+   * Entries with no failed attempts and no running lockout are dropped.
+   * @returns {Promise} Resolves once saved
+   */
+  persistPasswordAttempts() {
+    const now = Date.now();
+    const attempts = Array.from(this.passwordAttempts.entries())
+      .filter(([, entry]) => entry.count > 0 || entry.lockedUntil > now);
+
+    return this.persistStorageTask(
+      () => this.storage.putMeta('passwordAttempts', attempts),
+      'save password attempts'
+    ).then(() => this.notifyTabs({ type: 'meta', key: 'passwordAttempts' }));
+  }
+
+  /**
+   * Check whether a link has used up its click limit
+   * @param {object} urlData - Link data
+   * @returns {boolean} True if no redirects are left
+   */
+  isClickLimitReached(urlData) {
+    return !!urlData.maxClicks && urlData.clickCount >= urlData.maxClicks;
+  }
+
+  /**
+   * Get the number of redirects a link has left
+   * @param {object} urlData - Link data
+   * @returns {number|null} Remaining uses, or null if unlimited
+   */
+  getRemainingClicks(urlData) {
+    if (!urlData.maxClicks) return null;
+    return Math.max(urlData.maxClicks - urlData.clickCount, 0);
+  }
+
+  /**
+   * Get the display status of a link
+   * @param {object} urlData - Link data
+   * @returns {string} 'scheduled', 'active', 'expired' or 'exhausted'
+   */
+  getLinkStatus(urlData) {
+    const now = new Date();
+    if (now > new Date(urlData.expiresAt)) return 'expired';
+    if (urlData.activatesAt && now < new Date(urlData.activatesAt)) return 'scheduled';
+    if (this.isClickLimitReached(urlData)) return 'exhausted';
+    return 'active';
+  }
+
+  /**
+   * Record a click on a short URL
+   * @param {string} shortcode - Shortcode that was clicked
+   * @param {object} details - How the click was served (destination, rule)
+   */
+  recordClick(shortcode, details = {}) {
+    const urlData = this.urls.get(shortcode);
+    if (!urlData) return;
+
+    const clickData = {
+      id: createClickId(),
+      timestamp: new Date(),
+      source: this.getClickSource(),
+      location: this.getClickLocation(),
+      ...details
+    };
+
+    urlData.clickCount++;
+    urlData.clicks.push(clickData);
+    this.clickData.get(shortcode).push(clickData);
+
+    // Append the click first so the link is saved with every tab's clicks counted
+    this.persistStorageTask(
+      () => this.storage.putClick(shortcode, serializeClick(clickData)),
+      'save click'
+    ).then(() => this.persistLink(shortcode));
+
+    this.emit(URL_EVENTS.CLICKED, shortcode, clickData);
+    logger.info('Click recorded', { shortcode, clickCount: urlData.clickCount });
+  }
+
+  /**
+   * Get click source (simplified for client-side)
+   * @returns {string} Click source
+   */
+  getClickSource() {
+    return document.referrer || 'Direct';
+  }
+
+  /**
+   * Get click location (simplified for client-side)
+   * @returns {string} Click location
+   */
+  getClickLocation() {
+    // In a real application, this would use a geolocation service
+    return 'Unknown';
+  }
+
+  /**
+   * Get all shortened URLs
+   * @returns {Array} Array of all URL data
+   */
+  getAllURLs() {
+    const allURLs = Array.from(this.urls.values()).filter(urlData => !this.isTrashed(urlData));
+    logger.info('Retrieved all URLs', { count: allURLs.length });
+    return allURLs;
+  }
+
+  /**
+   * Get URL statistics by shortcode
+   * @param {string} shortcode - Shortcode to get stats for
+   * @returns {object} Statistics data
+   */
+  getURLStats(shortcode) {
+    const urlData = this.urls.get(shortcode);
+    if (!urlData) {
+      return null;
+    }
+
+    const stats = {
+      ...urlData,
+      clicks: this.clickData.get(shortcode) || []
+    };
+
+    logger.info('Retrieved URL statistics', { shortcode, clickCount: stats.clickCount });
+    return stats;
+  }
+
+  /**
+   * Check whether a link is in the trash
+   * @param {object} urlData - Link data
+   * @returns {boolean} True if trashed
+   */
+  isTrashed(urlData) {
+    return !!urlData.deletedAt;
+  }
+
+  /**
+   * Get all links in the trash
+   * @returns {Array} Array of trashed URL data, most recently deleted first
+   */
+  getTrashedURLs() {
+    const trashed = Array.from(this.urls.values())
+      .filter(urlData => this.isTrashed(urlData))
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+    logger.info('Retrieved trashed URLs', { count: trashed.length });
+    return trashed;
+  }
+
+  /**
+   * Move a link to the trash
+   * The shortcode stays reserved and clicks are kept until it is purged.
+   * @param {string} shortcode - Shortcode to delete
+   * @param {string} reason - 'deleted' or 'expired'
+   * @returns {object} Result object with success status and data/error
+   */
+  deleteShortURL(shortcode, reason = 'deleted') {
+    const urlData = this.urls.get(shortcode);
+    if (!urlData || this.isTrashed(urlData)) {
+      logger.warn('Cannot delete unknown shortcode', { shortcode });
+      return {
+        success: false,
+        error: 'Short URL not found.'
+      };
+    }
+
+    urlData.deletedAt = new Date();
+    urlData.deletedReason = reason;
+    this.persistLink(shortcode);
+
+    this.emit(reason === 'expired' ? URL_EVENTS.EXPIRED : URL_EVENTS.REMOVED, shortcode, urlData);
+    logger.info('Short URL moved to trash', { shortcode, reason });
+    return {
+      success: true,
+      data: urlData
+    };
+  }
+
+  /**
+   * Move several links to the trash
+   * @param {Array<string>} shortcodes - Shortcodes to delete
+   * @returns {object} Result object with deleted shortcodes and failures
+   */
+  deleteShortURLs(shortcodes) {
+    const deleted = [];
+    const failed = [];
+
+    shortcodes.forEach(shortcode => {
+      const result = this.deleteShortURL(shortcode);
+      if (result.success) {
+        deleted.push(shortcode);
+      } else {
+        failed.push({ shortcode, error: result.error });
+      }
+    });
+
+    logger.info('Bulk delete completed', { deleted: deleted.length, failed: failed.length });
+    return {
+      success: failed.length === 0,
+      data: { deleted, failed }
+    };
+  }
+
+  /**
+   * Restore a link from the trash
+   * A link whose expiry has passed needs a new validity period, or the
+   * cleanup job would move it straight back to the trash.
+   * @param {string} shortcode - Shortcode to restore
+   * @param {object} options - Restore options
+   * @param {number} options.validityMinutes - New validity period, counted from now; required once the link has expired
+   * @returns {object} Result object with success status and data/error
+   */
+  restoreShortURL(shortcode, options = {}) {
+    const urlData = this.urls.get(shortcode);
+    if (!urlData || !this.isTrashed(urlData)) {
+      logger.warn('Cannot restore shortcode that is not in the trash', { shortcode });
+      return {
+        success: false,
+        error: 'Short URL is not in the trash.'
+      };
+    }
+
+    const { validityMinutes } = options;
+    if (validityMinutes === undefined && new Date() > urlData.expiresAt) {
+      return {
+        success: false,
+        code: 'VALIDITY_REQUIRED',
+        error: 'This link has expired. Choose a new validity period to restore it.'
+      };
+    }
+    const validationError = this.validateLinkInput({ validityMinutes });
+    if (validationError) {
+      return validationError;
+    }
+
+    if (validityMinutes !== undefined) {
+      // Scheduled links that have not started yet count from activation, as on update
+      const now = new Date();
+      const startsAt = urlData.activatesAt && urlData.activatesAt > now ? urlData.activatesAt : now;
+      urlData.validityMinutes = validityMinutes;
+      urlData.expiresAt = new Date(startsAt.getTime() + validityMinutes * 60 * 1000);
+    }
+
+    urlData.deletedAt = null;
+    urlData.deletedReason = null;
+    this.persistLink(shortcode);
+
+    this.emit(URL_EVENTS.RESTORED, shortcode, urlData);
+    logger.info('Short URL restored from trash', { shortcode, expiresAt: urlData.expiresAt.toISOString() });
+    return {
+      success: true,
+      data: urlData
+    };
+  }
+
+  /**
+   * Permanently remove a link and its clicks, freeing the shortcode
+   * @param {string} shortcode - Shortcode to purge
+   * @returns {object} Result object with success status and error
+   */
+  purgeShortURL(shortcode) {
+    if (!this.urls.has(shortcode)) {
+      return {
+        success: false,
+        error: 'Short URL not found.'
+      };
+    }
+
+    this.urls.delete(shortcode);
+    this.clickData.delete(shortcode);
+    this.usedShortcodes.delete(shortcode);
+    this.persistStorageTask(() => this.storage.deleteLink(shortcode), 'delete link')
+      .then(() => this.notifyTabs({ type: 'link', shortcode }));
+    this.persistUsedShortcodes([shortcode]);
+    if (this.passwordAttempts.delete(shortcode)) {
+      this.persistPasswordAttempts();
+    }
+
+    this.emit(URL_EVENTS.REMOVED, shortcode, { permanent: true });
+    logger.info('Short URL permanently deleted', { shortcode });
+    return { success: true };
+  }
+
+  /**
+   * Count clicks per split variant
+   * @param {string} shortcode - Shortcode to get variant stats for
+   * @returns {Array} Variants with a `clicks` count each
+   */
+  getVariantStats(shortcode) {
+    const urlData = this.urls.get(shortcode);
+    if (!urlData || !urlData.variants || urlData.variants.length === 0) {
+      return [];
+    }
+
+    const clicks = this.clickData.get(shortcode) || [];
+    return urlData.variants.map(variant => ({
+      ...variant,
+      clicks: clicks.filter(click => click.variantId === variant.id).length
+    }));
+  }
+
+  /**
+   * Get the campaign a link belongs to
+   * Falls back to a utm_campaign already present in the destination.
+   * @param {object} urlData - Link data
+   * @returns {string|null} Campaign name
+   */
+  getLinkCampaign(urlData) {
+    if (urlData.utm && urlData.utm.campaign) {
+      return urlData.utm.campaign;
+    }
+    return extractUTMParams(urlData.originalUrl).campaign || null;
+  }
+
+  /**
+   * Get the distinct campaigns across active links
+   * @returns {Array<string>} Campaign names, sorted
+   */
+  getCampaigns() {
+    const campaigns = new Set();
+    this.getAllURLs().forEach(urlData => {
+      const campaign = this.getLinkCampaign(urlData);
+      if (campaign) campaigns.add(campaign);
+    });
+    return Array.from(campaigns).sort();
+  }
+
+  /**
+   * Get saved campaign presets
+   * @returns {Array} Presets: { name, params }
+   */
+  getCampaignPresets() {
+    return [...this.campaignPresets];
+  }
+
+  /**
+   * Save a campaign preset, replacing any preset with the same name
+   * @param {string} name - Preset name
+   * @param {object} params - UTM parameters
+   * @returns {object} Result object with success status and data/error
+   */
+  saveCampaignPreset(name, params) {
+    const presetName = (name || '').trim();
+    const cleaned = cleanUTMParams(params);
+
+    if (!presetName) {
+      return {
+        success: false,
+        error: 'Preset name is required.'
+      };
+    }
+
+    if (Object.keys(cleaned).length === 0) {
+      return {
+        success: false,
+        error: 'Fill in at least one UTM parameter before saving a preset.'
+      };
+    }
+
+    const preset = { name: presetName, params: cleaned };
+    this.campaignPresets = [
+      ...this.campaignPresets.filter(existing => existing.name !== presetName),
+      preset
+    ].sort((a, b) => a.name.localeCompare(b.name));
+    this.persistCampaignPresets();
+
+    logger.info('Campaign preset saved', { name: presetName });
+    return {
+      success: true,
+      data: preset
+    };
+  }
+
+  /**
+   * Delete a campaign preset
+   * @param {string} name - Preset name
+   * @returns {object} Result object with success status
+   */
+  deleteCampaignPreset(name) {
+    this.campaignPresets = this.campaignPresets.filter(preset => preset.name !== name);
+    this.persistCampaignPresets();
+
+    logger.info('Campaign preset deleted', { name });
+    return { success: true };
+  }
+
+  /**
+   * Persist campaign presets
+   * @returns {Promise} Resolves once saved
+   */
+  persistCampaignPresets() {
+    return this.persistStorageTask(
+      () => this.storage.putMeta('campaignPresets', this.campaignPresets),
+      'save campaign presets'
+    ).then(() => this.notifyTabs({ type: 'meta', key: 'campaignPresets' }));
+  }
+
+  /**
+   * Clean up expired URLs
+   * Expired links move to the trash; trashed links past the retention window
+   * are purged.
+   */
+  cleanupExpiredURLs() {
+    const now = new Date();
+    const retentionMs = this.settings.trashRetentionDays * 24 * 60 * 60 * 1000;
+    let trashedCount = 0;
+    let purgedCount = 0;
+
+    for (const [shortcode, urlData] of Array.from(this.urls.entries())) {
+      if (this.isTrashed(urlData)) {
+        if (now - urlData.deletedAt > retentionMs) {
+          this.purgeShortURL(shortcode);
+          purgedCount++;
+        }
+      } else if (now > urlData.expiresAt) {
+        this.deleteShortURL(shortcode, 'expired');
+        trashedCount++;
+      }
+    }
+
+    if (trashedCount > 0 || purgedCount > 0) {
+      logger.info('Cleaned up expired URLs', { trashed: trashedCount, purged: purgedCount });
+    }
+  }
+
+  /**
+   * Get current service settings
+   * @returns {object} Settings
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Update service settings
+   * @param {object} changes - Settings to change
+   * @returns {object} Result object with success status and data/error
+   */
+  updateSettings(changes) {
+    for (const [key, value] of Object.entries(changes)) {
+      if (!(key in DEFAULT_SETTINGS)) {
+        return {
+          success: false,
+          error: `Unknown setting: ${key}`
+        };
+      }
+
+      const validate = settingValidators[key];
+      const error = validate ? validate(value) : null;
+      if (error) {
+        logger.warn('Invalid setting value', { key, value });
+        return {
+          success: false,
+          error
+        };
+      }
+    }
+
+    const merged = { ...this.settings, ...changes };
+    if (merged.defaultShortDomain !== null && !merged.shortDomains.includes(merged.defaultShortDomain)) {
+      return {
+        success: false,
+        error: 'The default short link domain must be one of the short link domains.'
+      };
+    }
+
+    const fallbackRejection = merged.fallbackUrl ? this.getDestinationRejection(merged.fallbackUrl, merged) : null;
+    if (fallbackRejection) {
+      return {
+        success: false,
+        error: `Fallback URL: ${fallbackRejection.reason}`
+      };
+    }
+
+    const enablesCaseInsensitive = changes.caseInsensitiveShortcodes && !this.settings.caseInsensitiveShortcodes;
+
+    this.settings = merged;
+    this.persistStorageTask(
+      () => this.storage.putMeta('settings', this.settings),
+      'save settings'
+    ).then(() => this.notifyTabs({ type: 'meta', key: 'settings' }));
+
+    logger.info('Settings updated', { changes });
+
+    // Existing mixed-case shortcodes move to their lowercase form
+    const canonicalization = enablesCaseInsensitive ? this.canonicalizeShortcodes() : null;
+
+    return {
+      success: true,
+      data: this.getSettings(),
+      canonicalization
+    };
+  }
+
+  /**
+   * Describe the loaded malicious-domain list
+   * @returns {object} { count, name, loadedAt }
+   */
+  getThreatListInfo() {
+    return {
+      count: this.threatList.domains.size,
+      name: this.threatList.name,
+      loadedAt: this.threatList.loadedAt
+    };
+  }
+
+  /**
+   * Replace the malicious-domain list
+   * @param {string} text - List contents: one domain per line, or hosts-file format
+   * @param {string} name - Where the list came from, e.g. the file name
+   * @returns {object} Result object with success status and data/error
+   */
+  loadThreatList(text, name = null) {
+    const domains = parseThreatList(text);
+    if (domains.length === 0) {
+      return {
+        success: false,
+        error: 'No domains found. Use one domain per line or hosts-file format.'
+      };
+    }
+
+    this.threatList = { domains: new Set(domains), name, loadedAt: new Date() };
+    this.persistThreatList();
+
+    logger.info('Malicious domain list loaded', { name, count: domains.length });
+    return {
+      success: true,
+      data: this.getThreatListInfo()
+    };
+  }
+
+  /**
+   * Remove the malicious-domain list
+   * @returns {object} Result object with success status
+   */
+  clearThreatList() {
+    this.threatList = { domains: new Set(), name: null, loadedAt: null };
+    this.persistThreatList();
+
+    logger.info('Malicious domain list cleared');
+    return { success: true };
+  }
+
+  /**
+   * Save the malicious-domain list and tell other tabs
+   */
+  persistThreatList() {
+    this.persistStorageTask(
+      () => this.storage.putMeta('threatList', this.serializeThreatList()),
+      'save malicious domain list'
+    ).then(() => this.notifyTabs({ type: 'meta', key: 'threatList' }));
+  }
+
+  /**
+   * Convert the malicious-domain list to its stored form
+   * @returns {object} { domains, name, loadedAt }
+   */
+  serializeThreatList() {
+    const { domains, name, loadedAt } = this.threatList;
+    return { domains: [...domains], name, loadedAt: loadedAt ? loadedAt.toISOString() : null };
+  }
+
+  /**
+   * Restore the malicious-domain list from its stored form
+   * @param {object|null} stored - Stored list
+   */
+  restoreThreatList(stored) {
+    this.threatList = stored
+      ? { domains: new Set(stored.domains), name: stored.name, loadedAt: stored.loadedAt ? new Date(stored.loadedAt) : null }
+      : { domains: new Set(), name: null, loadedAt: null };
+  }
+
+  /**
+   * Export links, clicks, settings and campaign presets as a backup archive
+   * Trashed links are included so they can still be restored after import.
+   * @returns {object} Archive (see backup.js)
+   */
+  exportArchive() {
+    const archive = createArchive({
+      urls: Array.from(this.urls.entries()).map(([shortcode, urlData]) => [
+        shortcode,
+        serializeLink(urlData)
+      ]),
+      clickData: Array.from(this.clickData.entries()).map(([shortcode, clicks]) => [
+        shortcode,
+        clicks.map(serializeClick)
+      ]),
+      usedShortcodes: Array.from(this.usedShortcodes),
+      settings: this.getSettings(),
+      campaignPresets: this.campaignPresets
+    });
+
+    logger.info('Exported backup archive', { urlCount: this.urls.size });
+    return archive;
+  }
+
+  /**
+   * Work out what importing an archive would do, without changing anything
+   * @param {object} data - Archive data from readArchive()
+   * @param {object} options - Import options
+   * @param {string} options.mode - 'merge' keeps existing links, 'replace' removes them first
+   * @param {string} options.conflict - For merges: 'skip', 'overwrite' or 'rename' taken shortcodes
+   * @returns {object} Plan with one { shortcode, action, reason } entry per archived link
+   */
+  planImport(data, { mode = 'merge', conflict = 'skip' } = {}) {
+    const clickData = new Map(data.clickData);
+    const seen = new Set();
+
+    const entries = data.urls.map(([shortcode, link]) => {
+      let action;
+      let reason = null;
+
+      const rejection = this.getShortcodeRejection(shortcode);
+
+      if (!link || typeof link.originalUrl !== 'string') {
+        action = 'invalid';
+        reason = 'Link record is incomplete.';
+      } else if ((link.rules && !Array.isArray(link.rules)) || (link.variants && !Array.isArray(link.variants))) {
+        action = 'invalid';
+        reason = 'Redirect rules and split destinations must be lists.';
+      } else if (rejection) {
+        action = 'invalid';
+        reason = rejection.reason;
+      } else if (seen.has(shortcode)) {
+        action = 'invalid';
+        reason = 'Shortcode appears more than once in the backup.';
+      } else if (mode === 'replace' || this.isShortcodeAvailable(shortcode)) {
+        action = 'add';
+      } else if (conflict === 'overwrite' && this.urls.has(shortcode)) {
+        action = 'overwrite';
+      } else if (conflict === 'rename') {
+        action = 'rename';
+      } else {
+        // Codes reserved without a link (e.g. listed by an earlier backup) cannot be overwritten
+        action = 'skip';
+        reason = 'Shortcode is already in use.';
+      }
+
+      seen.add(shortcode);
+      return {
+        shortcode,
+        action,
+        reason,
+        clickCount: (clickData.get(shortcode) || []).length
+      };
+    });
+
+    const localPresetNames = new Set(this.campaignPresets.map(preset => preset.name));
+
+    return {
+      mode,
+      conflict,
+      entries,
+      removedCount: mode === 'replace' ? this.urls.size : 0,
+      replacesSettings: mode === 'replace' && !!data.settings,
+      presetCount: mode === 'replace'
+        ? data.campaignPresets.length
+        : data.campaignPresets.filter(preset => !localPresetNames.has(preset.name)).length
+    };
+  }
+
+  /**
+   * Check an imported link like a newly created one
+   * Every destination must pass the destination policy, and none may lead
+   * back to the link through other short links.
+   * @param {object} urlData - Imported link, already added to the service
+   * @returns {object|null} Failed result object, or null if the link may be kept
+   */
+  validateImportedLink(urlData) {
+    // Also rejects rules and variants that are not lists
+    const inputError = this.validateLinkInput({
+      originalUrl: urlData.originalUrl,
+      rules: urlData.rules,
+      variants: urlData.variants,
+      note: urlData.note,
+      fallbackUrl: urlData.fallbackUrl
+    });
+    if (inputError) {
+      return inputError;
+    }
+
+    const chain = this.resolveLinkDestinations({
+      originalUrl: urlData.originalUrl,
+      rules: urlData.rules,
+      variants: urlData.variants,
+      fallbackUrl: urlData.fallbackUrl
+    }, [urlData.shortcode]);
+    return chain.success ? null : chain;
+  }
+
+  /**
+   * Import a backup archive
+   * Links that fail validateImportedLink() are left out and reported. The
+   * new state is built and checked on copies first, so a failure leaves the
+   * current links and storage untouched.
+   * @param {object} data - Archive data from readArchive()
+   * @param {object} options - Same options as planImport()
+   * @returns {Promise<object>} Result object with the applied plan, renamed shortcodes and
+   *   rejected links as { shortcode, reason }
+   */
+  async importArchive(data, options = {}) {
+    const previous = {
+      urls: this.urls,
+      clickData: this.clickData,
+      usedShortcodes: this.usedShortcodes,
+      settings: this.settings,
+      campaignPresets: this.campaignPresets
+    };
+
+    try {
+      const plan = this.planImport(data, options);
+      logger.info('Importing backup archive', { mode: plan.mode, conflict: plan.conflict, links: plan.entries.length });
+
+      // Stage on copies; lookups below resolve against the staged links
+      const replacing = plan.mode === 'replace';
+      this.urls = replacing ? new Map() : new Map(this.urls);
+      this.clickData = replacing ? new Map() : new Map(this.clickData);
+      this.usedShortcodes = replacing ? new Set() : new Set(this.usedShortcodes);
+
+      if (plan.replacesSettings) {
+        const settings = Object.keys(DEFAULT_SETTINGS)
+          .filter(key => key in data.settings && !settingValidators[key](data.settings[key]))
+          .reduce((accepted, key) => ({ ...accepted, [key]: data.settings[key] }), {});
+        this.settings = { ...DEFAULT_SETTINGS, ...settings };
+        if (!this.settings.shortDomains.includes(this.settings.defaultShortDomain)) {
+          this.settings.defaultShortDomain = null;
+        }
+      }
+
+      const links = new Map(data.urls);
+      const clickData = new Map(data.clickData);
+      const candidates = [];
+      const overwritten = new Map(); // Local links replaced by a candidate, kept in case it is rejected
+
+      // Add every candidate first, so archived links that point at each other can be resolved
+      plan.entries
+        .filter(entry => ['add', 'overwrite', 'rename'].includes(entry.action))
+        .forEach(entry => {
+          const record = links.get(entry.shortcode);
+          const shortcode = entry.action === 'rename' ? this.generateShortcode(record.originalUrl) : entry.shortcode;
+          const clicks = (clickData.get(entry.shortcode) || []).map(deserializeClick);
+
+          const urlData = deserializeLink({
+            ...record,
+            id: entry.action === 'rename' ? `${Date.now()}-${shortcode}` : record.id,
+            shortcode,
+            // Archives may come from another installation with other domains
+            domain: this.settings.shortDomains.includes(record.domain) ? record.domain : null
+          }, clicks);
+
+          if (this.urls.has(shortcode)) {
+            overwritten.set(shortcode, this.urls.get(shortcode));
+          }
+          this.urls.set(shortcode, urlData);
+          this.usedShortcodes.add(shortcode);
+          candidates.push({ entry, shortcode, urlData, clicks });
+        });
+
+      // Rejecting a link can break the links that point at it, so check until nothing changes
+      const rejected = [];
+      let accepted = candidates;
+      for (;;) {
+        const checked = accepted.map(candidate => ({
+          ...candidate,
+          rejection: this.validateImportedLink(candidate.urlData)
+        }));
+        const failed = checked.filter(candidate => candidate.rejection);
+        if (failed.length === 0) {
+          break;
+        }
+
+        failed.forEach(({ entry, shortcode, rejection }) => {
+          entry.action = 'invalid';
+          entry.reason = rejection.error;
+          rejected.push({ shortcode: entry.shortcode, reason: rejection.error });
+          if (overwritten.has(shortcode)) {
+            this.urls.set(shortcode, overwritten.get(shortcode));
+          } else {
+            this.urls.delete(shortcode);
+            this.usedShortcodes.delete(shortcode);
+          }
+        });
+        accepted = checked.filter(candidate => !candidate.rejection);
+      }
+
+      const written = [];
+      const renamed = [];
+      accepted.forEach(({ entry, shortcode, urlData, clicks }) => {
+        this.clickData.set(shortcode, clicks);
+        written.push({ shortcode, link: serializeLink(urlData), clicks: clicks.map(serializeClick) });
+
+        if (entry.action === 'rename') {
+          renamed.push({ from: entry.shortcode, to: shortcode });
+        }
+      });
+
+      data.usedShortcodes.forEach(shortcode => this.usedShortcodes.add(shortcode));
+
+      if (replacing) {
+        this.campaignPresets = [...data.campaignPresets];
+      } else {
+        const localPresetNames = new Set(this.campaignPresets.map(preset => preset.name));
+        this.campaignPresets = [
+          ...this.campaignPresets,
+          ...data.campaignPresets.filter(preset => !localPresetNames.has(preset.name))
+        ];
+      }
+
+      // Every link has been checked; only now replace what is stored
+      if (replacing) {
+        await this.storage.clear();
+      }
+      await this.writeDataset({
+        urls: written.map(({ shortcode, link }) => [shortcode, link]),
+        clickData: written.map(({ shortcode, clicks }) => [shortcode, clicks]),
+        usedShortcodes: Array.from(this.usedShortcodes)
+      });
+      await this.storage.putMeta('settings', this.settings);
+      await this.storage.putMeta('campaignPresets', this.campaignPresets);
+      if (replacing && this.threatList.domains.size > 0) {
+        // The list is not part of backups; keep it across the storage reset
+        await this.storage.putMeta('threatList', this.serializeThreatList());
+      }
+      if (replacing) {
+        // Lockouts are not part of backups either, and must survive an import
+        await this.persistPasswordAttempts();
+      }
+      this.notifyTabs({ type: 'reload' });
+      this.emit(URL_EVENTS.IMPORTED, null, { importedCount: written.length });
+
+      logger.info('Backup archive imported', {
+        mode: plan.mode,
+        imported: written.length,
+        renamed: renamed.length,
+        rejected: rejected.length
+      });
+
+      return {
+        success: true,
+        data: { plan, renamed, rejected, importedCount: written.length }
+      };
+    } catch (error) {
+      Object.assign(this, previous);
+      logger.error('Failed to import backup archive', { error: error.message });
+      return {
+        success: false,
+        error: `Import failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Debug method to get all stored URLs
+   * @returns {Array} Array of all URL data for debugging
+   */
+  debugGetAllURLs() {
+    const allURLs = Array.from(this.urls.entries()).map(([shortcode, data]) => ({
+      shortcode,
+      originalUrl: data.originalUrl,
+      shortUrl: data.shortUrl,
+      createdAt: data.createdAt,
+      expiresAt: data.expiresAt,
+      isExpired: new Date() > data.expiresAt,
+      isTrashed: this.isTrashed(data)
+    }));
+    
+    logger.info('Debug: All stored URLs', { urls: allURLs });
+    return allURLs;
+  }
+
+  /**
+   * Run a storage operation, logging instead of throwing on failure
+   * @param {Function} operation - Returns a promise from the storage adapter
+   * @param {string} description - Short description used in log messages
+   * @returns {Promise} Resolves once the operation settles
+   */
+  persistStorageTask(operation, description) {
+    return operation()
+      .then(() => {
+        logger.debug(`Storage: ${description}`, { storage: this.storage.name });
+      })
+      .catch(error => {
+        logger.error(`Failed to ${description}`, { storage: this.storage.name, error: error.message });
+      });
+  }
+
+  /**
+   * Persist a single link and the used shortcode list
+   * Clicks other tabs have stored are merged in first, so their clicks are
+   * counted rather than overwritten.
+   * @param {string} shortcode - Shortcode of the link to save
+   * @returns {Promise} Resolves once saved
+   */
+  persistLink(shortcode) {
+    if (!this.urls.has(shortcode)) return Promise.resolve();
+
+    return Promise.all([
+      this.persistStorageTask(async () => {
+        await this.mergeStoredClicks(shortcode);
+        await this.storage.putLink(shortcode, serializeLink(this.urls.get(shortcode)));
+      }, 'save link'),
+      this.persistUsedShortcodes()
+    ]).then(() => this.notifyTabs({ type: 'link', shortcode }));
+  }
+
+  /**
+   * Persist the set of used shortcodes
+   * Merged with the stored set so codes claimed in other tabs are kept.
+   * @param {Array<string>} released - Codes this tab freed (purged or renamed)
+   * @returns {Promise} Resolves once saved
+   */
+  persistUsedShortcodes(released = []) {
+    return this.persistStorageTask(async () => {
+      const stored = (await this.storage.getMeta('usedShortcodes')) || [];
+      const merged = new Set([...stored, ...this.usedShortcodes]);
+      released.forEach(code => {
+        if (!this.usedShortcodes.has(code)) merged.delete(code);
+      });
+      await this.storage.putMeta('usedShortcodes', Array.from(merged));
+    }, 'save used shortcodes');
+  }
+
+  /**
+   * Merge clicks stored by other tabs into a link's in-memory clicks
+   * @param {string} shortcode - Shortcode of the link
+   * @returns {Promise} Resolves once merged
+   */
+  async mergeStoredClicks(shortcode) {
+    const stored = (await this.storage.listClicks(shortcode)).map(deserializeClick);
+    const urlData = this.urls.get(shortcode);
+    if (!urlData) return;
+
+    const clicks = mergeClicks(this.clickData.get(shortcode) || [], stored);
+    this.clickData.set(shortcode, clicks);
+    urlData.clicks = [...clicks];
+    urlData.clickCount = Math.max(urlData.clickCount, clicks.length);
+  }
+
+  /**
+   * Tell other tabs that stored data changed
+   * @param {object} message - Change message (see tabSync.js)
+   */
+  notifyTabs(message) {
+    if (this.sync) {
+      this.sync.publish(message);
+    }
+  }
+
+  /**
+   * Listen for link changes made in this tab or applied from another one
+   * @param {Function} listener - Receives { type, shortcode, data } (see URL_EVENTS)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.unsubscribe(listener);
+  }
+
+  /**
+   * Stop listening for link changes
+   * @param {Function} listener - Listener passed to subscribe()
+   */
+  unsubscribe(listener) {
+    this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers of a change
+   * A failing listener is logged and does not stop the others.
+   * @param {string} type - One of URL_EVENTS
+   * @param {string|null} shortcode - Affected shortcode
+   * @param {any} data - Event details
+   */
+  emit(type, shortcode, data = null) {
+    const event = { type, shortcode, data };
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error('URL event listener failed', { type, shortcode, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Apply a change announced by another tab
+   * @param {object} message - Change message (see tabSync.js)
+   * @returns {Promise} Resolves once applied and listeners are notified
+   */
+  async handleSyncMessage(message) {
+    await this.ready;
+
+    try {
+      if (message.type === 'link') {
+        await this.syncLink(message.shortcode);
+      } else if (message.type === 'meta') {
+        await this.syncMeta(message.key);
+      } else if (message.type === 'reload') {
+        await this.reloadFromStorage();
+      } else {
+        return;
+      }
+    } catch (error) {
+      logger.error('Failed to apply change from another tab', { type: message.type, error: error.message });
+      return;
+    }
+
+    logger.info('Applied change from another tab', { type: message.type, shortcode: message.shortcode });
+    this.emit(URL_EVENTS.SYNCED, message.shortcode || null, message);
+  }
+
+  /**
+   * Re-read one link and its clicks from storage
+   * Clicks held in memory are merged with the stored ones; a link that is no
+   * longer stored was purged or renamed elsewhere and is dropped.
+   * @param {string} shortcode - Shortcode of the link
+   * @returns {Promise} Resolves once refreshed
+   */
+  async syncLink(shortcode) {
+    const record = await this.storage.getLink(shortcode);
+    const storedCodes = (await this.storage.getMeta('usedShortcodes')) || [];
+    storedCodes.forEach(code => this.usedShortcodes.add(code));
+
+    if (!record) {
+      if (this.urls.has(shortcode)) {
+        this.urls.delete(shortcode);
+        this.clickData.delete(shortcode);
+        if (!storedCodes.includes(shortcode)) {
+          this.usedShortcodes.delete(shortcode);
+        }
+      }
+      return;
+    }
+
+    const stored = (await this.storage.listClicks(shortcode)).map(deserializeClick);
+    const clicks = mergeClicks(this.clickData.get(shortcode) || [], stored);
+    const urlData = deserializeLink(record, clicks);
+    urlData.clickCount = Math.max(urlData.clickCount, clicks.length);
+
+    this.urls.set(shortcode, urlData);
+    this.clickData.set(shortcode, clicks);
+    this.usedShortcodes.add(shortcode);
+  }
+
+  /**
+   * Re-read a service-level value from storage
+   * @param {string} key - 'settings', 'campaignPresets', 'shortcodeCounter', 'threatList', 'unknownFallbackHits'
+   *   or 'passwordAttempts'
+   * @returns {Promise} Resolves once refreshed
+   */
+  async syncMeta(key) {
+    if (key === 'settings') {
+      const settings = await this.storage.getMeta('settings');
+      this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    } else if (key === 'campaignPresets') {
+      this.campaignPresets = (await this.storage.getMeta('campaignPresets')) || [];
+    } else if (key === 'shortcodeCounter') {
+      const counter = await this.storage.getMeta('shortcodeCounter');
+      this.shortcodeCounter = Math.max(this.shortcodeCounter, counter || 1);
+    } else if (key === 'threatList') {
+      this.restoreThreatList(await this.storage.getMeta('threatList'));
+    } else if (key === 'unknownFallbackHits') {
+      const hits = await this.storage.getMeta('unknownFallbackHits');
+      this.unknownFallbackHits = Math.max(this.unknownFallbackHits, hits || 0);
+    } else if (key === 'passwordAttempts') {
+      this.passwordAttempts = new Map((await this.storage.getMeta('passwordAttempts')) || []);
+    }
+  }
+
+  /**
+   * Drop everything held in memory and load it again from storage
+   * @returns {Promise} Resolves once reloaded
+   */
+  async reloadFromStorage() {
+    this.urls.clear();
+    this.clickData.clear();
+    this.usedShortcodes.clear();
+    await this.loadFromStorage();
+  }
+
+  /**
+   * Read every stored record from the storage adapter
+   * @returns {Promise<object>} Dataset in the stored format
+   */
+  async readDataset() {
+    const urls = await this.storage.listLinks();
+    const clickData = [];
+    for (const [shortcode] of urls) {
+      clickData.push([shortcode, await this.storage.listClicks(shortcode)]);
+    }
+    const usedShortcodes = await this.storage.getMeta('usedShortcodes');
+
+    return { urls, clickData, usedShortcodes: usedShortcodes || [] };
+  }
+
+  /**
+   * Write a dataset in the stored format to the storage adapter
+   * Links in the dataset replace stored ones along with their clicks.
+   * @param {object} dataset - Dataset in the stored format
+   * @returns {Promise} Resolves once written
+   */
+  async writeDataset(dataset) {
+    const clickData = new Map(dataset.clickData);
+
+    for (const [shortcode, link] of dataset.urls) {
+      await this.storage.putLink(shortcode, link);
+      await this.storage.deleteClicks(shortcode);
+      for (const click of clickData.get(shortcode) || []) {
+        await this.storage.putClick(shortcode, click);
+      }
+    }
+    await this.storage.putMeta('usedShortcodes', dataset.usedShortcodes);
+    await this.storage.putMeta('schemaVersion', SCHEMA_VERSION);
+  }
+
+  /**
+   * Save all data to the storage adapter
+   * Rewrites every link and click; prefer persistLink() for single changes.
+   * @returns {Promise} Resolves once saved
+   */
+  async saveToStorage() {
+    try {
+      // Rewriting replaces stored clicks, so pick up other tabs' clicks first
+      for (const shortcode of Array.from(this.urls.keys())) {
+        await this.mergeStoredClicks(shortcode);
+      }
+
+      await this.writeDataset({
+        urls: Array.from(this.urls.entries()).map(([shortcode, urlData]) => [
+          shortcode,
+          serializeLink(urlData)
+        ]),
+        clickData: Array.from(this.clickData.entries()).map(([shortcode, clicks]) => [
+          shortcode,
+          clicks.map(serializeClick)
+        ]),
+        usedShortcodes: Array.from(this.usedShortcodes)
+      });
+      logger.debug('Data saved to storage', { storage: this.storage.name });
+    } catch (error) {
+      logger.error('Failed to save data to storage', { storage: this.storage.name, error: error.message });
+    }
+  }
+
+  /**
+   * Load data from the storage adapter
+   * Older datasets are migrated to the current schema and written back first.
+   * Entries created before loading finished are kept.
+   * @returns {Promise} Resolves once loaded
+   */
+  async loadFromStorage() {
+    try {
+      let dataset = await this.readDataset();
+      const storedVersion = (await this.storage.getMeta('schemaVersion')) || 1;
+
+      if (storedVersion < SCHEMA_VERSION) {
+        dataset = migrateDataset(dataset, storedVersion);
+        await this.writeDataset(dataset);
+      } else if (storedVersion > SCHEMA_VERSION) {
+        logger.warn('Stored data was written by a newer schema version', {
+          storedVersion,
+          supportedVersion: SCHEMA_VERSION
+        });
+      }
+
+      const clickData = new Map(dataset.clickData);
+
+      for (const [shortcode, link] of dataset.urls) {
+        if (this.urls.has(shortcode)) continue;
+
+        // Restore click data
+        const clicks = (clickData.get(shortcode) || []).map(deserializeClick);
+        this.clickData.set(shortcode, clicks);
+
+        // Restore URL with typed dates and its embedded click list
+        this.urls.set(shortcode, deserializeLink(link, clicks));
+      }
+
+      // Restore used shortcodes
+      dataset.usedShortcodes.forEach(shortcode => this.usedShortcodes.add(shortcode));
+
+      // Restore settings over the defaults
+      const settings = await this.storage.getMeta('settings');
+      this.settings = { ...DEFAULT_SETTINGS, ...settings };
+
+      // Restore campaign presets
+      this.campaignPresets = (await this.storage.getMeta('campaignPresets')) || [];
+
+      // Restore the sequential shortcode counter
+      this.shortcodeCounter = Math.max(this.shortcodeCounter, (await this.storage.getMeta('shortcodeCounter')) || 1);
+
+      // Restore the malicious-domain list
+      this.restoreThreatList(await this.storage.getMeta('threatList'));
+
+      // Restore the global fallback hit count
+      this.unknownFallbackHits = Math.max(this.unknownFallbackHits, (await this.storage.getMeta('unknownFallbackHits')) || 0);
+
+      // Restore failed unlock attempts and lockouts
+      ((await this.storage.getMeta('passwordAttempts')) || []).forEach(([shortcode, attempts]) => {
+        if (!this.passwordAttempts.has(shortcode)) {
+          this.passwordAttempts.set(shortcode, attempts);
+        }
+      });
+
+      logger.info('Data loaded from storage', { 
+        storage: this.storage.name,
+        schemaVersion: SCHEMA_VERSION,
+        urlCount: this.urls.size,
+        shortcodeCount: this.usedShortcodes.size 
+      });
+    } catch (error) {
+      logger.error('Failed to load data from storage', { storage: this.storage.name, error: error.message });
+    }
+  }
+}
+
+// Create singleton instance; the backend can be chosen at build time.
+// In-memory storage is private to the tab, so there is nothing to sync.
+const storage = createStorageAdapter(process.env.REACT_APP_STORAGE_BACKEND);
+const urlService = new URLService({
+  storage,
+  sync: storage.name === 'memory' ? null : new TabSync()
+});
+
+// Clean up expired URLs every 5 minutes
 setInterval(() => {
   urlService.cleanupExpiredURLs();
 }, 5 * 60 * 1000);
 
-export default urlService;
\ No newline at end of file
+export default urlService;
+
+// Export the URLService class for testing purposes
+export { URLService };
\ No newline at end of file
@@ -0,0 +1,665 @@
+import { URLService, URL_EVENTS, MAX_REDIRECT_HOPS } from './urlService';
+import { MemoryStorageAdapter } from './storageAdapters';
+import { encodeBase62 } from './shortcodeStrategies';
+
+const ORIGIN = window.location.origin;
+
+const createService = async (storage = new MemoryStorageAdapter()) => {
+  const service = new URLService({ storage, sync: null });
+  await service.ready;
+  return service;
+};
+
+// Let pending storage writes and sync messages settle
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('editing links', () => {
+  test('keeps clicks when the destination changes', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/old', 30, 'edit1');
+    service.getOriginalURL('edit1');
+
+    const result = service.updateShortURL('edit1', { originalUrl: 'https://example.com/new' });
+    expect(result.data.originalUrl).toBe('https://example.com/new');
+    expect(result.data.clickCount).toBe(1);
+    expect(service.clickData.get('edit1')).toHaveLength(1);
+  });
+
+  test('moves clicks to the new shortcode on rename and frees the old one', async () => {
+    const storage = new MemoryStorageAdapter();
+    const service = await createService(storage);
+    await service.createShortURL('https://example.com/page', 30, 'before1');
+    service.getOriginalURL('before1');
+    service.getOriginalURL('before1');
+
+    const result = service.updateShortURL('before1', { shortcode: 'after1' });
+    await flush();
+
+    expect(result.data.shortcode).toBe('after1');
+    expect(result.data.clickCount).toBe(2);
+    expect(service.clickData.get('after1')).toHaveLength(2);
+    expect(await storage.listClicks('after1')).toHaveLength(2);
+    expect(await storage.getLink('before1')).toBeNull();
+    expect(service.isShortcodeTaken('before1')).toBe(false);
+  });
+
+  test('rejects a rename to a shortcode that is taken', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/a', 30, 'first1');
+    await service.createShortURL('https://example.com/b', 30, 'second1');
+
+    expect(service.updateShortURL('second1', { shortcode: 'first1' }).success).toBe(false);
+    expect(service.urls.get('first1').originalUrl).toBe('https://example.com/a');
+  });
+});
+
+describe('trash', () => {
+  test('keeps a trashed shortcode reserved until the link is restored', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'trash1');
+    service.deleteShortURL('trash1');
+
+    expect(service.getOriginalURL('trash1').code).toBe('NOT_FOUND');
+    expect((await service.createShortURL('https://example.com/other', 30, 'trash1')).success).toBe(false);
+
+    expect(service.restoreShortURL('trash1').success).toBe(true);
+    expect(service.getOriginalURL('trash1').success).toBe(true);
+  });
+
+  test('purges trashed links once the retention period is over', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'trash2');
+    service.deleteShortURL('trash2');
+
+    service.cleanupExpiredURLs();
+    expect(service.urls.has('trash2')).toBe(true);
+
+    const retentionMs = service.getSettings().trashRetentionDays * 24 * 60 * 60 * 1000;
+    service.urls.get('trash2').deletedAt = new Date(Date.now() - retentionMs - 1000);
+    service.cleanupExpiredURLs();
+    expect(service.urls.has('trash2')).toBe(false);
+    expect(service.isShortcodeTaken('trash2')).toBe(false);
+  });
+
+  test('needs a new validity to restore a link that expired', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'trash3');
+    service.urls.get('trash3').expiresAt = new Date(Date.now() - 1000);
+    service.cleanupExpiredURLs();
+    expect(service.urls.get('trash3').deletedReason).toBe('expired');
+
+    expect(service.restoreShortURL('trash3').code).toBe('VALIDITY_REQUIRED');
+    expect(service.restoreShortURL('trash3', { validityMinutes: 60 }).success).toBe(true);
+
+    service.cleanupExpiredURLs();
+    expect(service.isTrashed(service.urls.get('trash3'))).toBe(false);
+  });
+});
+
+describe('password protection', () => {
+  // Web Crypto is not available under jsdom, so a stored hash never matches
+  const createProtectedLink = async (service, shortcode) => {
+    await service.createShortURL('https://example.com/secret', 30, shortcode);
+    service.urls.get(shortcode).passwordHash = 'stored-hash';
+  };
+
+  test('asks for the password before redirecting', async () => {
+    const service = await createService();
+    await createProtectedLink(service, 'lock1');
+
+    expect(service.getOriginalURL('lock1').code).toBe('PASSWORD_REQUIRED');
+    expect((await service.unlockShortURL('lock1', 'wrong')).code).toBe('INVALID_PASSWORD');
+    expect(service.urls.get('lock1').clickCount).toBe(0);
+  });
+
+  test('locks the link after repeated failures, across renames and reloads', async () => {
+    const storage = new MemoryStorageAdapter();
+    const service = await createService(storage);
+    await createProtectedLink(service, 'lock2');
+
+    for (let i = 0; i < 4; i++) {
+      expect((await service.unlockShortURL('lock2', 'wrong')).code).toBe('INVALID_PASSWORD');
+    }
+    expect((await service.unlockShortURL('lock2', 'wrong')).code).toBe('RATE_LIMITED');
+
+    service.updateShortURL('lock2', { shortcode: 'lock3' });
+    expect((await service.unlockShortURL('lock3', 'wrong')).code).toBe('RATE_LIMITED');
+
+    await flush();
+    const reloaded = await createService(storage);
+    expect((await reloaded.unlockShortURL('lock3', 'wrong')).code).toBe('RATE_LIMITED');
+  });
+});
+
+describe('click limits', () => {
+  test('stops redirecting once the click limit is used up', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'limit1', { maxClicks: 2 });
+    const link = service.urls.get('limit1');
+
+    expect(service.getOriginalURL('limit1').success).toBe(true);
+    expect(service.getRemainingClicks(link)).toBe(1);
+    expect(service.getOriginalURL('limit1').success).toBe(true);
+
+    expect(service.getOriginalURL('limit1').code).toBe('CLICK_LIMIT_REACHED');
+    expect(service.getLinkStatus(link)).toBe('exhausted');
+    expect(link.clickCount).toBe(2);
+  });
+
+  test('treats a missing limit as unlimited and rejects invalid limits', async () => {
+    const service = await createService();
+    const result = await service.createShortURL('https://example.com/page', 30, 'limit2');
+    expect(service.getRemainingClicks(result.data)).toBeNull();
+
+    expect((await service.createShortURL('https://example.com/a', 30, 'limit3', { maxClicks: -1 })).success).toBe(false);
+    expect((await service.createShortURL('https://example.com/b', 30, 'limit4', { maxClicks: 1.5 })).success).toBe(false);
+  });
+});
+
+describe('scheduled activation', () => {
+  const HOUR = 60 * 60 * 1000;
+
+  test('does not redirect before the activation time and counts validity from it', async () => {
+    const service = await createService();
+    const activatesAt = new Date(Date.now() + HOUR);
+    const result = await service.createShortURL('https://example.com/page', 30, 'sched1', { activatesAt });
+
+    expect(result.data.expiresAt).toEqual(new Date(activatesAt.getTime() + 30 * 60 * 1000));
+    expect(service.getLinkStatus(result.data)).toBe('scheduled');
+    expect(service.getOriginalURL('sched1').code).toBe('NOT_YET_ACTIVE');
+    expect(result.data.clickCount).toBe(0);
+  });
+
+  test('redirects once activated', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'sched2', { activatesAt: new Date(Date.now() + HOUR) });
+
+    expect(service.updateShortURL('sched2', { activatesAt: null }).success).toBe(true);
+    expect(service.getOriginalURL('sched2').success).toBe(true);
+  });
+
+  test('rejects an expiry before the activation time', async () => {
+    const service = await createService();
+    const result = await service.createShortURL('https://example.com/page', 30, 'sched3', {
+      activatesAt: new Date(Date.now() + 2 * HOUR),
+      expiresAt: new Date(Date.now() + HOUR)
+    });
+
+    expect(result.success).toBe(false);
+    expect(service.urls.has('sched3')).toBe(false);
+  });
+});
+
+describe('split destinations', () => {
+  const VARIANTS = [
+    { url: 'https://example.com/a', weight: 50 },
+    { url: 'https://example.com/b', weight: 50 }
+  ];
+
+  test('keeps variant ids and their clicks when the split is edited', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'split1', { variants: VARIANTS });
+    const { variant: clicked } = service.getOriginalURL('split1', { visitorId: 'visitor-1' });
+    expect(service.urls.get('split1').variants.map(variant => variant.id)).toEqual(['A', 'B']);
+
+    // Keep only the variant that got the click and add a new destination
+    const result = service.updateShortURL('split1', {
+      variants: [{ url: 'https://example.com/c', weight: 40 }, { ...clicked, weight: 60 }]
+    });
+
+    expect(result.data.variants.map(variant => variant.id)).toEqual(['C', clicked.id]);
+    expect(service.getVariantStats('split1').map(variant => [variant.id, variant.clicks]))
+      .toEqual([['C', 0], [clicked.id, 1]]);
+  });
+
+  test('does not hand out the id of a removed variant that has clicks', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'split2', { variants: VARIANTS });
+    const { variant: clicked } = service.getOriginalURL('split2', { visitorId: 'visitor-1' });
+    const other = service.urls.get('split2').variants.find(variant => variant.id !== clicked.id);
+
+    service.updateShortURL('split2', {
+      variants: [other, { url: 'https://example.com/c', weight: 50 }]
+    });
+    const result = service.updateShortURL('split2', {
+      variants: [other, { url: 'https://example.com/d', weight: 50 }]
+    });
+
+    expect(result.data.variants.map(variant => variant.id)).toEqual([other.id, 'D']);
+  });
+});
+
+describe('cross-tab sync', () => {
+  // Stands in for TabSync: a message published by one tab reaches every other tab
+  const createBus = () => {
+    const tabs = [];
+    return () => {
+      const tab = { handlers: [] };
+      tab.publish = message => tabs
+        .filter(other => other !== tab)
+        .forEach(other => other.handlers.forEach(handler => handler(message)));
+      tab.subscribe = handler => tab.handlers.push(handler);
+      tabs.push(tab);
+      return tab;
+    };
+  };
+
+  const openTabs = async () => {
+    const storage = new MemoryStorageAdapter();
+    const connect = createBus();
+    const first = new URLService({ storage, sync: connect() });
+    const second = new URLService({ storage, sync: connect() });
+    await Promise.all([first.ready, second.ready]);
+    return [first, second];
+  };
+
+  test('shows links and clicks made in another tab', async () => {
+    const [first, second] = await openTabs();
+    await first.createShortURL('https://example.com/page', 30, 'sync1');
+    await flush();
+    expect(second.urls.get('sync1').originalUrl).toBe('https://example.com/page');
+
+    first.getOriginalURL('sync1');
+    await flush();
+    expect(second.urls.get('sync1').clickCount).toBe(1);
+  });
+
+  test('counts clicks from both tabs', async () => {
+    const [first, second] = await openTabs();
+    await first.createShortURL('https://example.com/page', 30, 'sync2');
+    await flush();
+
+    first.getOriginalURL('sync2');
+    second.getOriginalURL('sync2');
+    await flush();
+
+    expect(first.urls.get('sync2').clickCount).toBe(2);
+    expect(second.urls.get('sync2').clickCount).toBe(2);
+  });
+
+  test('applies settings and deletions from another tab', async () => {
+    const [first, second] = await openTabs();
+    await first.createShortURL('https://example.com/page', 30, 'sync3');
+    first.updateSettings({ previewCountdownSeconds: 0 });
+    await flush();
+    expect(second.getSettings().previewCountdownSeconds).toBe(0);
+
+    first.purgeShortURL('sync3');
+    await flush();
+    expect(second.urls.has('sync3')).toBe(false);
+  });
+});
+
+describe('change events', () => {
+  test('reports each change to subscribers in order', async () => {
+    const service = await createService();
+    const events = [];
+    service.subscribe(event => events.push([event.type, event.shortcode]));
+
+    await service.createShortURL('https://example.com/page', 30, 'events1');
+    service.getOriginalURL('events1');
+    service.updateShortURL('events1', { shortcode: 'events2' });
+    service.deleteShortURL('events2');
+    service.restoreShortURL('events2');
+    service.purgeShortURL('events2');
+
+    expect(events).toEqual([
+      [URL_EVENTS.CREATED, 'events1'],
+      [URL_EVENTS.CLICKED, 'events1'],
+      [URL_EVENTS.UPDATED, 'events2'],
+      [URL_EVENTS.REMOVED, 'events2'],
+      [URL_EVENTS.RESTORED, 'events2'],
+      [URL_EVENTS.REMOVED, 'events2']
+    ]);
+  });
+
+  test('passes the changed link and click along', async () => {
+    const service = await createService();
+    const events = [];
+    service.subscribe(event => events.push(event));
+
+    const created = await service.createShortURL('https://example.com/page', 30, 'events3');
+    service.getOriginalURL('events3');
+    service.purgeShortURL('events3');
+
+    expect(events[0].data).toBe(created.data);
+    expect(events[1].data.timestamp).toBeInstanceOf(Date);
+    expect(events[2].data).toEqual({ permanent: true });
+  });
+
+  test('stops reporting after unsubscribing and survives a failing listener', async () => {
+    const service = await createService();
+    const listener = jest.fn();
+    service.subscribe(() => {
+      throw new Error('listener failed');
+    });
+    const unsubscribe = service.subscribe(listener);
+
+    await service.createShortURL('https://example.com/a', 30, 'events4');
+    unsubscribe();
+    await service.createShortURL('https://example.com/b', 30, 'events5');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(service.urls.has('events5')).toBe(true);
+  });
+});
+
+describe('shortcode strategies', () => {
+  const createWith = async (settings) => {
+    const service = await createService();
+    service.updateSettings(settings);
+    return service;
+  };
+
+  test('counts up in base62 with the sequential strategy', async () => {
+    const service = await createWith({ shortcodeStrategy: 'sequential' });
+    const first = await service.createShortURL('https://example.com/a', 30);
+    const second = await service.createShortURL('https://example.com/b', 30);
+
+    expect(first.data.shortcode).toBe('001');
+    expect(second.data.shortcode).toBe('002');
+  });
+
+  test('encodes the counter in base62', () => {
+    expect(encodeBase62(61)).toBe('z');
+    expect(encodeBase62(62)).toBe('10');
+  });
+
+  test('draws random codes of the configured length and alphabet', async () => {
+    const service = await createWith({ shortcodeLength: 9, shortcodeAlphabet: 'lowercase' });
+    const result = await service.createShortURL('https://example.com/a', 30);
+
+    expect(result.data.shortcode).toMatch(/^[a-z0-9]{9}$/);
+  });
+
+  test('builds pronounceable codes from words and two digits', async () => {
+    const service = await createWith({ shortcodeStrategy: 'pronounceable' });
+    const result = await service.createShortURL('https://example.com/a', 30);
+
+    expect(result.data.shortcode).toMatch(/^[a-z]+\d{2}$/);
+  });
+
+  test('gives a URL the same hash code again once it is free', async () => {
+    const service = await createWith({ shortcodeStrategy: 'hash' });
+    const first = await service.createShortURL('https://example.com/a', 30);
+    service.purgeShortURL(first.data.shortcode);
+    const second = await service.createShortURL('https://example.com/a', 30);
+    const other = await service.createShortURL('https://example.com/b', 30);
+
+    expect(second.data.shortcode).toBe(first.data.shortcode);
+    expect(other.data.shortcode).not.toBe(first.data.shortcode);
+  });
+});
+
+describe('case-insensitive shortcodes', () => {
+  const createInsensitive = async () => {
+    const service = await createService();
+    service.updateSettings({ caseInsensitiveShortcodes: true });
+    return service;
+  };
+
+  test('stores custom shortcodes lowercase and resolves any spelling', async () => {
+    const service = await createInsensitive();
+    const result = await service.createShortURL('https://example.com/page', 30, 'Promo');
+
+    expect(result.data.shortcode).toBe('promo');
+    expect(service.getOriginalURL('PROMO').destination).toBe('https://example.com/page');
+    expect(service.getOriginalURL('promo').destination).toBe('https://example.com/page');
+  });
+
+  test('rejects shortcodes that differ only in case', async () => {
+    const service = await createInsensitive();
+    await service.createShortURL('https://example.com/a', 30, 'promo');
+
+    expect((await service.createShortURL('https://example.com/b', 30, 'PROMO')).success).toBe(false);
+  });
+
+  test('keeps case apart while the mode is off', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/a', 30, 'Promo');
+
+    expect(service.getOriginalURL('promo').code).toBe('NOT_FOUND');
+    expect((await service.createShortURL('https://example.com/b', 30, 'promo')).success).toBe(true);
+  });
+
+  test('lowercases existing shortcodes when turned on, except colliding ones', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/a', 30, 'Sale');
+    await service.createShortURL('https://example.com/b', 30, 'Deal');
+    await service.createShortURL('https://example.com/c', 30, 'deal');
+
+    const result = service.updateSettings({ caseInsensitiveShortcodes: true });
+
+    expect(result.canonicalization.renamed).toEqual([{ from: 'Sale', to: 'sale' }]);
+    expect(result.canonicalization.collisions).toEqual([{ canonical: 'deal', shortcodes: ['Deal', 'deal'] }]);
+    expect(service.getOriginalURL('SALE').destination).toBe('https://example.com/a');
+    expect(service.getOriginalURL('Deal').destination).toBe('https://example.com/b');
+    expect(service.getOriginalURL('DEAL').destination).toBe('https://example.com/c');
+  });
+
+  test('allows a rename that only changes the case of its own shortcode', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/a', 30, 'Mixed');
+    service.deleteShortURL('Mixed');
+    service.updateSettings({ caseInsensitiveShortcodes: true });
+    service.restoreShortURL('Mixed');
+
+    const result = service.updateShortURL('Mixed', { shortcode: 'mixed' });
+    expect(result.success).toBe(true);
+    expect(service.urls.has('mixed')).toBe(true);
+    expect(service.urls.has('Mixed')).toBe(false);
+  });
+});
+
+describe('duplicate destinations', () => {
+  const createWithPolicy = async (duplicatePolicy) => {
+    const service = await createService();
+    service.updateSettings({ duplicatePolicy });
+    await service.createShortURL('https://example.com/page?a=1&b=2', 30, 'dup1');
+    return service;
+  };
+
+  test('points to the existing link by default', async () => {
+    const service = await createWithPolicy('suggest-reuse');
+    const result = await service.createShortURL('https://Example.com/page?b=2&a=1', 30);
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('DUPLICATE');
+    expect(result.duplicate.shortcode).toBe('dup1');
+    expect((await service.createShortURL('https://example.com/page?a=1&b=2', 30, null, { allowDuplicate: true })).success)
+      .toBe(true);
+  });
+
+  test('hands back the existing link when reuse is forced', async () => {
+    const service = await createWithPolicy('force-reuse');
+    const result = await service.createShortURL('https://example.com/page?a=1&b=2', 30);
+
+    expect(result.success).toBe(true);
+    expect(result.reused).toBe(true);
+    expect(result.data.shortcode).toBe('dup1');
+    expect(service.urls.size).toBe(1);
+  });
+
+  test('always creates a new link when duplicates are allowed', async () => {
+    const service = await createWithPolicy('always-new');
+    const result = await service.createShortURL('https://example.com/page?a=1&b=2', 30);
+
+    expect(result.success).toBe(true);
+    expect(result.data.shortcode).not.toBe('dup1');
+  });
+
+  test('ignores links that are not plain redirects', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/limited', 30, 'dup2', { maxClicks: 5 });
+
+    expect((await service.createShortURL('https://example.com/limited', 30)).success).toBe(true);
+    expect((await service.createShortURL('https://example.com/limited', 30, null, { preview: true })).success)
+      .toBe(true);
+  });
+});
+
+describe('preview pages', () => {
+  test('holds back the click until the visitor continues', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'peek1', { preview: true });
+
+    const result = service.getOriginalURL('peek1');
+    expect(result.preview).toBe(true);
+    expect(result.destination).toBe('https://example.com/page');
+    expect(service.urls.get('peek1').clickCount).toBe(0);
+
+    expect(service.continueFromPreview(result).destination).toBe('https://example.com/page');
+    expect(service.urls.get('peek1').clickCount).toBe(1);
+  });
+
+  test('previews any link when the visitor asks for it', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'peek2');
+
+    expect(service.getOriginalURL('peek2', { preview: true }).preview).toBe(true);
+    expect(service.getOriginalURL('peek2').preview).toBe(false);
+    expect(service.urls.get('peek2').clickCount).toBe(1);
+  });
+
+  test('checks the link again before continuing', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'peek3', { preview: true });
+    const result = service.getOriginalURL('peek3');
+
+    const rescheduled = service.updateShortURL('peek3', {
+      activatesAt: new Date(Date.now() + 60 * 60 * 1000),
+      validityMinutes: 30
+    });
+    expect(rescheduled.success).toBe(true);
+    expect(service.continueFromPreview(result).code).toBe('NOT_YET_ACTIVE');
+
+    service.deleteShortURL('peek3');
+    expect(service.continueFromPreview(result).code).toBe('NOT_FOUND');
+    expect(service.urls.get('peek3').clickCount).toBe(0);
+  });
+});
+
+describe('path and query passthrough', () => {
+  const createPassthrough = async (passthrough = true) => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/docs/?lang=en#intro', 30, 'docs', { passthrough });
+    return service;
+  };
+
+  test('adds the extra path and query to the destination', async () => {
+    const service = await createPassthrough();
+    const result = service.getOriginalURL('docs', { extra: { path: 'api/v2', search: '?x=1' } });
+
+    expect(result.destination).toBe('https://example.com/docs/api/v2?lang=en&x=1#intro');
+    expect(result.click.destination).toBe(result.destination);
+  });
+
+  test("keeps the link's own query parameters and drops dot segments", async () => {
+    const service = await createPassthrough();
+    const result = service.getOriginalURL('docs', { extra: { path: '../../admin/./users', search: 'lang=de' } });
+
+    expect(result.destination).toBe('https://example.com/docs/admin/users?lang=en#intro');
+  });
+
+  test('ignores extras on links without passthrough', async () => {
+    const service = await createPassthrough(false);
+    const result = service.getOriginalURL('docs', { extra: { path: 'api', search: '?x=1' } });
+
+    expect(result.destination).toBe('https://example.com/docs/?lang=en#intro');
+  });
+});
+
+describe('fallback destinations', () => {
+  const FALLBACK = 'https://example.com/fallback';
+
+  test("sends visitors of an expired link to the link's fallback", async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'fall1', { fallbackUrl: FALLBACK });
+    service.urls.get('fall1').expiresAt = new Date(Date.now() - 1000);
+
+    const result = service.getOriginalURL('fall1');
+    expect(result.code).toBe('EXPIRED');
+    expect(result.fallbackUrl).toBe(FALLBACK);
+    expect(result.fallbackMode).toBe('page');
+
+    service.cleanupExpiredURLs();
+    expect(service.getOriginalURL('fall1').fallbackUrl).toBe(FALLBACK);
+    expect(service.urls.get('fall1').fallbackHits).toBe(2);
+  });
+
+  test('counts fallback hits apart from clicks once the click limit is used up', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'fall2', { maxClicks: 1, fallbackUrl: FALLBACK });
+    service.getOriginalURL('fall2');
+
+    const result = service.getOriginalURL('fall2');
+    expect(result.code).toBe('CLICK_LIMIT_REACHED');
+    expect(result.fallbackUrl).toBe(FALLBACK);
+    expect(service.urls.get('fall2').clickCount).toBe(1);
+    expect(service.urls.get('fall2').fallbackHits).toBe(1);
+  });
+
+  test('sends unknown shortcodes to the global fallback in the chosen mode', async () => {
+    const service = await createService();
+    expect(service.getOriginalURL('missing').fallbackUrl).toBeUndefined();
+
+    service.updateSettings({ fallbackUrl: FALLBACK, fallbackMode: 'redirect' });
+    const result = service.getOriginalURL('missing');
+
+    expect(result.code).toBe('NOT_FOUND');
+    expect(result.fallbackUrl).toBe(FALLBACK);
+    expect(result.fallbackMode).toBe('redirect');
+    expect(service.getUnknownFallbackHits()).toBe(1);
+  });
+
+  test('does not use the fallback for links that have not started', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'fall3', {
+      fallbackUrl: FALLBACK,
+      activatesAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    expect(service.getOriginalURL('fall3').fallbackUrl).toBeUndefined();
+  });
+});
+
+describe('redirect chains', () => {
+  test('rejects a link that points to itself', async () => {
+    const service = await createService();
+    const result = await service.createShortURL(`${ORIGIN}/self1`, 30, 'self1');
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('REDIRECT_LOOP');
+  });
+
+  test('points straight at the destination of a plain short link', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'plain1');
+    const result = await service.createShortURL(`${ORIGIN}/plain1`, 30, 'outer1', { allowDuplicate: true });
+
+    expect(result.data.originalUrl).toBe('https://example.com/page');
+    expect(result.warnings).toHaveLength(1);
+  });
+
+  test('rejects an edit that closes a loop through another link', async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'loopa', { maxClicks: 10 });
+    await service.createShortURL(`${ORIGIN}/loopa`, 30, 'loopb', { maxClicks: 10 });
+
+    const result = service.updateShortURL('loopa', { originalUrl: `${ORIGIN}/loopb` });
+    expect(result.code).toBe('REDIRECT_LOOP');
+    expect(service.urls.get('loopa').originalUrl).toBe('https://example.com/page');
+  });
+
+  test(`rejects chains longer than ${MAX_REDIRECT_HOPS} short links`, async () => {
+    const service = await createService();
+    await service.createShortURL('https://example.com/page', 30, 'hop0', { maxClicks: 10 });
+    for (let i = 1; i <= MAX_REDIRECT_HOPS; i++) {
+      const result = await service.createShortURL(`${ORIGIN}/hop${i - 1}`, 30, `hop${i}`, { maxClicks: 10 });
+      expect(result.success).toBe(true);
+    }
+
+    const result = await service.createShortURL(`${ORIGIN}/hop${MAX_REDIRECT_HOPS}`, 30, 'toolong');
+    expect(result.code).toBe('CHAIN_TOO_LONG');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * CSV/TSV parsing and serialisation
+ * Follows RFC 4180: fields may be quoted, quotes inside quoted fields are
+ * doubled, and quoted fields may contain delimiters and line breaks.
+ */
+
+/**
+ * Guess the delimiter from the first line
+ * @param {string} text - Delimited text
+ * @returns {string} ',' ';' or '\t'
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map(delimiter => ({
+    delimiter,
+    count: firstLine.split(delimiter).length - 1
+  }));
+  const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+  return best.count > 0 ? best.delimiter : ',';
+}
+
+/**
+ * Parse delimited text into rows of fields
+ * Blank lines are skipped.
+ * @param {string} text - Delimited text
+ * @param {string} delimiter - Field delimiter (detected when omitted)
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  // Drop a byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+/**
+ * Quote a value when it contains the delimiter, quotes or line breaks
+ * Values that a spreadsheet would read as a formula get a leading `'`, so
+ * opening the file never runs anything a user typed into a URL or note.
+ * @param {any} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Escaped field
+ */
+export function escapeField(value, delimiter = ',') {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = FORMULA_PREFIXES.includes(raw.charAt(0)) ? `'${raw}` : raw;
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Serialise objects as delimited text with a header row
+ * @param {Array<object>} records - Rows to write
+ * @param {Array<string>} columns - Keys to write, in order
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Delimited text
+ */
+export function toDelimited(records, columns, delimiter = ',') {
+  const lines = [columns.map(column => escapeField(column, delimiter)).join(delimiter)];
+  records.forEach(record => {
+    lines.push(columns.map(column => escapeField(record[column], delimiter)).join(delimiter));
+  });
+  return lines.join('\r\n');
+}
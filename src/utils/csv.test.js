@@ -0,0 +1,27 @@
+import { detectDelimiter, escapeField, parseDelimited, toDelimited } from './csv';
+
+describe('parseDelimited', () => {
+  test('detects the delimiter and reads quoted fields', () => {
+    const text = '\ufeffurl;note\r\nhttps://example.com;"say ""hi""; twice"\n\n"https://example.com/b";"two\nlines"';
+
+    expect(detectDelimiter(text)).toBe(';');
+    expect(parseDelimited(text)).toEqual([
+      ['url', 'note'],
+      ['https://example.com', 'say "hi"; twice'],
+      ['https://example.com/b', 'two\nlines']
+    ]);
+  });
+});
+
+describe('toDelimited', () => {
+  test('quotes fields with delimiters, quotes and line breaks', () => {
+    expect(toDelimited([{ a: 'x,y', b: 'say "hi"' }, { a: null, b: 2 }], ['a', 'b']))
+      .toBe('a,b\r\n"x,y","say ""hi"""\r\n,2');
+  });
+
+  test('keeps spreadsheets from reading values as formulas', () => {
+    expect(['=HYPERLINK("x")', '+1', '-2', '@SUM(A1)'].map(value => escapeField(value)))
+      .toEqual(['"\'=HYPERLINK(""x"")"', "'+1", "'-2", "'@SUM(A1)"]);
+    expect(escapeField('https://example.com/?a=1')).toBe('https://example.com/?a=1');
+  });
+});
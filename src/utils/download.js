@@ -0,0 +1,30 @@
+/**
+ * Browser file download helpers
+ */
+
+/**
+ * Save a Blob as a file through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const objectUrl = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+}
+
+/**
+ * Save text as a file
+ * @param {string} text - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadText(text, filename, type = 'text/plain') {
+  downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), filename);
+}
@@ -0,0 +1,55 @@
+/**
+ * Path and query passthrough helpers
+ * A link with passthrough turned on forwards whatever the visitor adds
+ * after the shortcode: /docs/api/v2?x=1 on a link to https://example.com/docs
+ * leads to https://example.com/docs/api/v2?x=1.
+ */
+
+/**
+ * Split an extra path into safe segments
+ * Empty, `.` and `..` segments are dropped so the path cannot climb above
+ * the destination.
+ * @param {string} path - Path after the shortcode, without the leading slash
+ * @returns {Array<string>} Path segments
+ */
+export function getPassthroughSegments(path = '') {
+  return path.split('/').filter(segment => segment && segment !== '.' && segment !== '..');
+}
+
+/**
+ * Append the visitor's extra path and query string to a destination
+ * The destination's own query parameters win over visitor parameters with
+ * the same name, so campaign tags set by the owner are kept. The
+ * destination's fragment is kept.
+ * @param {string} destination - Destination URL
+ * @param {object} extra - What the visitor added
+ * @param {string} extra.path - Path after the shortcode, e.g. 'api/v2'
+ * @param {string} extra.search - Query string, with or without the leading '?'
+ * @returns {string} Destination with the extras applied, or the input unchanged if it cannot be parsed
+ */
+export function applyPassthrough(destination, { path = '', search = '' } = {}) {
+  const segments = getPassthroughSegments(path);
+  const visitorParams = new URLSearchParams(search);
+  if (segments.length === 0 && ![...visitorParams.keys()].length) {
+    return destination;
+  }
+
+  try {
+    const parsed = new URL(destination);
+
+    if (segments.length > 0) {
+      const basePath = parsed.pathname.replace(/\/+$/, '');
+      parsed.pathname = `${basePath}/${segments.map(encodeURIComponent).join('/')}`;
+    }
+
+    for (const name of new Set(visitorParams.keys())) {
+      if (!parsed.searchParams.has(name)) {
+        visitorParams.getAll(name).forEach(value => parsed.searchParams.append(name, value));
+      }
+    }
+
+    return parsed.toString();
+  } catch (error) {
+    return destination;
+  }
+}
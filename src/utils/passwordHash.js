@@ -0,0 +1,100 @@
+/**
+ * Password hashing helpers built on the Web Crypto API
+ * Passwords are never stored; only a salted PBKDF2 hash is kept.
+ */
+
+const ALGORITHM = 'PBKDF2-SHA256';
+const ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return window.btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} value - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64(value) {
+  const binary = window.atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Derive a PBKDF2 hash from a password and salt
+ * @param {string} password - Plain-text password
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<ArrayBuffer>} Derived hash bytes
+ */
+async function derive(password, salt, iterations) {
+  const subtle = window.crypto.subtle;
+  const key = await subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+
+  return subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    HASH_BITS
+  );
+}
+
+/**
+ * Hash a password with a fresh random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<object>} Stored hash: { algorithm, iterations, salt, hash }
+ */
+export async function hashPassword(password) {
+  const salt = window.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await derive(password, salt, ITERATIONS);
+
+  return {
+    algorithm: ALGORITHM,
+    iterations: ITERATIONS,
+    salt: toBase64(salt),
+    hash: toBase64(hash)
+  };
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password to check
+ * @param {object} stored - Hash produced by hashPassword()
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, stored) {
+  if (!stored || stored.algorithm !== ALGORITHM) {
+    return false;
+  }
+
+  const expected = fromBase64(stored.hash);
+  const actual = new Uint8Array(await derive(password, fromBase64(stored.salt), stored.iterations));
+
+  // Compare every byte so timing does not reveal where a mismatch occurs
+  let difference = expected.length ^ actual.length;
+  for (let i = 0; i < Math.min(expected.length, actual.length); i++) {
+    difference |= expected[i] ^ actual[i];
+  }
+  return difference === 0;
+}
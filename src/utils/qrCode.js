@@ -0,0 +1,507 @@
+/**
+ * QR code encoder (ISO/IEC 18004, byte mode, versions 1-40)
+ * Everything runs in the browser so short URLs never leave the page.
+ *
+ * The encoder returns a plain object:
+ *   { version, size, ecc, mask, modules }
+ * where modules[y][x] is true for a dark module. The render helpers turn it
+ * into SVG markup or draw it on a canvas.
+ */
+
+export const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Share of the code width a centre logo may cover. Level H restores up to
+// 30% of the codewords, so this leaves headroom for the quiet area around it.
+export const LOGO_SCALE = 0.22;
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// Format information value for each level (not in L/M/Q/H order)
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Error correction codewords per block, indexed by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+// Number of error correction blocks, indexed by version (index 0 unused)
+const ECC_BLOCK_COUNT = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+// Mask conditions; a module is inverted where the condition holds
+const MASK_PATTERNS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+/* ---------- Capacity ---------- */
+
+// Modules available for data and error correction after function patterns
+function getRawModuleCount(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+function getDataCodewordCount(version, ecc) {
+  return Math.floor(getRawModuleCount(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[ecc][version] * ECC_BLOCK_COUNT[ecc][version];
+}
+
+// Width of the byte-mode character count field
+const getCountBits = (version) => (version <= 9 ? 8 : 16);
+
+/* ---------- Reed-Solomon over GF(2^8), polynomial 0x11D ---------- */
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+}
+
+/* ---------- Codeword assembly ---------- */
+
+function buildDataCodewords(bytes, version, ecc) {
+  const bits = [];
+  const appendBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  appendBits(0x4, 4); // byte mode
+  appendBits(bytes.length, getCountBits(version));
+  bytes.forEach(byte => appendBits(byte, 8));
+
+  const capacityBits = getDataCodewordCount(version, ecc) * 8;
+  appendBits(0, Math.min(4, capacityBits - bits.length)); // terminator
+  appendBits(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacityBits / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+// Split data into blocks, append error correction and interleave
+function addErrorCorrection(data, version, ecc) {
+  const blockCount = ECC_BLOCK_COUNT[ecc][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[ecc][version];
+  const rawCodewords = Math.floor(getRawModuleCount(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const correction = reedSolomonRemainder(block, divisor);
+    if (i < shortBlockCount) {
+      block.push(0); // placeholder so all blocks line up when interleaving
+    }
+    blocks.push(block.concat(correction));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+/* ---------- Matrix construction ---------- */
+
+function getAlignmentPositions(version, size) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const positions = [6];
+  for (let position = size - 7; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+}
+
+function createMatrix(version, ecc) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+  const setFunctionModule = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunctionModule(6, i, i % 2 === 0);
+    setFunctionModule(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          setFunctionModule(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Alignment patterns, skipping the three finder corners
+  const alignment = getAlignmentPositions(version, size);
+  const last = alignment.length - 1;
+  alignment.forEach((cy, i) => {
+    alignment.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Version information (versions 7 and up)
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunctionModule(a, b, getBit(bits, i));
+      setFunctionModule(b, a, getBit(bits, i));
+    }
+  }
+
+  const matrix = { version, size, ecc, modules, reserved, setFunctionModule };
+  drawFormatBits(matrix, 0); // reserve the format areas before placing data
+  return matrix;
+}
+
+function drawFormatBits({ size, ecc, setFunctionModule }, mask) {
+  const data = (FORMAT_BITS[ecc] << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+
+  // Copy around the top-left finder
+  for (let i = 0; i <= 5; i++) {
+    setFunctionModule(8, i, getBit(bits, i));
+  }
+  setFunctionModule(8, 7, getBit(bits, 6));
+  setFunctionModule(8, 8, getBit(bits, 7));
+  setFunctionModule(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) {
+    setFunctionModule(14 - i, 8, getBit(bits, i));
+  }
+
+  // Copy split between the other two finders
+  for (let i = 0; i < 8; i++) {
+    setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+  }
+  for (let i = 8; i < 15; i++) {
+    setFunctionModule(8, size - 15 + i, getBit(bits, i));
+  }
+  setFunctionModule(8, size - 8, true); // always-dark module
+}
+
+// Place codewords in the zigzag order, two columns at a time from the right
+function drawCodewords({ size, modules, reserved }, codewords) {
+  let bitIndex = 0;
+  const totalBits = codewords.length * 8;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5; // skip the vertical timing pattern
+    }
+    const upward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < size; vertical++) {
+      const y = upward ? size - 1 - vertical : vertical;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (!reserved[y][x] && bitIndex < totalBits) {
+          modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+          bitIndex++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask({ size, modules, reserved }, mask) {
+  const condition = MASK_PATTERNS[mask];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && condition(x, y)) {
+        modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+}
+
+/* ---------- Mask penalty ---------- */
+
+const FINDER_LIKE = [
+  [true, false, true, true, true, false, true, false, false, false, false],
+  [false, false, false, false, true, false, true, true, true, false, true]
+];
+
+function getPenaltyScore({ size, modules }) {
+  let penalty = 0;
+  const at = (x, y, vertical) => (vertical ? modules[x][y] : modules[y][x]);
+
+  // Runs of five or more and finder-like sequences, in rows then columns
+  [false, true].forEach(vertical => {
+    for (let y = 0; y < size; y++) {
+      let runLength = 1;
+      for (let x = 1; x <= size; x++) {
+        if (x < size && at(x, y, vertical) === at(x - 1, y, vertical)) {
+          runLength++;
+        } else {
+          if (runLength >= 5) {
+            penalty += runLength - 2;
+          }
+          runLength = 1;
+        }
+      }
+      for (let x = 0; x + 11 <= size; x++) {
+        if (FINDER_LIKE.some(pattern => pattern.every((dark, i) => at(x + i, y, vertical) === dark))) {
+          penalty += 40;
+        }
+      }
+    }
+  });
+
+  // 2x2 blocks of one colour
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        penalty += 3;
+      }
+    }
+  }
+
+  // Balance of dark and light modules
+  const dark = modules.reduce((total, row) => total + row.filter(Boolean).length, 0);
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+  return penalty;
+}
+
+/* ---------- Public API ---------- */
+
+/**
+ * Encode text as a QR code
+ * Picks the smallest version that fits and the mask with the lowest penalty.
+ * @param {string} text - Text to encode (UTF-8)
+ * @param {string} ecc - Error correction level: 'L', 'M', 'Q' or 'H'
+ * @returns {object} { version, size, ecc, mask, modules }
+ * @throws {Error} If the level is unknown or the text does not fit in version 40
+ */
+export function encodeQRCode(text, ecc = 'M') {
+  if (!ERROR_CORRECTION_LEVELS.includes(ecc)) {
+    throw new Error(`Unknown error correction level: ${ecc}`);
+  }
+
+  const bytes = Array.from(new TextEncoder().encode(text));
+
+  let version = MIN_VERSION;
+  while (4 + getCountBits(version) + bytes.length * 8 > getDataCodewordCount(version, ecc) * 8) {
+    if (version === MAX_VERSION) {
+      throw new Error('Text is too long to fit in a QR code.');
+    }
+    version++;
+  }
+
+  const matrix = createMatrix(version, ecc);
+  drawCodewords(matrix, addErrorCorrection(buildDataCodewords(bytes, version, ecc), version, ecc));
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < MASK_PATTERNS.length; mask++) {
+    applyMask(matrix, mask);
+    drawFormatBits(matrix, mask);
+    const penalty = getPenaltyScore(matrix);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(matrix, mask); // masking is an XOR, so this undoes it
+  }
+  applyMask(matrix, bestMask);
+  drawFormatBits(matrix, bestMask);
+
+  return { version, size: matrix.size, ecc, mask: bestMask, modules: matrix.modules };
+}
+
+/**
+ * Build an SVG path covering the dark modules, one unit per module
+ * @param {object} qr - Encoded QR code
+ * @param {number} margin - Quiet zone in modules
+ * @returns {string} Path data
+ */
+export function qrCodeToPath(qr, margin = 4) {
+  const segments = [];
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        segments.push(`M${x + margin},${y + margin}h1v1h-1z`);
+      }
+    });
+  });
+  return segments.join('');
+}
+
+/**
+ * Render a QR code as a standalone SVG document
+ * @param {object} qr - Encoded QR code
+ * @param {object} options - { size, margin, foreground, background, logo }
+ *   where logo is an image URL (a data URL keeps the file self-contained)
+ * @returns {string} SVG markup
+ */
+export function qrCodeToSVG(qr, options = {}) {
+  const { size = 256, margin = 4, foreground = '#000000', background = '#ffffff', logo = null } = options;
+  const dimension = qr.size + margin * 2;
+
+  let logoMarkup = '';
+  if (logo) {
+    const logoSize = qr.size * LOGO_SCALE;
+    const offset = (dimension - logoSize) / 2;
+    const padding = 0.5;
+    logoMarkup =
+      `<rect x="${offset - padding}" y="${offset - padding}" width="${logoSize + padding * 2}" ` +
+      `height="${logoSize + padding * 2}" rx="1" fill="${background}"/>` +
+      `<image href="${logo}" x="${offset}" y="${offset}" width="${logoSize}" height="${logoSize}" ` +
+      'preserveAspectRatio="xMidYMid meet"/>';
+  }
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" ` +
+    `viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="${background}"/>` +
+    `<path d="${qrCodeToPath(qr, margin)}" fill="${foreground}"/>` +
+    logoMarkup +
+    '</svg>'
+  );
+}
+
+/**
+ * Draw a QR code on a canvas, resizing the canvas to fit
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {object} qr - Encoded QR code
+ * @param {object} options - { size, margin, foreground, background, logoImage }
+ *   where logoImage is an already loaded HTMLImageElement
+ */
+export function drawQRCodeToCanvas(canvas, qr, options = {}) {
+  const { size = 256, margin = 4, foreground = '#000000', background = '#ffffff', logoImage = null } = options;
+  const dimension = qr.size + margin * 2;
+  const scale = size / dimension;
+
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  context.fillStyle = background;
+  context.fillRect(0, 0, size, size);
+
+  context.fillStyle = foreground;
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        // Round the edges so neighbouring modules meet without hairline gaps
+        const left = Math.round((x + margin) * scale);
+        const top = Math.round((y + margin) * scale);
+        context.fillRect(left, top, Math.round((x + margin + 1) * scale) - left, Math.round((y + margin + 1) * scale) - top);
+      }
+    });
+  });
+
+  if (logoImage) {
+    const logoSize = qr.size * LOGO_SCALE * scale;
+    const offset = (size - logoSize) / 2;
+    const padding = scale / 2;
+    context.fillStyle = background;
+    context.fillRect(offset - padding, offset - padding, logoSize + padding * 2, logoSize + padding * 2);
+
+    // Fit the logo inside the square without stretching it
+    const ratio = Math.min(logoSize / logoImage.width, logoSize / logoImage.height);
+    const width = logoImage.width * ratio;
+    const height = logoImage.height * ratio;
+    context.drawImage(logoImage, (size - width) / 2, (size - height) / 2, width, height);
+  }
+}
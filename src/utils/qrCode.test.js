@@ -0,0 +1,69 @@
+import { TextEncoder } from 'util';
+import { encodeQRCode, qrCodeToSVG } from './qrCode';
+
+// jsdom does not provide TextEncoder
+global.TextEncoder = TextEncoder;
+
+const SHORT_URL = 'https://example.com/abc123';
+
+// The 7x7 finder pattern: dark ring, light ring, dark 3x3 centre
+const isFinderPattern = (modules, left, top) => {
+  for (let y = 0; y < 7; y++) {
+    for (let x = 0; x < 7; x++) {
+      const ring = Math.max(Math.abs(x - 3), Math.abs(y - 3));
+      if (modules[top + y][left + x] !== (ring !== 2)) {
+        return false;
+      }
+    }
+  }
+  return true;
+};
+
+describe('encodeQRCode', () => {
+  test('picks the smallest version that fits and sizes the grid from it', () => {
+    const qr = encodeQRCode(SHORT_URL, 'M');
+
+    expect(qr.version).toBe(2);
+    expect(qr.size).toBe(qr.version * 4 + 17);
+    expect(qr.modules).toHaveLength(qr.size);
+    qr.modules.forEach(row => expect(row).toHaveLength(qr.size));
+  });
+
+  test('draws the finder, timing and dark modules', () => {
+    const { modules, size, version } = encodeQRCode(SHORT_URL, 'M');
+
+    expect(isFinderPattern(modules, 0, 0)).toBe(true);
+    expect(isFinderPattern(modules, size - 7, 0)).toBe(true);
+    expect(isFinderPattern(modules, 0, size - 7)).toBe(true);
+    for (let i = 8; i < size - 8; i++) {
+      expect(modules[6][i]).toBe(i % 2 === 0);
+      expect(modules[i][6]).toBe(i % 2 === 0);
+    }
+    expect(modules[4 * version + 9][8]).toBe(true);
+  });
+
+  test('encodes the same text the same way', () => {
+    expect(encodeQRCode(SHORT_URL, 'Q')).toEqual(encodeQRCode(SHORT_URL, 'Q'));
+  });
+
+  test('needs a larger version for stronger error correction', () => {
+    expect(encodeQRCode(SHORT_URL, 'H').version).toBeGreaterThan(encodeQRCode(SHORT_URL, 'L').version);
+  });
+
+  test('rejects unknown levels and text that does not fit', () => {
+    expect(() => encodeQRCode(SHORT_URL, 'X')).toThrow(/Unknown error correction level/);
+    expect(() => encodeQRCode('a'.repeat(3000), 'H')).toThrow(/too long/);
+  });
+});
+
+describe('qrCodeToSVG', () => {
+  test('renders the code with its quiet zone at the requested size', () => {
+    const qr = encodeQRCode(SHORT_URL);
+    const svg = qrCodeToSVG(qr, { size: 300, margin: 4, foreground: '#112233' });
+
+    expect(svg).toContain('width="300" height="300"');
+    expect(svg).toContain(`viewBox="0 0 ${qr.size + 8} ${qr.size + 8}"`);
+    expect(svg).toContain('fill="#112233"');
+    expect(svg).not.toContain('<image');
+  });
+});
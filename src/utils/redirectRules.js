@@ -0,0 +1,154 @@
+/**
+ * Conditional redirect rules
+ * A rule sends matching visitors to its own destination instead of the link's
+ * default URL. Rules are evaluated in order and the first match wins.
+ *
+ * Rule shape:
+ *   {
+ *     id: 'rule-1',
+ *     destination: 'https://example.com/ios',
+ *     conditions: {
+ *       platforms: ['ios', 'android', 'desktop'], // any of
+ *       languages: ['en', 'de-AT'],               // prefix match on navigator.language
+ *       days: [1, 2, 3, 4, 5],                    // 0 = Sunday
+ *       hours: { from: 9, to: 17 }                // local time, wraps past midnight if from > to
+ *     }
+ *   }
+ * Every condition that is present must match; an empty rule matches everyone.
+ */
+
+export const PLATFORMS = ['ios', 'android', 'desktop'];
+
+export const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Detect the visitor platform from a user-agent string
+ * @param {string} userAgent - User-agent string
+ * @returns {string} 'ios', 'android' or 'desktop'
+ */
+export function detectPlatform(userAgent = '') {
+  if (/android/i.test(userAgent)) return 'android';
+  if (/iphone|ipad|ipod/i.test(userAgent)) return 'ios';
+  return 'desktop';
+}
+
+/**
+ * Collect the visitor attributes rules are matched against
+ * @param {Date} now - Time of the visit
+ * @returns {object} Context: { platform, language, day, hour }
+ */
+export function getVisitorContext(now = new Date()) {
+  return {
+    platform: detectPlatform(navigator.userAgent),
+    language: navigator.language || '',
+    day: now.getDay(),
+    hour: now.getHours()
+  };
+}
+
+/**
+ * Check whether an hour falls inside a window
+ * @param {number} hour - Hour to check (0-23)
+ * @param {object} window - { from, to } with `to` exclusive
+ * @returns {boolean} True if inside the window
+ */
+function isWithinHours(hour, { from, to }) {
+  if (from <= to) {
+    return hour >= from && hour < to;
+  }
+  return hour >= from || hour < to;
+}
+
+/**
+ * Check whether a rule matches a visitor
+ * @param {object} rule - Redirect rule
+ * @param {object} context - Visitor context from getVisitorContext()
+ * @returns {boolean} True if every condition matches
+ */
+export function matchesRule(rule, context) {
+  const { platforms, languages, days, hours } = rule.conditions || {};
+
+  if (platforms && platforms.length > 0 && !platforms.includes(context.platform)) {
+    return false;
+  }
+
+  if (languages && languages.length > 0) {
+    const visitorLanguage = context.language.toLowerCase();
+    const matchesLanguage = languages.some(language => {
+      const wanted = language.toLowerCase();
+      return visitorLanguage === wanted || visitorLanguage.startsWith(`${wanted}-`);
+    });
+    if (!matchesLanguage) return false;
+  }
+
+  if (days && days.length > 0 && !days.includes(context.day)) {
+    return false;
+  }
+
+  if (hours && !isWithinHours(context.hour, hours)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Find the first rule that matches a visitor
+ * @param {Array} rules - Ordered redirect rules
+ * @param {object} context - Visitor context from getVisitorContext()
+ * @returns {object|null} Matching rule, or null to use the default URL
+ */
+export function evaluateRules(rules, context) {
+  return (rules || []).find(rule => matchesRule(rule, context)) || null;
+}
+
+/**
+ * Describe a rule's conditions for display
+ * @param {object} rule - Redirect rule
+ * @returns {string} Human-readable summary
+ */
+export function describeRule(rule) {
+  const { platforms, languages, days, hours } = rule.conditions || {};
+  const parts = [];
+
+  if (platforms && platforms.length > 0) parts.push(platforms.join('/'));
+  if (languages && languages.length > 0) parts.push(`lang ${languages.join(', ')}`);
+  if (days && days.length > 0) parts.push(days.map(day => DAY_NAMES[day]).join(', '));
+  if (hours) parts.push(`${hours.from}:00–${hours.to}:00`);
+
+  return parts.length > 0 ? parts.join(' · ') : 'Everyone';
+}
+
+/**
+ * Check the structure of a rule list
+ * Destination URLs are validated separately by the URL service.
+ * @param {Array} rules - Redirect rules
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    return 'Redirect rules must be a list.';
+  }
+
+  for (const [index, rule] of rules.entries()) {
+    const { platforms, days, hours } = rule.conditions || {};
+    const label = `Rule ${index + 1}`;
+
+    if (platforms && platforms.some(platform => !PLATFORMS.includes(platform))) {
+      return `${label}: unknown platform.`;
+    }
+
+    if (days && days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return `${label}: days must be between 0 (Sunday) and 6 (Saturday).`;
+    }
+
+    if (hours) {
+      const validHour = (hour, max) => Number.isInteger(hour) && hour >= 0 && hour <= max;
+      if (!validHour(hours.from, 23) || !validHour(hours.to, 24) || hours.from === hours.to) {
+        return `${label}: hours must be a window between 0 and 24.`;
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,104 @@
+/**
+ * Short link base URLs
+ * A link keeps the base URL it was created for in its `domain` field, or
+ * null for the address the app is served from. The full short URL is built
+ * whenever a link is read, so links follow the app when it moves.
+ *
+ * Base URLs are stored without a trailing slash, e.g. `https://go.example.com`
+ * or `https://example.com/s` when the app is served under a path.
+ */
+
+import { PREVIEW_SUFFIX } from '../routes';
+
+/**
+ * Get the base URL of the running app
+ * @returns {string} Origin of the current page
+ */
+export function getAppBaseUrl() {
+  return window.location.origin;
+}
+
+/**
+ * Clean up a base URL entered by the user
+ * @param {string} value - Entered base URL
+ * @returns {string|null} Normalized base URL, or null if it is not a usable http(s) base URL
+ */
+export function normalizeBaseUrl(value) {
+  let parsed;
+  try {
+    parsed = new URL(value.trim());
+  } catch (error) {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol) || parsed.search || parsed.hash ||
+    parsed.username || parsed.password) {
+    return null;
+  }
+
+  return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Build the short URL for a shortcode
+ * @param {string} shortcode - Shortcode
+ * @param {string|null} domain - Base URL, or null for the app's own address
+ * @returns {string} Full short URL
+ */
+export function buildShortUrl(shortcode, domain = null) {
+  return `${domain || getAppBaseUrl()}/${shortcode}`;
+}
+
+/**
+ * Parse a list of base URLs typed by the user (one per line or comma separated)
+ * @param {string} text - Raw input
+ * @returns {object} { baseUrls, invalid }: unique normalized base URLs and the entries that are not usable
+ */
+export function parseBaseUrls(text) {
+  const entries = text.split(/[\s,]+/).filter(Boolean);
+  const baseUrls = entries.map(normalizeBaseUrl).filter(Boolean);
+  return {
+    baseUrls: [...new Set(baseUrls)],
+    invalid: entries.filter(entry => !normalizeBaseUrl(entry))
+  };
+}
+
+/**
+ * Read the shortcode out of a URL served by one of our base URLs
+ * @param {string} url - URL to inspect
+ * @param {Array<string>} baseUrls - Base URLs short links are served from
+ * @returns {object|null} { shortcode, preview, path, search } for a short link URL, or null
+ */
+export function parseShortUrl(url, baseUrls) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  for (const baseUrl of baseUrls) {
+    const base = new URL(baseUrl);
+    const basePath = base.pathname.replace(/\/+$/, '');
+    if (parsed.host.toLowerCase() !== base.host.toLowerCase() || !parsed.pathname.startsWith(`${basePath}/`)) {
+      continue;
+    }
+
+    const [first, ...rest] = parsed.pathname.slice(basePath.length + 1).split('/');
+
+    // A malformed escape such as %zz cannot be one of our shortcodes
+    let code;
+    try {
+      code = decodeURIComponent(first);
+    } catch (error) {
+      return null;
+    }
+    const preview = code.endsWith(PREVIEW_SUFFIX);
+    const shortcode = preview ? code.slice(0, -PREVIEW_SUFFIX.length) : code;
+    if (shortcode) {
+      return { shortcode, preview, path: rest.join('/'), search: parsed.search };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,59 @@
+import { buildShortUrl, normalizeBaseUrl, parseBaseUrls, parseShortUrl } from './shortUrl';
+
+const BASE_URLS = ['http://localhost', 'https://go.example.com', 'https://example.com/s'];
+
+describe('base URLs', () => {
+  test('builds short URLs on the app address or a short link domain', () => {
+    expect(buildShortUrl('abc123')).toBe(`${window.location.origin}/abc123`);
+    expect(buildShortUrl('abc123', 'https://example.com/s')).toBe('https://example.com/s/abc123');
+  });
+
+  test('normalizes entered base URLs', () => {
+    expect(normalizeBaseUrl(' https://Go.Example.com/ ')).toBe('https://go.example.com');
+    expect(normalizeBaseUrl('https://example.com/s//')).toBe('https://example.com/s');
+  });
+
+  test('rejects base URLs that cannot serve short links', () => {
+    expect(normalizeBaseUrl('ftp://example.com')).toBeNull();
+    expect(normalizeBaseUrl('https://example.com/?x=1')).toBeNull();
+    expect(normalizeBaseUrl('example.com')).toBeNull();
+  });
+
+  test('parses a list, dropping duplicates and reporting invalid entries', () => {
+    expect(parseBaseUrls('https://go.example.com, https://GO.example.com/\nexample.com')).toEqual({
+      baseUrls: ['https://go.example.com'],
+      invalid: ['example.com']
+    });
+  });
+});
+
+describe('parseShortUrl', () => {
+  test('reads the shortcode from any of the base URLs', () => {
+    expect(parseShortUrl('http://localhost/abc123', BASE_URLS))
+      .toEqual({ shortcode: 'abc123', preview: false, path: '', search: '' });
+    expect(parseShortUrl('https://GO.example.com/abc123', BASE_URLS).shortcode).toBe('abc123');
+    expect(parseShortUrl('https://example.com/s/abc123', BASE_URLS).shortcode).toBe('abc123');
+  });
+
+  test('reads the preview suffix, extra path and query string', () => {
+    expect(parseShortUrl('https://go.example.com/abc123+/docs/api?x=1', BASE_URLS))
+      .toEqual({ shortcode: 'abc123', preview: true, path: 'docs/api', search: '?x=1' });
+  });
+
+  test('decodes escaped shortcodes', () => {
+    expect(parseShortUrl('http://localhost/abc%2B', BASE_URLS)).toEqual(
+      expect.objectContaining({ shortcode: 'abc', preview: true })
+    );
+  });
+
+  test('ignores URLs on other hosts or outside the base path', () => {
+    expect(parseShortUrl('https://example.org/abc123', BASE_URLS)).toBeNull();
+    expect(parseShortUrl('https://example.com/abc123', BASE_URLS)).toBeNull();
+    expect(parseShortUrl('http://localhost/', BASE_URLS)).toBeNull();
+  });
+
+  test('treats malformed input as not a short link', () => {
+    expect(parseShortUrl('not a url', BASE_URLS)).toBeNull();
+    expect(parseShortUrl('http://localhost/%zz', BASE_URLS)).toBeNull();
+  });
+});
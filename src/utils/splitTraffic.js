@@ -0,0 +1,138 @@
+/**
+ * Weighted A/B split helpers
+ * A visitor is assigned a variant by hashing their visitor id together with
+ * the shortcode, so the same visitor keeps landing on the same variant while
+ * the variant list stays unchanged.
+ *
+ * Variant shape: { id: 'A', url: 'https://example.com/a', weight: 50 }
+ * Weights are whole percentages and must add up to 100.
+ */
+
+const VISITOR_ID_KEY = 'urlShortenerVisitorId';
+
+/**
+ * Get this browser's visitor id, creating it on first use
+ * @returns {string} Visitor id
+ */
+export function getVisitorId() {
+  try {
+    let visitorId = localStorage.getItem(VISITOR_ID_KEY);
+    if (!visitorId) {
+      visitorId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+      localStorage.setItem(VISITOR_ID_KEY, visitorId);
+    }
+    return visitorId;
+  } catch (error) {
+    // Without storage the assignment is only sticky for this page view
+    return 'anonymous';
+  }
+}
+
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a)
+ * @param {string} value - String to hash
+ * @returns {number} Hash value
+ */
+export function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick a variant for a visitor
+ * @param {Array} variants - Weighted variants
+ * @param {string} seed - Stable per-visitor seed, e.g. `${visitorId}:${shortcode}`
+ * @returns {object|null} Chosen variant, or null if there are none
+ */
+export function pickVariant(variants, seed) {
+  if (!variants || variants.length === 0) return null;
+
+  const totalWeight = variants.reduce((total, variant) => total + variant.weight, 0);
+  const bucket = hashString(seed) % totalWeight;
+
+  let cumulative = 0;
+  for (const variant of variants) {
+    cumulative += variant.weight;
+    if (bucket < cumulative) {
+      return variant;
+    }
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Get the id of the variant at a position in the A, B, ... Z, AA, AB... sequence
+ * @param {number} index - Zero-based position
+ * @returns {string} Variant id
+ */
+export function getVariantLetter(index) {
+  let id = '';
+  let remaining = index;
+  do {
+    id = String.fromCharCode(65 + (remaining % 26)) + id;
+    remaining = Math.floor(remaining / 26) - 1;
+  } while (remaining >= 0);
+  return id;
+}
+
+/**
+ * Give ids to variants that do not have one yet
+ * Variants keep the id they have, so their clicks stay with them when the
+ * list is edited. New variants get the first id in the sequence that is
+ * neither in the list nor in `usedIds`.
+ * @param {Array} variants - Weighted variants, with or without ids
+ * @param {Array<string>} usedIds - Ids that must not be handed out again, e.g. of removed variants
+ * @returns {Array} Variants with ids
+ */
+export function assignVariantIds(variants, usedIds = []) {
+  const kept = new Set();
+  const drafts = variants.map(variant => {
+    if (variant.id && !kept.has(variant.id)) {
+      kept.add(variant.id);
+      return variant;
+    }
+    return { ...variant, id: null };
+  });
+
+  const used = new Set([...usedIds, ...kept]);
+  let next = 0;
+  return drafts.map(variant => {
+    if (variant.id) return variant;
+    while (used.has(getVariantLetter(next))) next++;
+    const id = getVariantLetter(next);
+    used.add(id);
+    return { ...variant, id };
+  });
+}
+
+/**
+ * Check the structure of a variant list
+ * Destination URLs are validated separately by the URL service.
+ * @param {Array} variants - Weighted variants
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateVariants(variants) {
+  if (!Array.isArray(variants)) {
+    return 'Split destinations must be a list.';
+  }
+  if (variants.length === 0) {
+    return null;
+  }
+  if (variants.length < 2) {
+    return 'A split needs at least two destinations.';
+  }
+  if (variants.some(variant => !Number.isInteger(variant.weight) || variant.weight <= 0)) {
+    return 'Split weights must be positive whole percentages.';
+  }
+
+  const totalWeight = variants.reduce((total, variant) => total + variant.weight, 0);
+  if (totalWeight !== 100) {
+    return `Split weights must add up to 100% (currently ${totalWeight}%).`;
+  }
+
+  return null;
+}
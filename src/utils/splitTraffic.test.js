@@ -0,0 +1,69 @@
+import { assignVariantIds, getVariantLetter, hashString, pickVariant, validateVariants } from './splitTraffic';
+
+const VARIANTS = [
+  { id: 'A', url: 'https://example.com/a', weight: 70 },
+  { id: 'B', url: 'https://example.com/b', weight: 30 }
+];
+
+describe('pickVariant', () => {
+  test('hashes seeds to stable unsigned 32-bit values', () => {
+    expect(hashString('')).toBe(0x811c9dc5);
+    expect(hashString('visitor-1:abc123')).toBe(hashString('visitor-1:abc123'));
+    expect(hashString('visitor-1:abc123')).toBeGreaterThanOrEqual(0);
+    expect(hashString('visitor-1:abc123')).toBeLessThan(2 ** 32);
+  });
+
+  test('keeps giving a visitor the same variant', () => {
+    const first = pickVariant(VARIANTS, 'visitor-1:abc123');
+    for (let i = 0; i < 10; i++) {
+      expect(pickVariant(VARIANTS, 'visitor-1:abc123')).toBe(first);
+    }
+  });
+
+  test('picks the variant whose weight range holds the hash bucket', () => {
+    const seed = 'visitor-1:abc123';
+    const expected = hashString(seed) % 100 < 70 ? VARIANTS[0] : VARIANTS[1];
+    expect(pickVariant(VARIANTS, seed)).toBe(expected);
+  });
+
+  test('splits many visitors roughly by weight', () => {
+    let countA = 0;
+    for (let i = 0; i < 2000; i++) {
+      if (pickVariant(VARIANTS, `visitor-${i}:abc123`).id === 'A') {
+        countA++;
+      }
+    }
+    expect(countA / 2000).toBeGreaterThan(0.65);
+    expect(countA / 2000).toBeLessThan(0.75);
+  });
+
+  test('returns null without variants', () => {
+    expect(pickVariant([], 'visitor-1:abc123')).toBeNull();
+    expect(pickVariant(null, 'visitor-1:abc123')).toBeNull();
+  });
+});
+
+describe('validateVariants', () => {
+  test('accepts weights that add up to 100', () => {
+    expect(validateVariants(VARIANTS)).toBeNull();
+    expect(validateVariants([])).toBeNull();
+  });
+
+  test('rejects a single variant, bad weights and wrong totals', () => {
+    expect(validateVariants([VARIANTS[0]])).toMatch(/at least two/);
+    expect(validateVariants([{ ...VARIANTS[0], weight: 0 }, VARIANTS[1]])).toMatch(/positive whole/);
+    expect(validateVariants([VARIANTS[0], { ...VARIANTS[1], weight: 20 }])).toMatch(/currently 90%/);
+  });
+});
+
+describe('assignVariantIds', () => {
+  test('letters variants in order, continuing past Z', () => {
+    expect([0, 1, 25, 26, 27, 701, 702].map(getVariantLetter)).toEqual(['A', 'B', 'Z', 'AA', 'AB', 'ZZ', 'AAA']);
+    expect(assignVariantIds([{ url: 'a' }, { url: 'b' }]).map(variant => variant.id)).toEqual(['A', 'B']);
+  });
+
+  test('keeps existing ids and gives new variants unused ones', () => {
+    const variants = [{ id: 'B', url: 'b' }, { url: 'c' }, { id: 'B', url: 'd' }];
+    expect(assignVariantIds(variants, ['A', 'B']).map(variant => variant.id)).toEqual(['B', 'C', 'D']);
+  });
+});
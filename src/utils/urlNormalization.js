@@ -0,0 +1,90 @@
+/**
+ * Destination URL normalization
+ * Two URLs that normalize to the same string point at the same page, which
+ * is how duplicate links are detected. The scheme and host are lowercased,
+ * default ports dropped and query parameters sorted by name; the path and
+ * fragment are kept as they are. The normalized form is only a comparison
+ * key: links keep their destination as it was entered.
+ */
+
+// Click and referral identifiers added by ad platforms and newsletters
+export const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid',
+  'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', 'ref_src'
+];
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+/**
+ * Check whether a query parameter only tracks the visitor
+ * @param {string} name - Parameter name
+ * @returns {boolean} True for utm_* and known click identifiers
+ */
+export function isTrackingParam(name) {
+  const lowered = name.toLowerCase();
+  return lowered.startsWith('utm_') || TRACKING_PARAMS.includes(lowered);
+}
+
+/**
+ * Remove tracking parameters from a URL
+ * The remaining parameters keep their order and encoding.
+ * @param {string} url - URL to clean
+ * @returns {string} URL without utm_* and click identifier parameters, or the input unchanged
+ *   if it has none or cannot be parsed
+ */
+export function removeTrackingParams(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  const pairs = parsed.search.slice(1).split('&').filter(Boolean);
+  const kept = pairs.filter(pair => !isTrackingParam(new URLSearchParams(pair).keys().next().value || ''));
+  if (kept.length === pairs.length) {
+    return url;
+  }
+
+  parsed.search = kept.join('&');
+  return parsed.toString();
+}
+
+/**
+ * Normalize a destination URL
+ * @param {string} url - URL to normalize
+ * @returns {string} Normalized URL, or the input unchanged if it cannot be parsed
+ */
+export function normalizeURL(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  // The URL parser already lowercases the scheme and host and drops most default ports
+  parsed.hostname = parsed.hostname.toLowerCase();
+  if (DEFAULT_PORTS[parsed.protocol] === parsed.port) {
+    parsed.port = '';
+  }
+
+  if (parsed.search) {
+    // Sorting by name only keeps repeated parameters in their original order
+    const params = [...parsed.searchParams.entries()]
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    parsed.search = new URLSearchParams(params).toString();
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Check whether two URLs point at the same page
+ * @param {string} a - First URL
+ * @param {string} b - Second URL
+ * @returns {boolean} True if they normalize to the same URL
+ */
+export function isSameDestination(a, b) {
+  return normalizeURL(a) === normalizeURL(b);
+}
@@ -0,0 +1,47 @@
+import { normalizeURL, removeTrackingParams, isTrackingParam, isSameDestination } from './urlNormalization';
+
+describe('normalizeURL', () => {
+  test('lowercases the scheme and host but keeps the path case', () => {
+    expect(normalizeURL('HTTPS://Example.COM/Docs/Page')).toBe('https://example.com/Docs/Page');
+  });
+
+  test('drops default ports and keeps other ports', () => {
+    expect(normalizeURL('https://example.com:443/a')).toBe('https://example.com/a');
+    expect(normalizeURL('http://example.com:80/a')).toBe('http://example.com/a');
+    expect(normalizeURL('https://example.com:8443/a')).toBe('https://example.com:8443/a');
+  });
+
+  test('sorts query parameters by name and keeps repeated ones in order', () => {
+    expect(normalizeURL('https://example.com/?b=2&a=1&b=1')).toBe('https://example.com/?a=1&b=2&b=1');
+  });
+
+  test('keeps tracking parameters and the fragment', () => {
+    expect(normalizeURL('https://example.com/?utm_source=x#top')).toBe('https://example.com/?utm_source=x#top');
+  });
+
+  test('returns input it cannot parse unchanged', () => {
+    expect(normalizeURL('not a url')).toBe('not a url');
+  });
+
+  test('treats URLs that differ only in form as the same destination', () => {
+    expect(isSameDestination('https://Example.com:443/a?y=2&x=1', 'https://example.com/a?x=1&y=2')).toBe(true);
+    expect(isSameDestination('https://example.com/a', 'https://example.com/A')).toBe(false);
+  });
+});
+
+describe('removeTrackingParams', () => {
+  test('recognizes utm_* and click identifier parameters', () => {
+    expect(isTrackingParam('UTM_Source')).toBe(true);
+    expect(isTrackingParam('fbclid')).toBe(true);
+    expect(isTrackingParam('page')).toBe(false);
+  });
+
+  test('removes tracking parameters and keeps the rest as entered', () => {
+    expect(removeTrackingParams('https://example.com/a?z=a%20b&fbclid=1&utm_medium=email&a=2#top'))
+      .toBe('https://example.com/a?z=a%20b&a=2#top');
+  });
+
+  test('returns URLs without tracking parameters unchanged', () => {
+    expect(removeTrackingParams('https://Example.com/a?b=2&a=1')).toBe('https://Example.com/a?b=2&a=1');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * UTM campaign parameter helpers
+ */
+
+export const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+/**
+ * Drop empty values and surrounding whitespace from UTM parameters
+ * @param {object} params - { source, medium, campaign, term, content }
+ * @returns {object} Only the parameters that have a value
+ */
+export function cleanUTMParams(params = {}) {
+  return UTM_FIELDS.reduce((cleaned, field) => {
+    const value = (params[field] || '').trim();
+    if (value) {
+      cleaned[field] = value;
+    }
+    return cleaned;
+  }, {});
+}
+
+/**
+ * Merge UTM parameters into a URL
+ * Other query parameters and the fragment are kept exactly as written;
+ * existing values of the utm_* parameters being set are replaced by the new
+ * ones, which go at the end of the query string.
+ * @param {string} url - URL to tag
+ * @param {object} params - { source, medium, campaign, term, content }
+ * @returns {string} Tagged URL, or the input unchanged if it cannot be parsed
+ */
+export function applyUTMParams(url, params = {}) {
+  const cleaned = cleanUTMParams(params);
+  if (Object.keys(cleaned).length === 0) {
+    return url;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  const names = Object.keys(cleaned).map(field => `utm_${field}`);
+  const kept = parsed.search.slice(1).split('&').filter(Boolean)
+    .filter(pair => !names.includes(new URLSearchParams(pair).keys().next().value));
+  const added = Object.entries(cleaned)
+    .map(([field, value]) => new URLSearchParams({ [`utm_${field}`]: value }).toString());
+
+  parsed.search = [...kept, ...added].join('&');
+  return parsed.toString();
+}
+
+/**
+ * Read UTM parameters from a URL
+ * @param {string} url - URL to read
+ * @returns {object} UTM parameters found in the query string
+ */
+export function extractUTMParams(url) {
+  try {
+    const { searchParams } = new URL(url);
+    return UTM_FIELDS.reduce((params, field) => {
+      const value = searchParams.get(`utm_${field}`);
+      if (value) {
+        params[field] = value;
+      }
+      return params;
+    }, {});
+  } catch (error) {
+    return {};
+  }
+}
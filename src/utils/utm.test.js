@@ -0,0 +1,32 @@
+import { applyUTMParams, cleanUTMParams, extractUTMParams } from './utm';
+
+describe('applyUTMParams', () => {
+  test('adds the campaign parameters and keeps the fragment', () => {
+    expect(applyUTMParams('https://example.com/page#top', { source: 'news', medium: ' email ', term: '' }))
+      .toBe('https://example.com/page?utm_source=news&utm_medium=email#top');
+  });
+
+  test('keeps the other query parameters exactly as written', () => {
+    expect(applyUTMParams('https://example.com/?q=a%20b&list=1,2&flag', { campaign: 'spring sale' }))
+      .toBe('https://example.com/?q=a%20b&list=1,2&flag&utm_campaign=spring+sale');
+  });
+
+  test('replaces only the utm_* parameters being set', () => {
+    expect(applyUTMParams('https://example.com/?utm_source=old&utm_medium=social&utm_source=older&b=2', {
+      source: 'new'
+    })).toBe('https://example.com/?utm_medium=social&b=2&utm_source=new');
+  });
+
+  test('returns the URL unchanged without parameters or when it cannot be parsed', () => {
+    expect(applyUTMParams('https://example.com/?b=2&a=1', {})).toBe('https://example.com/?b=2&a=1');
+    expect(applyUTMParams('not a url', { source: 'news' })).toBe('not a url');
+  });
+});
+
+describe('reading campaign parameters', () => {
+  test('cleans entered values and reads them back from a URL', () => {
+    expect(cleanUTMParams({ source: ' news ', medium: '', other: 'x' })).toEqual({ source: 'news' });
+    expect(extractUTMParams('https://example.com/?utm_source=news&utm_campaign=spring%20sale&x=1'))
+      .toEqual({ source: 'news', campaign: 'spring sale' });
+  });
+});